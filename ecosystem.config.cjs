@@ -26,7 +26,8 @@ module.exports = {
     instances: 1,
     
     // Execution mode: 'cluster' or 'fork'
-    // Use 'fork' for ES modules and MongoDB connections
+    // Use 'fork' for ES modules: older PM2 versions cannot load them in
+    // cluster workers. In fork mode `pm2 reload` is a graceful restart
     exec_mode: 'fork',
     
     // Watch for file changes and auto-restart (disable in production)
@@ -44,8 +45,14 @@ module.exports = {
     // Minimum uptime before considering restart stable
     min_uptime: '10s',
     
-    // Time to wait before force-killing the app on restart
-    kill_timeout: 5000,
+    // Wait for process.send('ready') (sent once the server listens) before
+    // marking a started instance online, for at most listen_timeout ms
+    wait_ready: true,
+    listen_timeout: 15000,
+    
+    // Time to wait before force-killing the app on stop/reload; must exceed
+    // SHUTDOWN_TIMEOUT_MS (default 20000) so requests and jobs can drain
+    kill_timeout: 25000,
     
     // Time to wait before restarting a crashed app
     restart_delay: 4000,
@@ -186,7 +186,7 @@ echo "  pm2 status              - View app status"
 echo "  pm2 logs paperplane-api - View logs"
 echo "  pm2 monit               - Monitor in real-time"
 echo "  pm2 restart paperplane-api - Restart app"
-echo "  pm2 reload paperplane-api  - Zero-downtime reload"
+echo "  pm2 reload paperplane-api  - Graceful restart"
 echo ""
 print_info "Testing your API:"
 echo "  curl http://localhost:4000/health"
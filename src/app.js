@@ -0,0 +1,123 @@
+import express from 'express';
+import cors from 'cors';
+import helmet from 'helmet';
+import { config as loadedConfig } from './config/env.js';
+import { createQuestionsRouter } from './routes/questions.js';
+import { createImagesRouter } from './routes/images.js';
+import { createAdminRouter } from './routes/admin.js';
+import { createAuthRouter } from './routes/auth.js';
+import { createJobsRouter } from './routes/jobs.js';
+import { createPapersRouter } from './routes/papers.js';
+import { LOCAL_STORAGE_ROUTE, serveLocalStorage, createStorage } from './services/storage/index.js';
+import { createRepository } from './services/repository/index.js';
+import { createAuthenticate } from './middleware/auth.js';
+import { createLifecycle } from './services/lifecycle.js';
+import { createJobState } from './services/jobService.js';
+import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
+import { createRequestLogger } from './middleware/requestLogger.js';
+
+export { initializeConfig } from './config/env.js';
+export { createRepository } from './services/repository/index.js';
+export { createStorage } from './services/storage/index.js';
+export { resumeUnfinishedJobs } from './services/jobService.js';
+export { createGracefulShutdown } from './shutdown.js';
+
+/**
+ * Build the Express app serving the API
+ * - config: the configuration from initializeConfig (the default) or an
+ *   equivalent object built by the host application
+ * - repository: database access (default: createRepository(config))
+ * - storage: image storage driver (default: createStorage(config))
+ * Nothing is started: the caller listens (or mounts the app in another
+ * Express app), resumes background jobs with resumeUnfinishedJobs and
+ * handles shutdown, e.g. with createGracefulShutdown.
+ * Routers and services get all three, plus the app's shutdown and job
+ * state, as one context object instead of reading module state, so several
+ * apps can run in one process. It is app.locals.context, for
+ * resumeUnfinishedJobs and createGracefulShutdown.
+ */
+export function createApp({ config = loadedConfig, repository = createRepository(config), storage = createStorage(config) } = {}) {
+  const context = { config, repository, storage, lifecycle: createLifecycle(), jobs: createJobState() };
+
+  const app = express();
+  app.locals.context = context;
+
+  // Security middleware
+  app.use(helmet());
+
+  // CORS configuration
+  const corsOptions = {
+    origin: (origin, callback) => {
+      if (config.hostEnv === 'local') {
+        // Allow any localhost port in development
+        if (!origin || /^http:\/\/localhost:\d+$/.test(origin)) {
+          callback(null, true);
+        } else {
+          callback(new Error('Not allowed by CORS'));
+        }
+      } else {
+        // In production, allow the configured frontendUrl and any EC2 IP addresses
+        const allowedOrigins = [config.frontendUrl];
+
+        // Also allow EC2 public IPs (format: http://XX.XX.XX.XX:port)
+        const isEC2IP = origin && /^http:\/\/\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}(:\d+)?$/.test(origin);
+
+        if (!origin || allowedOrigins.includes(origin) || isEC2IP) {
+          callback(null, true);
+        } else {
+          console.warn(`CORS blocked origin: ${origin}`);
+          callback(new Error('Not allowed by CORS'));
+        }
+      }
+    },
+    credentials: true,
+    optionsSuccessStatus: 200,
+  };
+  app.use(cors(corsOptions));
+
+  // Body parsing middleware
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // Logging middleware
+  app.use(createRequestLogger(config));
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.status(200).json({
+      success: true,
+      message: 'Markdown Q&A API is running',
+      timestamp: new Date().toISOString(),
+      environment: config.nodeEnv,
+      secretsSource: config.secretsSource,
+    });
+  });
+
+  // Local storage files are public like a public bucket; with IMAGE_ACCESS=private
+  // they are only reachable through GET /api/images/:key
+  if (config.storage.driver === 'local' && config.images.access === 'public') {
+    app.use(LOCAL_STORAGE_ROUTE, serveLocalStorage(config.storage.localRoot));
+  }
+
+  // Identify the caller (API key or JWT); routes enforce roles
+  if (!config.auth.enabled) {
+    console.warn('⚠️  Authentication is disabled (AUTH_ENABLED=false). Every request is treated as admin.');
+  }
+  app.use('/api', createAuthenticate(context));
+
+  // API Routes
+  app.use('/api/auth', createAuthRouter(context));
+  app.use('/api/questions', createQuestionsRouter(context));
+  app.use('/api/images', createImagesRouter(context));
+  app.use('/api/admin', createAdminRouter(context));
+  app.use('/api/jobs', createJobsRouter(context));
+  app.use('/api/papers', createPapersRouter(context));
+
+  // 404 handler
+  app.use(notFoundHandler);
+
+  // Error handler
+  app.use(errorHandler);
+
+  return app;
+}
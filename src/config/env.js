@@ -5,10 +5,79 @@ export let config = {
   port: 4000,
   nodeEnv: 'development',
   frontendUrl: 'http://localhost:3000',
+  shutdown: { timeoutMs: 20000 },
   aws: {},
+  storage: {
+    driver: 's3',
+    endpoint: '',
+    forcePathStyle: true,
+    publicUrl: '',
+    localRoot: './storage',
+  },
+  images: {
+    maxSizeBytes: 10 * 1024 * 1024,
+    downloadTimeoutMs: 15000,
+    access: 'public',
+    baseUrl: '',
+    signedUrlTtlSeconds: 300,
+    allowPrivateAddresses: false,
+  },
+  imageProxy: {
+    allowedHosts: [],
+    maxSizeBytes: 10 * 1024 * 1024,
+    timeoutMs: 10000,
+    allowPrivateAddresses: false,
+  },
+  auth: { enabled: true },
+  trashRetentionDays: 30,
+  uploads: {
+    questionConcurrency: 4,
+    imageConcurrency: 4,
+  },
+  jobRetentionDays: 7,
+  jobLeaseMs: 60000,
+  papers: {
+    maxRenderQuestions: 200,
+    pdfFontPath: '',
+  },
+  database: { driver: 'mongodb' },
   mongodb: {},
 };
 
+// Placeholder secrets from old example files, refused like short ones
+const EXAMPLE_JWT_SECRETS = ['change_me'];
+const MIN_JWT_SECRET_BYTES = 32;
+
+/**
+ * Check JWT_SECRET: unset disables JWT authentication, a guessable value
+ * stops startup (anyone could sign an admin token with it)
+ */
+function parseJwtSecret(value) {
+  if (!value) {
+    return undefined;
+  }
+  if (EXAMPLE_JWT_SECRETS.includes(value) || Buffer.byteLength(value) < MIN_JWT_SECRET_BYTES) {
+    throw new Error(`JWT_SECRET must be a random value of at least ${MIN_JWT_SECRET_BYTES} bytes (e.g. openssl rand -hex 32), or unset to refuse JWTs`);
+  }
+  return value;
+}
+
+/**
+ * Parse a setting that must be a whole number of zero or more, falling back
+ * to the default when it is unset, empty or malformed (Number('') is 0, which
+ * for a retention period would mean "delete everything")
+ */
+function parseNonNegativeInteger(name, value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  if (!/^\d+$/.test(String(value).trim())) {
+    console.warn(`⚠️  ${name}=${value} is not a whole number of zero or more, using ${fallback}`);
+    return fallback;
+  }
+  return Number(value);
+}
+
 /**
  * Initialize configuration by loading secrets
  * This must be called before starting the server
@@ -29,6 +98,11 @@ export async function initializeConfig() {
       hostEnv: secrets.HOST_ENV || 'local',
       frontendUrl: secrets.FRONTEND_URL,
       
+      // How long shutdown waits for requests and background jobs to finish
+      shutdown: {
+        timeoutMs: Number(secrets.SHUTDOWN_TIMEOUT_MS) || 20000,
+      },
+      
       // AWS S3
       aws: {
         region: secrets.AWS_REGION,
@@ -37,11 +111,83 @@ export async function initializeConfig() {
         s3BucketName: secrets.S3_BUCKET_NAME,
       },
       
+      // Image storage: 's3' | 's3-compatible' (S3_ENDPOINT, e.g. MinIO) | 'local' (files
+      // served from /storage); the S3 drivers use the bucket and credentials above
+      storage: {
+        driver: secrets.STORAGE_DRIVER || 's3',
+        endpoint: (secrets.S3_ENDPOINT || '').replace(/\/+$/, ''),
+        forcePathStyle: secrets.S3_FORCE_PATH_STYLE !== 'false',
+        publicUrl: (secrets.STORAGE_PUBLIC_URL || '').replace(/\/+$/, ''),
+        localRoot: secrets.STORAGE_LOCAL_ROOT || './storage',
+      },
+      
+      // Image downloads and delivery
+      images: {
+        maxSizeBytes: Number(secrets.IMAGE_MAX_SIZE_BYTES) || 10 * 1024 * 1024,
+        downloadTimeoutMs: Number(secrets.IMAGE_DOWNLOAD_TIMEOUT_MS) || 15000,
+        // 'public': responses link to the bucket; 'private': to GET /api/images/:key
+        access: secrets.IMAGE_ACCESS === 'private' ? 'private' : 'public',
+        baseUrl: (secrets.IMAGE_BASE_URL || '').replace(/\/+$/, ''),
+        signedUrlTtlSeconds: Number(secrets.IMAGE_SIGNED_URL_TTL_SECONDS) || 300,
+        // Let question images be downloaded from internal hosts (development and tests only)
+        allowPrivateAddresses: secrets.IMAGE_DOWNLOAD_ALLOW_PRIVATE_ADDRESSES === 'true',
+      },
+      
+      // Image proxy (only our bucket and these hosts can be proxied)
+      imageProxy: {
+        allowedHosts: (secrets.IMAGE_PROXY_ALLOWED_HOSTS || '').split(',').map(h => h.trim()).filter(Boolean),
+        maxSizeBytes: Number(secrets.IMAGE_PROXY_MAX_SIZE_BYTES) || 10 * 1024 * 1024,
+        timeoutMs: Number(secrets.IMAGE_PROXY_TIMEOUT_MS) || 10000,
+        // Let allowed hosts resolve to internal addresses (development and tests only)
+        allowPrivateAddresses: secrets.IMAGE_PROXY_ALLOW_PRIVATE_ADDRESSES === 'true',
+      },
+      
+      // Authentication
+      auth: {
+        enabled: secrets.AUTH_ENABLED !== 'false',
+        jwtSecret: parseJwtSecret(secrets.JWT_SECRET),
+        jwtIssuer: secrets.JWT_ISSUER,
+        jwtAudience: secrets.JWT_AUDIENCE,
+        bootstrapApiKey: secrets.AUTH_BOOTSTRAP_API_KEY,
+      },
+      
+      // Soft-deleted questions are kept this long before they can be purged
+      trashRetentionDays: parseNonNegativeInteger('TRASH_RETENTION_DAYS', secrets.TRASH_RETENTION_DAYS, 30),
+      
+      // Batch uploads (questions and, within each question, images in flight)
+      uploads: {
+        questionConcurrency: Number(secrets.UPLOAD_QUESTION_CONCURRENCY) || 4,
+        imageConcurrency: Number(secrets.UPLOAD_IMAGE_CONCURRENCY) || 4,
+      },
+      
+      // Finished background jobs are kept this long
+      jobRetentionDays: Number(secrets.JOB_RETENTION_DAYS) || 7,
+      
+      // How long a process holds a running job without renewing its claim
+      jobLeaseMs: Number(secrets.JOB_LEASE_MS) || 60000,
+      
+      // Paper rendering (POST /api/papers/render)
+      papers: {
+        maxRenderQuestions: Number(secrets.PAPER_MAX_RENDER_QUESTIONS) || 200,
+        // TrueType font for PDFs; the built-in Helvetica only covers Latin text
+        pdfFontPath: secrets.PAPER_PDF_FONT_PATH || '',
+      },
+      
+      // Database: 'mongodb' | 'memory' (process memory, for tests and offline use)
+      database: {
+        driver: secrets.DATABASE_DRIVER || 'mongodb',
+      },
+      
       // MongoDB
       mongodb: {
         uri: secrets.MONGODB_URI,
         database: secrets.MONGODB_DATABASE || 'question_bank',
         collection: secrets.MONGODB_COLLECTION || 'questions',
+        imagesCollection: secrets.MONGODB_IMAGES_COLLECTION || 'images',
+        revisionsCollection: secrets.MONGODB_REVISIONS_COLLECTION || 'question_revisions',
+        apiKeysCollection: secrets.MONGODB_API_KEYS_COLLECTION || 'api_keys',
+        jobsCollection: secrets.MONGODB_JOBS_COLLECTION || 'jobs',
+        papersCollection: secrets.MONGODB_PAPERS_COLLECTION || 'papers',
       },
       
       // Metadata
@@ -83,16 +83,66 @@ function loadFromEnv() {
     AWS_SECRET_ACCESS_KEY: process.env.AWS_SECRET_ACCESS_KEY,
     S3_BUCKET_NAME: process.env.S3_BUCKET_NAME,
     
+    // Image storage
+    STORAGE_DRIVER: process.env.STORAGE_DRIVER,
+    S3_ENDPOINT: process.env.S3_ENDPOINT,
+    S3_FORCE_PATH_STYLE: process.env.S3_FORCE_PATH_STYLE,
+    STORAGE_PUBLIC_URL: process.env.STORAGE_PUBLIC_URL,
+    STORAGE_LOCAL_ROOT: process.env.STORAGE_LOCAL_ROOT,
+    
+    // Image downloads
+    IMAGE_MAX_SIZE_BYTES: process.env.IMAGE_MAX_SIZE_BYTES,
+    IMAGE_DOWNLOAD_TIMEOUT_MS: process.env.IMAGE_DOWNLOAD_TIMEOUT_MS,
+    IMAGE_DOWNLOAD_ALLOW_PRIVATE_ADDRESSES: process.env.IMAGE_DOWNLOAD_ALLOW_PRIVATE_ADDRESSES,
+    IMAGE_ACCESS: process.env.IMAGE_ACCESS,
+    IMAGE_BASE_URL: process.env.IMAGE_BASE_URL,
+    IMAGE_SIGNED_URL_TTL_SECONDS: process.env.IMAGE_SIGNED_URL_TTL_SECONDS,
+    
+    // Image proxy
+    IMAGE_PROXY_ALLOWED_HOSTS: process.env.IMAGE_PROXY_ALLOWED_HOSTS,
+    IMAGE_PROXY_MAX_SIZE_BYTES: process.env.IMAGE_PROXY_MAX_SIZE_BYTES,
+    IMAGE_PROXY_TIMEOUT_MS: process.env.IMAGE_PROXY_TIMEOUT_MS,
+    IMAGE_PROXY_ALLOW_PRIVATE_ADDRESSES: process.env.IMAGE_PROXY_ALLOW_PRIVATE_ADDRESSES,
+    
+    // Authentication
+    AUTH_ENABLED: process.env.AUTH_ENABLED,
+    JWT_SECRET: process.env.JWT_SECRET,
+    JWT_ISSUER: process.env.JWT_ISSUER,
+    JWT_AUDIENCE: process.env.JWT_AUDIENCE,
+    AUTH_BOOTSTRAP_API_KEY: process.env.AUTH_BOOTSTRAP_API_KEY,
+    
+    // Trash
+    TRASH_RETENTION_DAYS: process.env.TRASH_RETENTION_DAYS,
+    
+    // Batch uploads and background jobs
+    UPLOAD_QUESTION_CONCURRENCY: process.env.UPLOAD_QUESTION_CONCURRENCY,
+    UPLOAD_IMAGE_CONCURRENCY: process.env.UPLOAD_IMAGE_CONCURRENCY,
+    JOB_RETENTION_DAYS: process.env.JOB_RETENTION_DAYS,
+    JOB_LEASE_MS: process.env.JOB_LEASE_MS,
+    
+    // Paper rendering
+    PAPER_MAX_RENDER_QUESTIONS: process.env.PAPER_MAX_RENDER_QUESTIONS,
+    PAPER_PDF_FONT_PATH: process.env.PAPER_PDF_FONT_PATH,
+    
+    // Database
+    DATABASE_DRIVER: process.env.DATABASE_DRIVER,
+    
     // MongoDB
     MONGODB_URI: process.env.MONGODB_URI,
     MONGODB_DATABASE: process.env.MONGODB_DATABASE || 'question_bank',
     MONGODB_COLLECTION: process.env.MONGODB_COLLECTION || 'questions',
+    MONGODB_IMAGES_COLLECTION: process.env.MONGODB_IMAGES_COLLECTION || 'images',
+    MONGODB_REVISIONS_COLLECTION: process.env.MONGODB_REVISIONS_COLLECTION || 'question_revisions',
+    MONGODB_API_KEYS_COLLECTION: process.env.MONGODB_API_KEYS_COLLECTION || 'api_keys',
+    MONGODB_JOBS_COLLECTION: process.env.MONGODB_JOBS_COLLECTION || 'jobs',
+    MONGODB_PAPERS_COLLECTION: process.env.MONGODB_PAPERS_COLLECTION || 'papers',
     
     // Server
     PORT: process.env.PORT || 4000,
     NODE_ENV: process.env.NODE_ENV || 'development',
     HOST_ENV: hostEnv,
     FRONTEND_URL: frontendUrl,
+    SHUTDOWN_TIMEOUT_MS: process.env.SHUTDOWN_TIMEOUT_MS,
   };
 }
 
@@ -135,16 +185,36 @@ export async function loadSecrets() {
   }
 }
 
+// Secrets each storage driver needs
+const STORAGE_SECRETS = {
+  's3': ['AWS_REGION', 'AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'S3_BUCKET_NAME'],
+  's3-compatible': ['S3_ENDPOINT', 'AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'S3_BUCKET_NAME'],
+  'local': [],
+};
+
+// Secrets each database driver needs
+const DATABASE_SECRETS = {
+  'mongodb': ['MONGODB_URI'],
+  'memory': [],
+};
+
 /**
  * Validate that required secrets are present
  */
 function validateSecrets(secrets) {
+  const storageDriver = secrets.STORAGE_DRIVER || 's3';
+  if (!STORAGE_SECRETS[storageDriver]) {
+    throw new Error(`Invalid STORAGE_DRIVER "${storageDriver}". Allowed: ${Object.keys(STORAGE_SECRETS).join(', ')}`);
+  }
+  
+  const databaseDriver = secrets.DATABASE_DRIVER || 'mongodb';
+  if (!DATABASE_SECRETS[databaseDriver]) {
+    throw new Error(`Invalid DATABASE_DRIVER "${databaseDriver}". Allowed: ${Object.keys(DATABASE_SECRETS).join(', ')}`);
+  }
+  
   const required = [
-    'AWS_REGION',
-    'AWS_ACCESS_KEY_ID',
-    'AWS_SECRET_ACCESS_KEY',
-    'S3_BUCKET_NAME',
-    'MONGODB_URI',
+    ...STORAGE_SECRETS[storageDriver],
+    ...DATABASE_SECRETS[databaseDriver],
   ];
   
   const missing = required.filter(key => !secrets[key]);
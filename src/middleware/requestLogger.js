@@ -0,0 +1,20 @@
+import morgan from 'morgan';
+
+/**
+ * Replace the value of access_token query parameters in a URL
+ */
+export function redactAccessToken(url) {
+  return url.replace(/([?&]access_token=)[^&#]*/gi, '$1[redacted]');
+}
+
+// Access logs record the URL; credentials passed as ?access_token= must not
+// end up in them
+morgan.token('url', req => redactAccessToken(req.originalUrl || req.url));
+
+/**
+ * Create the access log middleware ('dev' format in development, Apache
+ * 'combined' otherwise)
+ */
+export function createRequestLogger({ nodeEnv }) {
+  return morgan(nodeEnv === 'development' ? 'dev' : 'combined');
+}
@@ -0,0 +1,54 @@
+import express from 'express';
+import { collectImageGarbage } from '../services/imageCleanup.js';
+import { requireRole } from '../middleware/auth.js';
+
+/**
+ * Routes under /api/admin
+ */
+export function createAdminRouter(context) {
+  const router = express.Router();
+
+  /**
+   * POST /api/admin/images/gc
+   * Find S3 objects under questions/ that no question references
+   * Body: { dryRun = true, minAgeHours = 24 }
+   * With dryRun the unreferenced objects are only reported, otherwise deleted
+   */
+  router.post('/images/gc', requireRole('admin'), async (req, res) => {
+    try {
+      const { dryRun = true, minAgeHours } = req.body || {};
+
+      if (typeof dryRun !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: 'dryRun must be a boolean',
+        });
+      }
+
+      if (minAgeHours !== undefined && !(Number(minAgeHours) >= 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'minAgeHours must be a non-negative number',
+        });
+      }
+
+      const report = await collectImageGarbage(context, {
+        dryRun,
+        ...(minAgeHours !== undefined && { minAgeHours: Number(minAgeHours) }),
+      });
+
+      res.status(200).json({
+        success: true,
+        ...report,
+      });
+    } catch (error) {
+      console.error('Error collecting image garbage:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Internal server error',
+      });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,112 @@
+import express from 'express';
+import { createApiKey, ROLES } from '../services/authService.js';
+import { requireRole, getActor } from '../middleware/auth.js';
+
+/**
+ * Routes under /api/auth; API keys are stored in the given repository
+ */
+export function createAuthRouter({ repository }) {
+  const router = express.Router();
+
+  /**
+   * GET /api/auth/me
+   * Return the authenticated principal
+   */
+  router.get('/me', requireRole('viewer'), (req, res) => {
+    res.status(200).json({
+      success: true,
+      principal: req.principal,
+    });
+  });
+
+  /**
+   * POST /api/auth/keys
+   * Create an API key. The key is only shown in this response.
+   * Body: { name, role } where role is 'viewer' | 'editor' | 'admin'
+   */
+  router.post('/keys', requireRole('admin'), async (req, res) => {
+    try {
+      const { name, role } = req.body;
+
+      if (!name || typeof name !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: 'Key name is required',
+        });
+      }
+
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `role must be one of: ${ROLES.join(', ')}`,
+        });
+      }
+
+      const { apiKey, record } = await createApiKey(repository, { name, role, createdBy: getActor(req) });
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created. Store it now, it cannot be shown again.',
+        apiKey,
+        key: record,
+      });
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Internal server error',
+      });
+    }
+  });
+
+  /**
+   * GET /api/auth/keys
+   * List API keys (hashes are never returned)
+   */
+  router.get('/keys', requireRole('admin'), async (req, res) => {
+    try {
+      const keys = await repository.listApiKeys();
+      res.status(200).json({
+        success: true,
+        count: keys.length,
+        keys,
+      });
+    } catch (error) {
+      console.error('Error listing API keys:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Internal server error',
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/auth/keys/:id
+   * Revoke an API key
+   */
+  router.delete('/keys/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const revoked = await repository.revokeApiKey(req.params.id, getActor(req));
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: 'API key not found or already revoked',
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'API key revoked',
+      });
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Internal server error',
+      });
+    }
+  });
+
+  return router;
+}
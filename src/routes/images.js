@@ -0,0 +1,253 @@
+import express from 'express';
+import multer from 'multer';
+import { storeImageBuffer, decodeDataUri, isDataUri, resolveImageUrl } from '../services/imageService.js';
+import { getImageObject, createSignedImageUrl, imageExistsInS3, isStoredImageKey } from '../services/s3.js';
+import { requireRole } from '../middleware/auth.js';
+import { createHttpError } from '../services/errors.js';
+
+// Maximum number of images accepted in a single request
+const MAX_FILES_PER_REQUEST = 10;
+
+// Upper bound for ?expiresIn on presigned URLs (seconds)
+const MAX_SIGNED_URL_TTL_SECONDS = 3600;
+
+// Only single ranges are forwarded to S3; anything else gets the whole image
+const SINGLE_RANGE_PATTERN = /^bytes=(\d+-\d*|-\d+)$/;
+
+/**
+ * Stream a stored image from the bucket, honouring If-None-Match and Range
+ * Objects are content-addressed, so they can be cached forever. Objects
+ * without an image/* content type answer 404.
+ */
+export async function sendStoredImage(context, req, res, key) {
+  const range = SINGLE_RANGE_PATTERN.test(req.headers.range || '') ? req.headers.range : undefined;
+  const image = await getImageObject(context, key, { range, ifNoneMatch: req.headers['if-none-match'] });
+
+  // Only objects stored as images are served, whatever their key
+  if (image.statusCode !== 304 && !/^image\//i.test(image.contentType || '')) {
+    image.body.destroy();
+    throw createHttpError(404, `Image ${key} not found`);
+  }
+
+  const visibility = context.config.images.access === 'private' ? 'private' : 'public';
+  res.setHeader('Cache-Control', `${visibility}, max-age=31536000, immutable`);
+  res.setHeader('ETag', image.etag);
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+
+  if (image.statusCode === 304) {
+    return res.status(304).end();
+  }
+
+  res.status(image.statusCode);
+  res.setHeader('Content-Type', image.contentType);
+  if (image.contentLength !== undefined) {
+    res.setHeader('Content-Length', image.contentLength);
+  }
+  if (image.contentRange) {
+    res.setHeader('Content-Range', image.contentRange);
+  }
+  if (image.lastModified) {
+    res.setHeader('Last-Modified', new Date(image.lastModified).toUTCString());
+  }
+
+  image.body.on('error', error => {
+    console.error(`Error streaming image ${key}:`, error.message);
+    res.destroy(error);
+  });
+  image.body.pipe(res);
+}
+
+/**
+ * Parse multipart/form-data into memory, honouring the configured image size limit
+ */
+function parseMultipart({ config }, req, res) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: config.images.maxSizeBytes,
+      files: MAX_FILES_PER_REQUEST,
+    },
+  }).any();
+
+  return new Promise((resolve, reject) => {
+    upload(req, res, error => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * Collect the uploaded images as { name, load() } from either multipart
+ * files or data: URIs in a JSON body ({ data } or { images: [] }).
+ * Decoding is deferred so one bad data URI fails only its own entry.
+ */
+function collectUploads(context, req) {
+  if (req.files) {
+    return req.files.map(file => ({ name: file.originalname, load: () => file.buffer }));
+  }
+
+  const { data, images } = req.body || {};
+  const dataUris = Array.isArray(images) ? images : data ? [data] : [];
+
+  return dataUris.map((dataUri, index) => ({
+    name: `image[${index}]`,
+    load: () => {
+      if (!isDataUri(dataUri)) {
+        throw createHttpError(400, 'Expected a data: URI', { reason: 'invalid_data_uri' });
+      }
+      return decodeDataUri(context, dataUri);
+    },
+  }));
+}
+
+/**
+ * Routes under /api/images; uploaded images are stored in the context's
+ * storage and registered in its repository
+ */
+export function createImagesRouter(context) {
+  const { config } = context;
+  const router = express.Router();
+
+  /**
+   * POST /api/images
+   * Upload images directly to S3 (multipart/form-data files, or JSON
+   * { data: 'data:image/png;base64,...' } / { images: [...] })
+   * Returns URLs (s3Url) and image:// references (ref) that can be used in
+   * content.images and option image_url
+   */
+  router.post('/', requireRole('editor'), async (req, res) => {
+    try {
+      if (req.is('multipart/form-data')) {
+        try {
+          await parseMultipart(context, req, res);
+        } catch (error) {
+          const statusCode = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+          return res.status(statusCode).json({
+            success: false,
+            message: error.message,
+          });
+        }
+      }
+
+      const uploads = collectUploads(context, req);
+
+      if (uploads.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No images provided. Send multipart files or a data URI in "data" or "images"',
+        });
+      }
+
+      if (uploads.length > MAX_FILES_PER_REQUEST) {
+        return res.status(400).json({
+          success: false,
+          message: `At most ${MAX_FILES_PER_REQUEST} images can be uploaded per request`,
+        });
+      }
+
+      const images = [];
+      const failedImages = [];
+
+      for (const upload of uploads) {
+        try {
+          const { s3Url, key, contentType, size } = await storeImageBuffer(context, upload.load());
+          images.push({ name: upload.name, s3Url: resolveImageUrl(context, s3Url), ref: s3Url, key, contentType, size });
+        } catch (error) {
+          console.error(`Error storing uploaded image ${upload.name}:`, error.message);
+          failedImages.push({ name: upload.name, error: error.message, reason: error.reason || 'upload_failed' });
+        }
+      }
+
+      res.status(images.length > 0 ? 200 : 400).json({
+        success: images.length > 0,
+        images,
+        failedImages: failedImages.length > 0 ? failedImages : undefined,
+      });
+    } catch (error) {
+      console.error('Error uploading images:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Internal server error',
+      });
+    }
+  });
+
+  /**
+   * GET /api/images/:key/signed-url
+   * Short-lived presigned URL for reading an image straight from S3
+   * (key is URL-encoded, e.g. questions%2F<sha256>.png)
+   * Query params: expiresIn (seconds, default IMAGE_SIGNED_URL_TTL_SECONDS)
+   */
+  router.get('/:key/signed-url', requireRole('viewer'), async (req, res) => {
+    try {
+      const { key } = req.params;
+      if (!isStoredImageKey(key)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid image key',
+        });
+      }
+
+      const expiresIn = req.query.expiresIn === undefined
+        ? config.images.signedUrlTtlSeconds
+        : Number(req.query.expiresIn);
+      if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > MAX_SIGNED_URL_TTL_SECONDS) {
+        return res.status(400).json({
+          success: false,
+          message: `expiresIn must be an integer between 1 and ${MAX_SIGNED_URL_TTL_SECONDS}`,
+        });
+      }
+
+      if (!(await imageExistsInS3(context, key))) {
+        return res.status(404).json({
+          success: false,
+          message: `Image ${key} not found`,
+        });
+      }
+
+      const url = await createSignedImageUrl(context, key, expiresIn);
+
+      res.status(200).json({
+        success: true,
+        key,
+        url,
+        expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
+      });
+    } catch (error) {
+      console.error('Error signing image URL:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Internal server error',
+      });
+    }
+  });
+
+  /**
+   * GET /api/images/:key
+   * Stream an image from S3 (works with a private bucket)
+   * Supports If-None-Match (304) and single byte ranges (206)
+   */
+  router.get('/:key', requireRole('viewer'), async (req, res) => {
+    try {
+      const { key } = req.params;
+      if (!isStoredImageKey(key)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid image key',
+        });
+      }
+
+      await sendStoredImage(context, req, res, key);
+    } catch (error) {
+      console.error('Error serving image:', error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Internal server error',
+      });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,102 @@
+import express from 'express';
+import { cancelJob } from '../services/jobService.js';
+import { hasRole } from '../services/authService.js';
+import { requireRole, getActor } from '../middleware/auth.js';
+
+/**
+ * Editors only see their own jobs; admins see every job
+ */
+function canAccessJob(req, job) {
+  if (hasRole(req.principal?.role, 'admin')) {
+    return true;
+  }
+  const actor = getActor(req);
+  return Boolean(job.createdBy && actor && job.createdBy.type === actor.type && job.createdBy.id === actor.id);
+}
+
+/**
+ * Shape a job document for responses
+ */
+function formatJob(job) {
+  // Leases name the process holding the job, which is no business of clients
+  const { _id, leaseOwner, leaseUntil, ...rest } = job;
+  return { id: _id.toString(), ...rest };
+}
+
+/**
+ * Routes under /api/jobs
+ */
+export function createJobsRouter(context) {
+  const { repository } = context;
+  const router = express.Router();
+
+  /**
+   * GET /api/jobs/:id
+   * Status, progress counts and per-question results of a background job
+   * (results[i] is null until question i has been processed)
+   */
+  router.get('/:id', requireRole('editor'), async (req, res) => {
+    try {
+      const job = await repository.getJob(req.params.id);
+
+      if (!job || !canAccessJob(req, job)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found',
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        job: formatJob(job),
+      });
+    } catch (error) {
+      console.error('Error fetching job:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Internal server error',
+      });
+    }
+  });
+
+  /**
+   * POST /api/jobs/:id/cancel
+   * Cancel a queued or running job. Questions already being uploaded finish;
+   * the remaining ones get status 'cancelled'.
+   */
+  router.post('/:id/cancel', requireRole('editor'), async (req, res) => {
+    try {
+      const existing = await repository.getJob(req.params.id);
+
+      if (!existing || !canAccessJob(req, existing)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found',
+        });
+      }
+
+      const job = await cancelJob(context, req.params.id, getActor(req));
+
+      if (!job.cancelRequested) {
+        return res.status(409).json({
+          success: false,
+          message: `Job is already ${job.status}`,
+        });
+      }
+
+      res.status(202).json({
+        success: true,
+        message: 'Cancellation requested',
+        job: formatJob(job),
+      });
+    } catch (error) {
+      console.error('Error cancelling job:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Internal server error',
+      });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,397 @@
+import express from 'express';
+import { uploadMultipleQuestions, CONFLICT_MODES } from '../services/uploadService.js';
+import { parsePaperMarkdown } from '../services/markdownParser.js';
+import { validateQuestion } from '../services/validation.js';
+import { startBatchUploadJob } from '../services/jobService.js';
+import { loadRenderQuestions, groupQuestionsBySubject, renderPaper } from '../services/paperRenderer.js';
+import { createPaper, updatePaper, expandPaper, summarizePaper } from '../services/paperService.js';
+import { requireRole, getActor } from '../middleware/auth.js';
+
+/**
+ * Read import options from a JSON body or, for raw markdown bodies, from
+ * the query string
+ */
+function readImportOptions(req) {
+  if (typeof req.body === 'string') {
+    const { preview, atomic, async: runAsJob, idStart, onConflict, subject, chapter, section } = req.query;
+    return {
+      markdown: req.body,
+      preview: preview === 'true',
+      atomic: atomic === 'true',
+      runAsJob: runAsJob === 'true',
+      idStart: idStart === undefined ? undefined : Number(idStart),
+      onConflict,
+      defaults: { subject, chapter, section },
+    };
+  }
+
+  const { markdown, preview = false, atomic = false, async: runAsJob = false, idStart, onConflict, defaults = {} } = req.body || {};
+  return { markdown, preview, atomic, runAsJob, idStart, onConflict, defaults };
+}
+
+/**
+ * Validate import options; returns an error message or null
+ */
+function validateImportOptions({ markdown, preview, atomic, runAsJob, idStart, onConflict, defaults }) {
+  if (typeof markdown !== 'string' || !markdown.trim()) {
+    return 'Markdown document is required';
+  }
+  if (typeof preview !== 'boolean' || typeof atomic !== 'boolean' || typeof runAsJob !== 'boolean') {
+    return 'preview, atomic and async must be booleans';
+  }
+  if (idStart !== undefined && !Number.isSafeInteger(idStart)) {
+    return 'idStart must be an integer';
+  }
+  if (onConflict !== undefined && !CONFLICT_MODES.includes(onConflict)) {
+    return `Invalid onConflict mode. Allowed: ${CONFLICT_MODES.join(', ')}`;
+  }
+  if (atomic && onConflict !== undefined && onConflict !== 'skip') {
+    return 'Atomic uploads only support onConflict "skip"';
+  }
+  if (typeof defaults !== 'object' || defaults === null || Array.isArray(defaults)) {
+    return 'defaults must be an object of { subject, chapter, section }';
+  }
+  return null;
+}
+
+/**
+ * Check a value against the id types questions accept (a non-empty string
+ * or a number)
+ */
+function isQuestionId(id) {
+  return (typeof id === 'string' && id.trim() !== '') || Number.isFinite(id);
+}
+
+const RENDER_FORMATS = ['json', 'html', 'pdf'];
+const RENDER_PARTS = ['paper', 'answer-key'];
+
+/**
+ * Validate a render request body; returns an error message or null
+ */
+function validateRenderBody({ ids, filters, title, instructions, format = 'json', part = 'paper' } = {}) {
+  if (ids === undefined && filters === undefined) {
+    return 'Either ids or filters is required';
+  }
+  if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0 || !ids.every(isQuestionId))) {
+    return 'ids must be a non-empty array of question ids';
+  }
+  if (filters !== undefined && (typeof filters !== 'object' || filters === null || Array.isArray(filters))) {
+    return 'filters must be an object of { subject, chapter, section }';
+  }
+  if (title !== undefined && typeof title !== 'string') {
+    return 'title must be a string';
+  }
+  if (instructions !== undefined && typeof instructions !== 'string') {
+    return 'instructions must be a string';
+  }
+  if (!RENDER_FORMATS.includes(format)) {
+    return `Invalid format. Allowed: ${RENDER_FORMATS.join(', ')}`;
+  }
+  if (!RENDER_PARTS.includes(part)) {
+    return `Invalid part. Allowed: ${RENDER_PARTS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Shape a paper document for responses
+ */
+function formatPaper(paper) {
+  const { _id, ...rest } = paper;
+  return { id: _id.toString(), ...rest, ...summarizePaper(paper) };
+}
+
+/**
+ * Error response for paper routes; validation errors carry a list of
+ * { path, message }
+ */
+function sendPaperError(res, error) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.message || 'Internal server error',
+    ...(error.errors && { errors: error.errors }),
+  });
+}
+
+/**
+ * Routes under /api/papers; papers and questions are read through the context's repository
+ */
+export function createPapersRouter(context) {
+  const { repository } = context;
+  const router = express.Router();
+
+  // Raw markdown bodies (Content-Type: text/markdown or text/plain)
+  router.use(express.text({ type: ['text/markdown', 'text/x-markdown', 'text/plain'], limit: '10mb' }));
+
+  /**
+   * POST /api/papers/import
+   * Parse a markdown question paper and upload its questions
+   * Body: { markdown, preview?, idStart?, defaults?, onConflict?, atomic?, async? }
+   * or the raw document with Content-Type text/markdown and the options as
+   * query parameters (?preview=true&idStart=1000&subject=Physics).
+   * With preview: true the parsed questions, parser warnings and validation
+   * errors are returned and nothing is saved.
+   */
+  router.post('/import', requireRole('editor'), async (req, res) => {
+    try {
+      const options = readImportOptions(req);
+
+      const invalid = validateImportOptions(options);
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          message: invalid,
+        });
+      }
+
+      const { markdown, preview, atomic, runAsJob, idStart, onConflict, defaults } = options;
+      const { questions, warnings } = parsePaperMarkdown(markdown, { idStart, defaults });
+      console.log(`Parsed ${questions.length} question(s) from markdown with ${warnings.length} warning(s)`);
+
+      if (preview) {
+        const invalidQuestions = questions
+          .map((question, index) => ({ index, id: question.id, questionNumber: question.questionNumber, ...validateQuestion(question) }))
+          .filter(result => !result.valid)
+          .map(({ valid, ...result }) => result);
+
+        return res.status(200).json({
+          success: true,
+          preview: true,
+          count: questions.length,
+          questions,
+          warnings,
+          invalid: invalidQuestions,
+        });
+      }
+
+      if (questions.length === 0) {
+        return res.status(422).json({
+          success: false,
+          message: 'No questions found in the markdown document',
+          warnings,
+        });
+      }
+
+      if (runAsJob) {
+        const jobId = await startBatchUploadJob(context, questions, { onConflict, atomic, actor: getActor(req) });
+        return res.status(202).json({
+          success: true,
+          message: `Import of ${questions.length} question(s) queued`,
+          jobId,
+          statusUrl: `/api/jobs/${jobId}`,
+          warnings,
+        });
+      }
+
+      const result = await uploadMultipleQuestions(context, questions, {
+        onConflict,
+        atomic,
+        actor: getActor(req),
+        isCancelled: context.lifecycle.isShuttingDown,
+      });
+
+      res.status(200).json({
+        success: !atomic || (result.failed === 0 && result.cancelled === 0),
+        ...result,
+        warnings,
+      });
+    } catch (error) {
+      console.error('Error importing markdown paper:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Internal server error',
+      });
+    }
+  });
+
+  /**
+   * POST /api/papers/render
+   * Lay out questions as a printable paper with a separate answer key
+   * Body: { ids? | filters?, title?, instructions?, format?, part? }
+   * - ids: question ids in paper order; filters: { subject, chapter, section }
+   * - format 'json' (default): { html, pdf, answerKeyHtml, answerKeyPdf }
+   *   with the PDFs base64 encoded
+   * - format 'html' | 'pdf': the file itself, for part 'paper' (default)
+   *   or 'answer-key'
+   */
+  router.post('/render', requireRole('viewer'), async (req, res) => {
+    try {
+      const invalid = validateRenderBody(req.body);
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          message: invalid,
+        });
+      }
+
+      const { ids, filters = {}, title = 'Question Paper', instructions, format = 'json', part = 'paper' } = req.body;
+
+      const { questions, missingIds } = await loadRenderQuestions(context, {
+        ids,
+        filters: { subject: filters.subject, chapter: filters.chapter, section: filters.section },
+      });
+      if (missingIds.length > 0) {
+        return res.status(404).json({
+          success: false,
+          message: `Questions not found: ${missingIds.join(', ')}`,
+          missingIds,
+        });
+      }
+      if (questions.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'No questions match the filters',
+        });
+      }
+
+      const paper = { title, instructions, sections: groupQuestionsBySubject(questions) };
+
+      if (format === 'json') {
+        const { pdf, answerKeyPdf, ...rendered } = await renderPaper(context, paper);
+        return res.status(200).json({
+          success: true,
+          ...rendered,
+          pdf: pdf.toString('base64'),
+          answerKeyPdf: answerKeyPdf.toString('base64'),
+        });
+      }
+
+      const output = part === 'paper' ? format : `answerKey${format === 'pdf' ? 'Pdf' : 'Html'}`;
+      const rendered = await renderPaper(context, paper, { outputs: [output] });
+      const filename = `${title.replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '') || 'paper'}${part === 'paper' ? '' : '-answer-key'}.${format}`;
+
+      res.status(200);
+      res.setHeader('Content-Type', format === 'pdf' ? 'application/pdf' : 'text/html; charset=utf-8');
+      res.setHeader('Content-Disposition', `${format === 'pdf' ? 'attachment' : 'inline'}; filename="${filename}"`);
+      res.send(rendered[output]);
+    } catch (error) {
+      console.error('Error rendering paper:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Internal server error',
+      });
+    }
+  });
+
+  /**
+   * GET /api/papers
+   * List papers (question references only), most recently updated first
+   * Query params: limit, offset
+   */
+  router.get('/', requireRole('viewer'), async (req, res) => {
+    try {
+      const { papers, total } = await repository.listPapers({ limit: req.query.limit, offset: req.query.offset });
+
+      res.status(200).json({
+        success: true,
+        count: papers.length,
+        total,
+        papers: papers.map(formatPaper),
+      });
+    } catch (error) {
+      console.error('Error listing papers:', error);
+      sendPaperError(res, error);
+    }
+  });
+
+  /**
+   * POST /api/papers
+   * Create a paper
+   * Body: { title, instructions?, durationMinutes, sections: [{ title,
+   * instructions?, marks?, negativeMarks?, questions: [{ questionId, marks?,
+   * negativeMarks? }] }] }
+   * Every question needs marks, its own or its section's. Referenced
+   * questions must exist and not be in the trash (422 otherwise).
+   */
+  router.post('/', requireRole('editor'), async (req, res) => {
+    try {
+      const paper = await createPaper(repository, req.body, getActor(req));
+
+      res.status(201).json({
+        success: true,
+        paper: formatPaper(paper),
+      });
+    } catch (error) {
+      console.error('Error creating paper:', error);
+      sendPaperError(res, error);
+    }
+  });
+
+  /**
+   * GET /api/papers/:id
+   * Get a paper with its questions expanded (`question` on every entry;
+   * null if the question has been deleted since)
+   */
+  router.get('/:id', requireRole('viewer'), async (req, res) => {
+    try {
+      const paper = await repository.getPaper(req.params.id);
+
+      if (!paper) {
+        return res.status(404).json({
+          success: false,
+          message: 'Paper not found',
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        paper: formatPaper(await expandPaper(context, paper)),
+      });
+    } catch (error) {
+      console.error('Error fetching paper:', error);
+      sendPaperError(res, error);
+    }
+  });
+
+  /**
+   * PUT /api/papers/:id
+   * Replace a paper (same body and validation as POST /api/papers)
+   */
+  router.put('/:id', requireRole('editor'), async (req, res) => {
+    try {
+      const paper = await updatePaper(repository, req.params.id, req.body, getActor(req));
+
+      if (!paper) {
+        return res.status(404).json({
+          success: false,
+          message: 'Paper not found',
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        paper: formatPaper(paper),
+      });
+    } catch (error) {
+      console.error('Error updating paper:', error);
+      sendPaperError(res, error);
+    }
+  });
+
+  /**
+   * DELETE /api/papers/:id
+   * Delete a paper (the questions are not affected)
+   */
+  router.delete('/:id', requireRole('editor'), async (req, res) => {
+    try {
+      const deleted = await repository.deletePaperRecord(req.params.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Paper not found',
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Paper deleted',
+      });
+    } catch (error) {
+      console.error('Error deleting paper:', error);
+      sendPaperError(res, error);
+    }
+  });
+
+  return router;
+}
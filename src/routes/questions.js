@@ -1,393 +1,882 @@
 import express from 'express';
-import { uploadQuestionToDB, uploadMultipleQuestions } from '../services/uploadService.js';
-import { getAllQuestions, getQuestionById, getFilterOptions, createIndexes, updateQuestionInMongoDB } from '../services/mongodb.js';
+import { pipeline } from 'stream/promises';
+import { uploadQuestionToDB, uploadMultipleQuestions, CONFLICT_MODES } from '../services/uploadService.js';
+import { buildHighlights } from '../services/search.js';
+import { fetchProxiedImage } from '../services/imageProxy.js';
+import { resolveQuestionImages } from '../services/imageService.js';
+import { getS3KeyForUrl, isStorageUrl } from '../services/s3.js';
+import { sendStoredImage } from './images.js';
+import { validateQuestion } from '../services/validation.js';
+import { requireRole, getActor } from '../middleware/auth.js';
+import { updateQuestionWithImages } from '../services/imageCleanup.js';
+import { purgeTrash } from '../services/trashService.js';
+import { getRevisionWithDiff, revertQuestion } from '../services/revisionService.js';
+import { startBatchUploadJob } from '../services/jobService.js';
+import { createQuestionExport, EXPORT_FORMATS } from '../services/exportService.js';
 
-const router = express.Router();
+/**
+ * Check an upload-batch request body
+ * Returns an error message, or null when the body is usable
+ */
+function validateBatchBody({ questions, onConflict, atomic } = {}) {
+  if (!questions || !Array.isArray(questions)) {
+    return 'Questions array is required';
+  }
+  if (questions.length === 0) {
+    return 'Questions array cannot be empty';
+  }
+  if (onConflict !== undefined && !CONFLICT_MODES.includes(onConflict)) {
+    return `Invalid onConflict mode. Allowed: ${CONFLICT_MODES.join(', ')}`;
+  }
+  if (atomic !== undefined && typeof atomic !== 'boolean') {
+    return 'atomic must be a boolean';
+  }
+  if (atomic && onConflict !== undefined && onConflict !== 'skip') {
+    return 'Atomic uploads only support onConflict "skip"';
+  }
+  return null;
+}
+
+// Comment line sent on idle event streams so proxies keep them open
+const STREAM_HEARTBEAT_MS = 15000;
+
+/**
+ * Start an event stream response: NDJSON when the client accepts
+ * application/x-ndjson, Server-Sent Events otherwise
+ * Returns { send(type, data), end() }
+ */
+function openEventStream(req, res) {
+  const ndjson = req.accepts(['text/event-stream', 'application/x-ndjson']) === 'application/x-ndjson';
+
+  res.status(200);
+  res.setHeader('Content-Type', ndjson ? 'application/x-ndjson' : 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop nginx from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => {
+    res.write(ndjson ? '\n' : ': keep-alive\n\n');
+  }, STREAM_HEARTBEAT_MS);
+
+  return {
+    send(type, data) {
+      if (res.writableEnded) {
+        return;
+      }
+      res.write(ndjson
+        ? `${JSON.stringify({ type, ...data })}\n`
+        : `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) {
+        res.end();
+      }
+    },
+  };
+}
 
 /**
- * POST /api/questions/upload
- * Upload a single question to S3 and MongoDB
+ * Parse a :rev route parameter, returning null if it is not a positive integer
  */
-router.post('/upload', async (req, res) => {
-  try {
-    const { question } = req.body;
+function parseRevision(rev) {
+  const value = Number(rev);
+  return Number.isInteger(value) && value > 0 ? value : null;
+}
 
-    if (!question) {
-      return res.status(400).json({
+/**
+ * Routes under /api/questions; questions are stored through the context's repository
+ */
+export function createQuestionsRouter(context) {
+  const { repository } = context;
+  const resolveImages = question => resolveQuestionImages(context, question);
+  const router = express.Router();
+
+  /**
+   * POST /api/questions/upload
+   * Upload a single question to S3 and MongoDB
+   * Body: { question, onConflict? } where onConflict is 'skip' | 'replace' | 'merge'
+   */
+  router.post('/upload', requireRole('editor'), async (req, res) => {
+    try {
+      const { question, onConflict } = req.body;
+
+      if (!question) {
+        return res.status(400).json({
+          success: false,
+          message: 'Question data is required',
+        });
+      }
+
+      const result = await uploadQuestionToDB(context, question, { onConflict, actor: getActor(req) });
+
+      const statusCode = result.success ? 200 : 400;
+      res.status(statusCode).json(result);
+
+    } catch (error) {
+      console.error('Error uploading question:', error);
+      res.status(500).json({
         success: false,
-        message: 'Question data is required',
+        message: error.message || 'Internal server error',
       });
     }
+  });
+
+  /**
+   * POST /api/questions/validate
+   * Dry-run schema validation for one question or a batch, nothing is saved
+   * Body: { question } or { questions: [] }
+   */
+  router.post('/validate', requireRole('editor'), (req, res) => {
+    const { question, questions } = req.body;
+    const batch = Array.isArray(questions) ? questions : question ? [question] : null;
 
-    // Validate question structure based on type
-    const questionType = question.type || 'single';
-    
-    if (!question.id) {
+    if (!batch) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid question format. Required field: id',
+        message: 'Question data or questions array is required',
       });
     }
 
-    // Type-specific validation
-    if (questionType === 'comprehension') {
-      if (!question.comprehension_passage || !question.sub_questions) {
-        return res.status(400).json({
-          success: false,
-          message: 'Comprehension questions require passage and sub_questions',
-        });
-      }
-    } else if (questionType === 'matrix') {
-      if (!question.matrix_match) {
+    const results = batch.map((item, index) => ({
+      index,
+      id: item?.id,
+      ...validateQuestion(item),
+    }));
+
+    res.status(200).json({
+      success: true,
+      valid: results.every(result => result.valid),
+      results,
+    });
+  });
+
+  /**
+   * POST /api/questions/upload-batch
+   * Upload multiple questions at once
+   * Body: { questions, onConflict?, atomic?, async? } where onConflict is 'skip' | 'replace' | 'merge'
+   * With atomic: true either every question is uploaded or none is
+   * With async: true the batch runs as a background job and 202 { jobId } is
+   * returned immediately (poll GET /api/jobs/:id)
+   * If the server shuts down meanwhile, questions not yet started are
+   * reported as 'cancelled'
+   */
+  router.post('/upload-batch', requireRole('editor'), async (req, res) => {
+    try {
+      const { questions, onConflict, atomic = false, async: runAsJob = false } = req.body;
+
+      const invalid = validateBatchBody(req.body);
+      if (invalid) {
         return res.status(400).json({
           success: false,
-          message: 'Matrix questions require matrix_match field',
+          message: invalid,
         });
       }
-    } else if (questionType === 'integer') {
-      if (!question.content) {
-        return res.status(400).json({
-          success: false,
-          message: 'Integer questions require content field',
+
+      if (runAsJob) {
+        const jobId = await startBatchUploadJob(context, questions, { onConflict, atomic, actor: getActor(req) });
+        return res.status(202).json({
+          success: true,
+          message: `Batch of ${questions.length} question(s) queued`,
+          jobId,
+          statusUrl: `/api/jobs/${jobId}`,
         });
       }
-    } else {
-      // For single/multiple choice - backward compatibility
-      if (!question.content && !question.description) {
-        return res.status(400).json({
-          success: false,
-          message: 'Questions require content or description field',
-        });
+
+      const result = await uploadMultipleQuestions(context, questions, {
+        onConflict,
+        atomic,
+        actor: getActor(req),
+        isCancelled: context.lifecycle.isShuttingDown,
+      });
+
+      res.status(200).json({
+        success: !atomic || (result.failed === 0 && result.cancelled === 0),
+        ...result,
+      });
+
+    } catch (error) {
+      console.error('Error uploading batch:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Internal server error',
+      });
+    }
+  });
+
+  /**
+   * POST /api/questions/upload-batch/stream
+   * Same as /upload-batch, but reports progress while the batch runs as
+   * Server-Sent Events (or NDJSON with Accept: application/x-ndjson).
+   * Events: question-start, image, saved, question-done, then summary (or error)
+   * If the client disconnects or the server shuts down, questions not yet
+   * started are cancelled.
+   */
+  router.post('/upload-batch/stream', requireRole('editor'), async (req, res) => {
+    const { questions, onConflict, atomic = false } = req.body;
+
+    const invalid = validateBatchBody(req.body);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid,
+      });
+    }
+
+    let disconnected = false;
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        disconnected = true;
+        console.warn('Batch upload stream closed by client; cancelling remaining questions');
       }
+    });
+
+    const stream = openEventStream(req, res);
+
+    try {
+      const { results, ...summary } = await uploadMultipleQuestions(context, questions, {
+        onConflict,
+        atomic,
+        actor: getActor(req),
+        isCancelled: () => disconnected || context.lifecycle.isShuttingDown(),
+        onProgress: ({ type, ...event }) => stream.send(type, event),
+      });
+
+      stream.send('summary', { success: !atomic || (summary.failed === 0 && summary.cancelled === 0), ...summary });
+    } catch (error) {
+      console.error('Error streaming batch upload:', error);
+      stream.send('error', { success: false, message: error.message || 'Internal server error' });
+    } finally {
+      stream.end();
     }
+  });
+
+  /**
+   * GET /api/questions
+   * Get a page of questions from MongoDB with optional filtering
+   * Query params: subject, chapter, section, limit, cursor, sort, fields
+   */
+  router.get('/', requireRole('viewer'), async (req, res) => {
+    try {
+      const filters = {};
+
+      // Extract filter parameters from query string
+      if (req.query.subject) {
+        filters.subject = req.query.subject;
+      }
 
-    const result = await uploadQuestionToDB(question);
+      if (req.query.chapter) {
+        filters.chapter = req.query.chapter;
+      }
 
-    const statusCode = result.success ? 200 : 400;
-    res.status(statusCode).json(result);
+      if (req.query.section) {
+        filters.section = req.query.section;
+      }
 
-  } catch (error) {
-    console.error('Error uploading question:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Internal server error',
-    });
-  }
-});
+      const { limit, cursor, sort, fields } = req.query;
 
-/**
- * POST /api/questions/upload-batch
- * Upload multiple questions at once
- */
-router.post('/upload-batch', async (req, res) => {
-  try {
-    const { questions } = req.body;
+      const { questions, total, nextCursor } = await repository.getAllQuestions(filters, {
+        limit,
+        cursor,
+        sort,
+        fields,
+      });
 
-    if (!questions || !Array.isArray(questions)) {
-      return res.status(400).json({
+      res.status(200).json({
+        success: true,
+        count: questions.length,
+        total,
+        nextCursor,
+        filters: filters,
+        questions: questions.map(resolveImages),
+      });
+    } catch (error) {
+      console.error('Error fetching questions:', error);
+      res.status(error.statusCode || 500).json({
         success: false,
-        message: 'Questions array is required',
+        message: error.message || 'Internal server error',
       });
     }
+  });
 
-    if (questions.length === 0) {
-      return res.status(400).json({
+  /**
+   * GET /api/questions/export
+   * Download every question matching the filters as a file
+   * Query params: format (markdown | ndjson | csv | qti, default markdown),
+   * subject, chapter, section
+   * The export is streamed; markdown re-imports through POST /api/papers/import
+   * and ndjson through /upload-batch.
+   */
+  router.get('/export', requireRole('viewer'), async (req, res) => {
+    const { format = 'markdown', subject, chapter, section } = req.query;
+
+    try {
+      if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid export format. Allowed: ${EXPORT_FORMATS.join(', ')}`,
+        });
+      }
+
+      const filters = {};
+      if (subject) filters.subject = subject;
+      if (chapter) filters.chapter = chapter;
+      if (section) filters.section = section;
+
+      const cursor = await repository.streamQuestions(filters);
+      const { stream, contentType, extension } = createQuestionExport(context, format, cursor);
+      const filename = `questions-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+      res.status(200);
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Cache-Control', 'no-store');
+
+      await pipeline(stream, res);
+    } catch (error) {
+      console.error('Error exporting questions:', error);
+      if (res.headersSent) {
+        // Part of the file is already sent; the client sees a truncated download
+        res.destroy(error);
+        return;
+      }
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Internal server error',
+      });
+    }
+  });
+
+  /**
+   * GET /api/questions/search
+   * Full-text search across question content, options and passages
+   * Query params: q (required), subject, chapter, section, limit, offset
+   */
+  router.get('/search', requireRole('viewer'), async (req, res) => {
+    try {
+      const { q, subject, chapter, section, limit, offset } = req.query;
+      const filters = {};
+      if (subject) filters.subject = subject;
+      if (chapter) filters.chapter = chapter;
+      if (section) filters.section = section;
+
+      const { questions, total } = await repository.searchQuestions(q, filters, { limit, offset });
+
+      res.status(200).json({
+        success: true,
+        query: q,
+        count: questions.length,
+        total,
+        filters,
+        questions: questions.map(question => ({
+          ...resolveImages(question),
+          highlights: buildHighlights(question, q),
+        })),
+      });
+    } catch (error) {
+      console.error('Error searching questions:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Internal server error',
+      });
+    }
+  });
+
+  /**
+   * GET /api/questions/filter-options
+   * Get unique values for filter dropdowns with cascading logic
+   * Query params: subject, section (for cascading filters)
+   */
+  router.get('/filter-options', requireRole('viewer'), async (req, res) => {
+    try {
+      const { subject, section } = req.query;
+      const filters = {};
+      if (subject) filters.subject = subject;
+      if (section) filters.section = section;
+
+      const options = await repository.getFilterOptions(filters);
+      res.status(200).json({
+        success: true,
+        options,
+      });
+    } catch (error) {
+      console.error('Error fetching filter options:', error);
+      res.status(500).json({
         success: false,
-        message: 'Questions array cannot be empty',
+        message: error.message || 'Internal server error',
       });
     }
+  });
 
-    const result = await uploadMultipleQuestions(questions);
+  /**
+   * POST /api/questions/create-indexes
+   * Create database indexes for optimized filtering
+   */
+  router.post('/create-indexes', requireRole('admin'), async (req, res) => {
+    try {
+      await repository.createIndexes();
+      res.status(200).json({
+        success: true,
+        message: 'Indexes created successfully',
+      });
+    } catch (error) {
+      console.error('Error creating indexes:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Internal server error',
+      });
+    }
+  });
 
+  /**
+   * GET /api/questions/health
+   * Health check endpoint
+   */
+  router.get('/health', (req, res) => {
     res.status(200).json({
       success: true,
-      ...result,
+      message: 'Questions API is healthy',
+      timestamp: new Date().toISOString(),
     });
+  });
 
-  } catch (error) {
-    console.error('Error uploading batch:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Internal server error',
-    });
-  }
-});
+  /**
+   * GET /api/questions/image-proxy
+   * Proxy images to avoid CORS issues. Our own images (image:// references
+   * or bucket URLs) are read from S3 directly, and only under questions/;
+   * other URLs must be on IMAGE_PROXY_ALLOWED_HOSTS.
+   */
+  router.get('/image-proxy', requireRole('viewer'), async (req, res) => {
+    try {
+      const { url } = req.query;
+
+      if (!url || typeof url !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: 'Image URL is required',
+        });
+      }
 
-/**
- * GET /api/questions
- * Get all questions from MongoDB with optional filtering
- * Query params: subject, chapter, section
- */
-router.get('/', async (req, res) => {
-  try {
-    const filters = {};
-    
-    // Extract filter parameters from query string
-    if (req.query.subject) {
-      filters.subject = req.query.subject;
-    }
-    
-    if (req.query.chapter) {
-      filters.chapter = req.query.chapter;
-    }
-    
-    if (req.query.section) {
-      filters.section = req.query.section;
+      const key = getS3KeyForUrl(context, url);
+      if (key) {
+        return await sendStoredImage(context, req, res, key);
+      }
+      // Anything else in our storage is not an image this API serves
+      if (isStorageUrl(context, url)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid image key',
+        });
+      }
+
+      const image = await fetchProxiedImage(context, url);
+
+      // Set headers
+      res.setHeader('Content-Type', image.contentType);
+      if (image.contentLength) {
+        res.setHeader('Content-Length', image.contentLength);
+      }
+      // Bucket objects are content-addressed and never change
+      res.setHeader('Cache-Control', image.isOwnBucket ? 'public, max-age=31536000, immutable' : 'public, max-age=3600');
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      // Neutralise scripts in proxied SVGs opened directly
+      res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+
+      // Pipe the image
+      image.body.on('error', error => {
+        console.error('Error streaming proxied image:', error.message);
+        res.destroy(error);
+      });
+      image.body.pipe(res);
+
+    } catch (error) {
+      console.error('Error proxying image:', error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to proxy image',
+      });
     }
-    
-    const questions = await getAllQuestions(filters);
-    
-    res.status(200).json({
-      success: true,
-      count: questions.length,
-      filters: filters,
-      questions,
-    });
-  } catch (error) {
-    console.error('Error fetching questions:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Internal server error',
-    });
-  }
-});
+  });
 
-/**
- * GET /api/questions/filter-options
- * Get unique values for filter dropdowns with cascading logic
- * Query params: subject, section (for cascading filters)
- */
-router.get('/filter-options', async (req, res) => {
-  try {
-    const { subject, section } = req.query;
-    const filters = {};
-    if (subject) filters.subject = subject;
-    if (section) filters.section = section;
-    
-    const options = await getFilterOptions(filters);
-    res.status(200).json({
-      success: true,
-      options,
-    });
-  } catch (error) {
-    console.error('Error fetching filter options:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Internal server error',
-    });
-  }
-});
+  /**
+   * PUT /api/questions/:id
+   * Update a question by MongoDB _id; the previous version is kept as a revision
+   * Body: { question }
+   */
+  router.put('/:id', requireRole('editor'), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { question } = req.body;
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Question ID is required',
+        });
+      }
 
-/**
- * POST /api/questions/create-indexes
- * Create database indexes for optimized filtering
- */
-router.post('/create-indexes', async (req, res) => {
-  try {
-    await createIndexes();
-    res.status(200).json({
-      success: true,
-      message: 'Indexes created successfully',
-    });
-  } catch (error) {
-    console.error('Error creating indexes:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Internal server error',
-    });
-  }
-});
+      if (!question) {
+        return res.status(400).json({
+          success: false,
+          message: 'Question data is required',
+        });
+      }
 
-/**
- * GET /api/questions/health
- * Health check endpoint
- */
-router.get('/health', (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'Questions API is healthy',
-    timestamp: new Date().toISOString(),
+      // Validate the question as it will look after the update
+      const existing = await repository.getQuestionByDocumentId(id);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Question not found',
+        });
+      }
+
+      const { _id, ...current } = existing;
+      const validation = validateQuestion({ ...current, ...question });
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Question failed validation',
+          errors: validation.errors,
+        });
+      }
+
+      // Replaced images stay in S3 while the archived revision references them
+      await updateQuestionWithImages(context, id, question, { updatedBy: getActor(req) });
+
+      res.status(200).json({
+        success: true,
+        message: 'Question updated successfully',
+      });
+    } catch (error) {
+      console.error('Error updating question:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to update question',
+      });
+    }
   });
-});
 
-/**
- * GET /api/questions/image-proxy
- * Proxy images from S3 to avoid CORS issues
- */
-router.get('/image-proxy', async (req, res) => {
-  try {
-    const { url } = req.query;
-    
-    if (!url) {
-      return res.status(400).json({
+  /**
+   * DELETE /api/questions/:id
+   * Move a question to the trash by MongoDB _id
+   */
+  router.delete('/:id', requireRole('editor'), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Question ID is required',
+        });
+      }
+
+      const deleted = await repository.softDeleteQuestion(id, getActor(req));
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Question not found',
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Question moved to trash',
+      });
+    } catch (error) {
+      console.error('Error deleting question:', error);
+      res.status(error.statusCode || 500).json({
         success: false,
-        message: 'Image URL is required',
+        message: error.message || 'Failed to delete question',
       });
     }
+  });
+
+  /**
+   * POST /api/questions/delete-batch
+   * Move multiple questions to the trash by their MongoDB _ids
+   * Body: { questionIds }
+   */
+  router.post('/delete-batch', requireRole('editor'), async (req, res) => {
+    try {
+      const { questionIds } = req.body;
+
+      if (!questionIds || !Array.isArray(questionIds)) {
+        return res.status(400).json({
+          success: false,
+          message: 'questionIds array is required',
+        });
+      }
 
-    // Fetch image from S3
-    const fetch = (await import('node-fetch')).default;
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch image: ${response.statusText}`);
+      if (questionIds.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'questionIds array cannot be empty',
+        });
+      }
+
+      const result = await repository.softDeleteQuestions(questionIds, getActor(req));
+
+      res.status(200).json({
+        success: true,
+        message: `Successfully moved ${result.deletedCount} question(s) to trash`,
+        deletedCount: result.deletedCount,
+      });
+    } catch (error) {
+      console.error('Error deleting questions:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to delete questions',
+      });
     }
+  });
 
-    // Get content type
-    const contentType = response.headers.get('content-type') || 'image/jpeg';
-    
-    // Set headers
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Cache-Control', 'public, max-age=31536000'); // Cache for 1 year
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    
-    // Pipe the image
-    response.body.pipe(res);
-
-  } catch (error) {
-    console.error('Error proxying image:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Failed to proxy image',
-    });
-  }
-});
+  /**
+   * GET /api/questions/trash
+   * List soft-deleted questions
+   * Query params: subject, chapter, section, limit, cursor, sort (default -deletedAt), fields
+   */
+  router.get('/trash', requireRole('editor'), async (req, res) => {
+    try {
+      const { subject, chapter, section, limit, cursor, sort = '-deletedAt', fields } = req.query;
+      const filters = {};
+      if (subject) filters.subject = subject;
+      if (chapter) filters.chapter = chapter;
+      if (section) filters.section = section;
+
+      const { questions, total, nextCursor } = await repository.getAllQuestions(filters, {
+        limit,
+        cursor,
+        sort,
+        fields,
+        trashed: true,
+      });
 
-/**
- * PUT /api/questions/:id
- * Update a question by MongoDB _id
- */
-router.put('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { question } = req.body;
-    
-    if (!id) {
-      return res.status(400).json({
+      res.status(200).json({
+        success: true,
+        count: questions.length,
+        total,
+        nextCursor,
+        filters,
+        questions: questions.map(resolveImages),
+      });
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      res.status(error.statusCode || 500).json({
         success: false,
-        message: 'Question ID is required',
+        message: error.message || 'Internal server error',
       });
     }
+  });
 
-    if (!question) {
-      return res.status(400).json({
+  /**
+   * POST /api/questions/trash/purge
+   * Permanently delete trashed questions older than the retention period
+   * (TRASH_RETENTION_DAYS), removing images no other question uses
+   * Body (optional): { questionIds } to limit the purge to specific questions
+   */
+  router.post('/trash/purge', requireRole('admin'), async (req, res) => {
+    try {
+      const { questionIds } = req.body || {};
+
+      if (questionIds !== undefined && !Array.isArray(questionIds)) {
+        return res.status(400).json({
+          success: false,
+          message: 'questionIds must be an array',
+        });
+      }
+
+      const result = await purgeTrash(context, { questionIds });
+
+      res.status(200).json({
+        success: true,
+        message: `Purged ${result.purgedCount} question(s) from trash`,
+        ...result,
+      });
+    } catch (error) {
+      console.error('Error purging trash:', error);
+      res.status(error.statusCode || 500).json({
         success: false,
-        message: 'Question data is required',
+        message: error.message || 'Failed to purge trash',
       });
     }
+  });
 
-    await updateQuestionInMongoDB(id, question);
+  /**
+   * POST /api/questions/:id/restore
+   * Restore a trashed question by MongoDB _id
+   */
+  router.post('/:id/restore', requireRole('editor'), async (req, res) => {
+    try {
+      const restored = await repository.restoreQuestion(req.params.id);
 
-    res.status(200).json({
-      success: true,
-      message: 'Question updated successfully',
-    });
-  } catch (error) {
-    console.error('Error updating question:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Failed to update question',
-    });
-  }
-});
+      if (!restored) {
+        return res.status(404).json({
+          success: false,
+          message: 'Question not found in trash',
+        });
+      }
 
-/**
- * DELETE /api/questions/:id
- * Delete a question by MongoDB _id
- */
-router.delete('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    if (!id) {
-      return res.status(400).json({
+      res.status(200).json({
+        success: true,
+        message: 'Question restored successfully',
+      });
+    } catch (error) {
+      console.error('Error restoring question:', error);
+      res.status(error.statusCode || 500).json({
         success: false,
-        message: 'Question ID is required',
+        message: error.message || 'Failed to restore question',
       });
     }
+  });
 
-    const { deleteQuestionFromMongoDB } = await import('../services/mongodb.js');
-    await deleteQuestionFromMongoDB(id);
+  /**
+   * GET /api/questions/:id/revisions
+   * List the stored previous versions of a question by MongoDB _id
+   */
+  router.get('/:id/revisions', requireRole('viewer'), async (req, res) => {
+    try {
+      const question = await repository.getQuestionByDocumentId(req.params.id);
 
-    res.status(200).json({
-      success: true,
-      message: 'Question deleted successfully',
-    });
-  } catch (error) {
-    console.error('Error deleting question:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Failed to delete question',
-    });
-  }
-});
+      if (!question) {
+        return res.status(404).json({
+          success: false,
+          message: 'Question not found',
+        });
+      }
 
-/**
- * POST /api/questions/delete-batch
- * Delete multiple questions by their MongoDB _ids
- */
-router.post('/delete-batch', async (req, res) => {
-  try {
-    const { questionIds } = req.body;
-    
-    if (!questionIds || !Array.isArray(questionIds)) {
-      return res.status(400).json({
+      const revisions = await repository.getQuestionRevisions(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        currentRevision: question.revision || 1,
+        revisions: revisions.map(({ rev, archivedAt, snapshot }) => ({
+          rev,
+          archivedAt,
+          updatedAt: snapshot?.updatedAt || snapshot?.uploadedAt,
+          updatedBy: snapshot?.updatedBy,
+        })),
+      });
+    } catch (error) {
+      console.error('Error fetching revisions:', error);
+      res.status(error.statusCode || 500).json({
         success: false,
-        message: 'questionIds array is required',
+        message: error.message || 'Internal server error',
       });
     }
+  });
 
-    if (questionIds.length === 0) {
-      return res.status(400).json({
+  /**
+   * GET /api/questions/:id/revisions/:rev
+   * Get a stored revision with a field-level diff against the current version
+   */
+  router.get('/:id/revisions/:rev', requireRole('viewer'), async (req, res) => {
+    try {
+      const rev = parseRevision(req.params.rev);
+      if (!rev) {
+        return res.status(400).json({
+          success: false,
+          message: 'Revision must be a positive integer',
+        });
+      }
+
+      const question = await repository.getQuestionByDocumentId(req.params.id);
+      if (!question) {
+        return res.status(404).json({
+          success: false,
+          message: 'Question not found',
+        });
+      }
+
+      const revision = await getRevisionWithDiff(repository, question, rev);
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          message: `Revision ${rev} not found`,
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        currentRevision: question.revision || 1,
+        ...revision,
+        question: resolveImages(revision.question),
+      });
+    } catch (error) {
+      console.error('Error fetching revision:', error);
+      res.status(error.statusCode || 500).json({
         success: false,
-        message: 'questionIds array cannot be empty',
+        message: error.message || 'Internal server error',
       });
     }
+  });
 
-    const { deleteMultipleQuestionsFromMongoDB } = await import('../services/mongodb.js');
-    const result = await deleteMultipleQuestionsFromMongoDB(questionIds);
+  /**
+   * POST /api/questions/:id/revisions/:rev/revert
+   * Make a stored revision the current version (the replaced version is archived)
+   */
+  router.post('/:id/revisions/:rev/revert', requireRole('editor'), async (req, res) => {
+    try {
+      const rev = parseRevision(req.params.rev);
+      if (!rev) {
+        return res.status(400).json({
+          success: false,
+          message: 'Revision must be a positive integer',
+        });
+      }
 
-    res.status(200).json({
-      success: true,
-      message: `Successfully deleted ${result.deletedCount} question(s)`,
-      deletedCount: result.deletedCount,
-    });
-  } catch (error) {
-    console.error('Error deleting questions:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Failed to delete questions',
-    });
-  }
-});
+      // Validates the ID format before touching the history
+      await repository.getQuestionByDocumentId(req.params.id);
 
-/**
- * GET /api/questions/:id
- * Get a specific question by ID
- * NOTE: This must come AFTER specific routes like /health and /image-proxy
- */
-router.get('/:id', async (req, res) => {
-  try {
-    const question = await getQuestionById(req.params.id);
-    
-    if (!question) {
-      return res.status(404).json({
+      const result = await revertQuestion(context, req.params.id, rev, { updatedBy: getActor(req) });
+
+      res.status(200).json({
+        success: true,
+        message: `Question reverted to revision ${rev}`,
+        ...result,
+      });
+    } catch (error) {
+      console.error('Error reverting question:', error);
+      res.status(error.statusCode || 500).json({
         success: false,
-        message: 'Question not found',
+        message: error.message || 'Failed to revert question',
       });
     }
+  });
 
-    res.status(200).json({
-      success: true,
-      question,
-    });
-  } catch (error) {
-    console.error('Error fetching question:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Internal server error',
-    });
-  }
-});
+  /**
+   * GET /api/questions/:id
+   * Get a specific question by ID
+   * NOTE: This must come AFTER specific routes like /health and /image-proxy
+   */
+  router.get('/:id', requireRole('viewer'), async (req, res) => {
+    try {
+      const question = await repository.getQuestionById(req.params.id);
+
+      if (!question) {
+        return res.status(404).json({
+          success: false,
+          message: 'Question not found',
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        question: resolveImages(question),
+      });
+    } catch (error) {
+      console.error('Error fetching question:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Internal server error',
+      });
+    }
+  });
 
-export default router;
+  return router;
+}
@@ -1,88 +1,28 @@
 import { config, initializeConfig } from './config/env.js';
-import express from 'express';
-import cors from 'cors';
-import helmet from 'helmet';
-import morgan from 'morgan';
-import questionsRouter from './routes/questions.js';
-import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
+import { createApp } from './app.js';
+import { resumeUnfinishedJobs } from './services/jobService.js';
+import { createRepository } from './services/repository/index.js';
+import { createStorage } from './services/storage/index.js';
+import { createGracefulShutdown } from './shutdown.js';
 
 /**
- * Initialize and start the server
+ * Command line entry point: load the configuration, build the app and
+ * listen on PORT (see app.js for using the API inside another app)
  */
 async function startServer() {
   try {
     // Load configuration (from .env or AWS Secrets Manager)
     await initializeConfig();
     
-    const app = express();
+    // Database and image storage for every route and background job
+    const repository = createRepository(config);
+    const storage = createStorage(config);
+    
+    const app = createApp({ config, repository, storage });
     const PORT = config.port;
 
-    // Security middleware
-    app.use(helmet());
-
-    // CORS configuration
-    const corsOptions = {
-      origin: (origin, callback) => {
-        if (config.hostEnv === 'local') {
-          // Allow any localhost port in development
-          if (!origin || /^http:\/\/localhost:\d+$/.test(origin)) {
-            callback(null, true);
-          } else {
-            callback(new Error('Not allowed by CORS'));
-          }
-        } else {
-          // In production, allow the configured frontendUrl and any EC2 IP addresses
-          const allowedOrigins = [config.frontendUrl];
-          
-          // Also allow EC2 public IPs (format: http://XX.XX.XX.XX:port)
-          const isEC2IP = origin && /^http:\/\/\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}(:\d+)?$/.test(origin);
-          
-          if (!origin || allowedOrigins.includes(origin) || isEC2IP) {
-            callback(null, true);
-          } else {
-            console.warn(`CORS blocked origin: ${origin}`);
-            callback(new Error('Not allowed by CORS'));
-          }
-        }
-      },
-      credentials: true,
-      optionsSuccessStatus: 200,
-    };
-    app.use(cors(corsOptions));
-
-    // Body parsing middleware
-    app.use(express.json({ limit: '10mb' }));
-    app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
-    // Logging middleware
-    if (config.nodeEnv === 'development') {
-      app.use(morgan('dev'));
-    } else {
-      app.use(morgan('combined'));
-    }
-
-    // Health check endpoint
-    app.get('/health', (req, res) => {
-      res.status(200).json({
-        success: true,
-        message: 'Markdown Q&A API is running',
-        timestamp: new Date().toISOString(),
-        environment: config.nodeEnv,
-        secretsSource: config.secretsSource,
-      });
-    });
-
-    // API Routes
-    app.use('/api/questions', questionsRouter);
-
-    // 404 handler
-    app.use(notFoundHandler);
-
-    // Error handler
-    app.use(errorHandler);
-
     // Start server
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`
 ╔════════════════════════════════════════════════════════╗
 ║                                                        ║
@@ -92,29 +32,59 @@ async function startServer() {
 ║   Environment: ${config.nodeEnv}                      ║
 ║   Host Environment: ${config.hostEnv}                 ║
 ║   Secrets Source: ${config.secretsSource}             ║
+║   Database: ${config.database.driver}                          ║
 ║   Frontend URL(s) Allowed: ${config.hostEnv === 'local' ? 'http://localhost:*' : config.frontendUrl}                 ║
 ║                                                        ║
 ║   API Endpoints:                                       ║
 ║   - POST /api/questions/upload                         ║
 ║   - POST /api/questions/upload-batch                   ║
+║   - POST /api/questions/upload-batch/stream            ║
 ║   - GET  /api/questions                                ║
+║   - GET  /api/questions/export                         ║
 ║   - GET  /api/questions/:id                            ║
 ║   - GET  /api/questions/image-proxy                    ║
+║   - POST /api/images                                   ║
+║   - GET  /api/images/:key                              ║
+║   - GET  /storage/:key (STORAGE_DRIVER=local)          ║
+║   - POST /api/admin/images/gc                          ║
+║   - GET  /api/jobs/:id                                 ║
+║   - GET  /api/papers/:id                               ║
+║   - POST /api/papers/import                            ║
+║   - POST /api/papers/render                            ║
+║   - POST /api/auth/keys                                ║
 ║   - GET  /health                                       ║
 ║                                                        ║
 ╚════════════════════════════════════════════════════════╝
       `);
+
+      // Tell PM2 (wait_ready) that this instance can take traffic
+      if (process.send) {
+        process.send('ready');
+      }
     });
 
-    // Graceful shutdown
-    process.on('SIGTERM', () => {
-      console.log('SIGTERM signal received: closing HTTP server');
-      process.exit(0);
+    // Pick up background jobs interrupted by a restart or reload; jobs a
+    // previous instance still holds are picked up when it lets them go
+    resumeUnfinishedJobs(app.locals.context).catch(error => {
+      console.error('Failed to resume unfinished jobs:', error);
     });
 
-    process.on('SIGINT', () => {
-      console.log('\nSIGINT signal received: closing HTTP server');
-      process.exit(0);
+    // Graceful shutdown: drain requests and jobs, then close the database
+    const shutdown = createGracefulShutdown({ server, context: app.locals.context, timeoutMs: config.shutdown.timeoutMs });
+    const onShutdownRequest = async reason => {
+      console.log(`\n${reason} received: shutting down gracefully`);
+      const { timedOut } = await shutdown();
+      process.exit(timedOut ? 1 : 0);
+    };
+
+    process.on('SIGTERM', () => onShutdownRequest('SIGTERM signal'));
+    process.on('SIGINT', () => onShutdownRequest('SIGINT signal'));
+
+    // PM2 sends a message instead of a signal with shutdown_with_message (e.g. on Windows)
+    process.on('message', message => {
+      if (message === 'shutdown') {
+        onShutdownRequest('Shutdown message');
+      }
     });
 
   } catch (error) {
@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { createHttpError } from './errors.js';
+
+// Roles in increasing order of privilege
+export const ROLES = ['viewer', 'editor', 'admin'];
+
+const API_KEY_PREFIX = 'ppk_';
+
+/**
+ * Check whether a role grants at least the required role
+ */
+export function hasRole(role, requiredRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole) && ROLES.includes(role);
+}
+
+/**
+ * Hash an API key for storage and lookup
+ * Keys are long random strings, so a plain SHA-256 is sufficient.
+ */
+export function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Create a new API key. The plaintext key is only returned here, never stored.
+ * Returns { apiKey, record }
+ */
+export async function createApiKey(repository, { name, role, createdBy }) {
+  if (!ROLES.includes(role)) {
+    throw createHttpError(400, `Invalid role "${role}". Allowed: ${ROLES.join(', ')}`);
+  }
+
+  const apiKey = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const record = await repository.createApiKeyRecord({
+    name,
+    role,
+    hash: hashApiKey(apiKey),
+    prefix: apiKey.slice(0, API_KEY_PREFIX.length + 6),
+    createdBy,
+  });
+
+  const { hash, ...safeRecord } = record;
+  return { apiKey, record: safeRecord };
+}
+
+/**
+ * Resolve an API key to a principal, or null if it is unknown or revoked
+ */
+export async function authenticateApiKey({ repository, config }, apiKey) {
+  const hash = hashApiKey(apiKey);
+
+  // Bootstrap key from configuration, for creating the first real keys
+  const { bootstrapApiKey } = config.auth;
+  if (bootstrapApiKey) {
+    const bootstrapHash = Buffer.from(hashApiKey(bootstrapApiKey), 'hex');
+    if (crypto.timingSafeEqual(Buffer.from(hash, 'hex'), bootstrapHash)) {
+      return { type: 'apiKey', id: 'bootstrap', name: 'Bootstrap key', role: 'admin' };
+    }
+  }
+
+  const record = await repository.findActiveApiKeyByHash(hash);
+  if (!record) {
+    return null;
+  }
+
+  repository.touchApiKey(record._id).catch(error => {
+    console.warn('Failed to record API key usage:', error.message);
+  });
+
+  return { type: 'apiKey', id: record._id.toString(), name: record.name, role: record.role };
+}
+
+/**
+ * Verify a signed JWT and resolve it to a principal, or null if invalid
+ * Expected claims: sub, role, and optionally name
+ */
+export function authenticateJwt({ config }, token) {
+  const { jwtSecret, jwtIssuer, jwtAudience } = config.auth;
+  if (!jwtSecret) {
+    return null;
+  }
+
+  try {
+    const claims = jwt.verify(token, jwtSecret, {
+      algorithms: ['HS256'],
+      ...(jwtIssuer && { issuer: jwtIssuer }),
+      ...(jwtAudience && { audience: jwtAudience }),
+    });
+
+    if (!claims.sub || !ROLES.includes(claims.role)) {
+      return null;
+    }
+
+    return { type: 'jwt', id: String(claims.sub), name: claims.name || String(claims.sub), role: claims.role };
+  } catch (error) {
+    console.warn('JWT rejected:', error.message);
+    return null;
+  }
+}
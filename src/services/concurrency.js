@@ -0,0 +1,26 @@
+/**
+ * Run fn over items with at most `limit` calls in flight
+ * fn is called in item order as slots free up; results keep item order.
+ * The first error rejects the whole run and stops new items from starting.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(Number(limit) || 1, items.length));
+  let next = 0;
+  let failed = false;
+
+  async function worker() {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
@@ -0,0 +1,10 @@
+/**
+ * Create an error carrying the HTTP status a route should answer with
+ * details are copied onto the error (e.g. { errors } for validation
+ * failures, { reason } for images that could not be stored).
+ */
+export function createHttpError(statusCode, message, details = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return Object.assign(error, details);
+}
@@ -0,0 +1,603 @@
+import { Readable } from 'stream';
+import archiver from 'archiver';
+import { resolveQuestionImages } from './imageService.js';
+import { getS3KeyForUrl, getImageObject } from './s3.js';
+import { findOptionIndex } from './validation.js';
+import { createHttpError } from './errors.js';
+
+/**
+ * Question export
+ *
+ * Every format is produced from a MongoDB cursor one question at a time, so
+ * large exports are streamed rather than buffered:
+ * - markdown: the format parsed by markdownParser.js (re-importable)
+ * - ndjson:   one question per line, as accepted by /upload-batch
+ * - csv:      one row per question (and per comprehension sub-question)
+ * - qti:      IMS QTI 2.1 content package (zip) with our images embedded
+ */
+
+export const EXPORT_FORMATS = ['markdown', 'ndjson', 'csv', 'qti'];
+
+const FORMAT_DETAILS = {
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  qti: { contentType: 'application/zip', extension: 'zip' },
+};
+
+// Server-managed fields that are not part of the uploaded question
+const INTERNAL_FIELDS = [
+  '_id', 'uploadedAt', 'uploadedBy', 'updatedAt', 'updatedBy', 'deletedAt', 'deletedBy',
+  'revision', 'originalImageUrl', 's3ImageUrl',
+];
+
+const OPTION_LETTERS = 'ABCDEFGH';
+
+/**
+ * Strip server-managed fields so the question has its upload shape
+ */
+function toExportedQuestion(document) {
+  const question = { ...document };
+  INTERNAL_FIELDS.forEach(field => delete question[field]);
+  return question;
+}
+
+/**
+ * Question text (content.text, falling back to the legacy description)
+ */
+export function getQuestionText(question) {
+  return question.content?.text ?? question.description ?? '';
+}
+
+/**
+ * Question images, including the legacy single imageUrl
+ */
+export function getQuestionImages(question) {
+  const images = [...(question.content?.images || [])];
+  if (question.imageUrl && !images.includes(question.imageUrl)) {
+    images.push(question.imageUrl);
+  }
+  return images;
+}
+
+/**
+ * Options as { letter, text, image_url } with the answers mapped to letters
+ * Labels are replaced by letters (A, B, ...) because that is what the
+ * markdown and QTI formats identify options by.
+ */
+export function getLetteredChoices(question) {
+  const options = (question.options || []).map((option, index) => ({
+    letter: OPTION_LETTERS[index] || String(index + 1),
+    text: typeof option === 'string' ? option : option.text || '',
+    image_url: typeof option === 'string' ? undefined : option.image_url,
+  }));
+  const answers = (question.answers || [])
+    .map(answer => findOptionIndex(question.options || [], answer))
+    .filter(index => index !== -1)
+    .map(index => options[index].letter);
+  return { options, answers };
+}
+
+/**
+ * Matrix answers as "P-1; Q-2,3"
+ */
+export function formatMatrixAnswers(answers = {}) {
+  return Object.entries(answers)
+    .map(([row, columns]) => `${row}-${columns.join(',')}`)
+    .join('; ');
+}
+
+// ---------------------------------------------------------------------------
+// Markdown
+// ---------------------------------------------------------------------------
+
+/**
+ * Indent every line after the first (continuation lines of a numbered item)
+ */
+function indentText(text, indent) {
+  return text.split('\n').map((line, index) => (index === 0 || !line ? line : indent + line)).join('\n');
+}
+
+function markdownImage(url) {
+  return `![](${url})`;
+}
+
+/**
+ * Options, answer and range lines of a question or sub-question
+ */
+function markdownAnswerLines(question, indent) {
+  const lines = [];
+
+  if (question.type === 'matrix' && question.matrix_match) {
+    const { rows = [], columns = [], answers } = question.matrix_match;
+    const cell = item => (item ? [`(${item.label}) ${item.text || ''}`.trim(), ...(item.images || []).map(markdownImage)].join(' ') : '');
+    lines.push('| Column I | Column II |', '|----------|-----------|');
+    for (let i = 0; i < Math.max(rows.length, columns.length); i++) {
+      lines.push(`| ${cell(rows[i])} | ${cell(columns[i])} |`);
+    }
+    if (answers && !question.options?.length) {
+      lines.push(`Answer: ${formatMatrixAnswers(answers)}`);
+    }
+  }
+
+  if (question.type === 'integer') {
+    if (question.answers?.length) {
+      lines.push(`Answer: ${question.answers.join(', ')}`);
+    }
+    const range = question.answer_range;
+    if (range && range.min !== undefined && range.max !== undefined) {
+      lines.push(`Range: ${range.min} to ${range.max}`);
+    }
+    return lines;
+  }
+
+  if (question.options?.length) {
+    const { options, answers } = getLetteredChoices(question);
+    options.forEach(option => {
+      const image = option.image_url ? ` ${markdownImage(option.image_url)}` : '';
+      lines.push(`(${option.letter}) ${indentText(option.text, `${indent}    `)}${image}`.trimEnd());
+    });
+    if (answers.length > 0) {
+      lines.push(`Answer: ${answers.join(', ')}`);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * A question (or sub-question) as markdown; `marker` is "12." or "12.1"
+ */
+function questionToMarkdown(question, marker, indent) {
+  const type = question.type || 'single';
+  const tag = type === 'single' ? '' : `[${type}] `;
+  const lines = [];
+
+  if (type === 'comprehension') {
+    lines.push(`${marker} ${tag}`);
+    if (question.id !== undefined) {
+      lines.push(`${indent}ID: ${question.id}`);
+    }
+    const passage = question.comprehension_passage || {};
+    lines.push(`${indent}Passage:`);
+    if (passage.text) {
+      lines.push(indent + indentText(passage.text, indent));
+    }
+    (passage.images || []).forEach(url => lines.push(indent + markdownImage(url)));
+
+    const number = marker.replace(/\.$/, '');
+    (question.sub_questions || []).forEach((subQuestion, index) => {
+      const subMarker = `${number}.${index + 1}`;
+      lines.push(indent + questionToMarkdown(subQuestion, subMarker, indent + ' '.repeat(subMarker.length + 1)));
+    });
+    return lines.join('\n');
+  }
+
+  // The space after the marker is kept even without text: the parser needs it
+  lines.push(`${marker} ${tag}${indentText(getQuestionText(question), indent)}`);
+  getQuestionImages(question).forEach(url => lines.push(indent + markdownImage(url)));
+  if (question.id !== undefined) {
+    lines.push(`${indent}ID: ${question.id}`);
+  }
+  markdownAnswerLines(question, indent).forEach(line => lines.push(indent + line));
+  return lines.join('\n');
+}
+
+const HEADINGS = [['subject', '#'], ['chapter', '##'], ['section', '###']];
+
+/**
+ * Markdown document, with headings whenever subject/chapter/section change
+ * Questions without a usable question number are numbered after the
+ * previous number in their section.
+ */
+async function* markdownChunks(context, documents) {
+  let previous = null;
+  let lastNumber = 0;
+
+  for await (const document of documents) {
+    const question = resolveQuestionImages(context, toExportedQuestion(document));
+    let chunk = '';
+
+    const changedAt = previous ? HEADINGS.findIndex(([field]) => question[field] !== previous[field]) : 0;
+    if (changedAt !== -1) {
+      HEADINGS.slice(changedAt).forEach(([field, marks]) => {
+        if (question[field]) {
+          chunk += `${marks} ${question[field]}\n\n`;
+        }
+      });
+      lastNumber = 0;
+    }
+    previous = question;
+
+    const stored = Number(question.questionNumber);
+    const number = Number.isInteger(stored) && stored > lastNumber ? stored : lastNumber + 1;
+    lastNumber = number;
+
+    const marker = `${number}.`;
+    yield `${chunk}${questionToMarkdown(question, marker, ' '.repeat(marker.length + 1))}\n\n`;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// NDJSON
+// ---------------------------------------------------------------------------
+
+async function* ndjsonChunks(context, documents) {
+  for await (const document of documents) {
+    yield `${JSON.stringify(resolveQuestionImages(context, toExportedQuestion(document)))}\n`;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// CSV
+// ---------------------------------------------------------------------------
+
+const CSV_COLUMNS = [
+  'id', 'parent_id', 'type', 'questionNumber', 'subject', 'chapter', 'section',
+  'text', 'options', 'answers', 'answer_range', 'images',
+];
+
+/**
+ * Quote a CSV field. Text starting with a formula character is prefixed
+ * with ' so spreadsheets do not evaluate it.
+ */
+function csvField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = String(value);
+  if (/^[=+@\t\r]/.test(text) || (/^-/.test(text) && Number.isNaN(Number(text)))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The CSV row of a question or sub-question
+ */
+function csvRow(question, parent) {
+  let options = '';
+  let answers = '';
+
+  if (question.type === 'matrix' && question.matrix_match) {
+    const { rows = [], columns = [] } = question.matrix_match;
+    const list = items => items.map(item => `${item.label}) ${item.text || ''}`.trim()).join('; ');
+    options = `Column I: ${list(rows)}\nColumn II: ${list(columns)}`;
+    answers = formatMatrixAnswers(question.matrix_match.answers);
+  }
+  if (question.options?.length) {
+    const choices = getLetteredChoices(question);
+    options = [options, ...choices.options.map(option => `${option.letter}) ${option.text}`)].filter(Boolean).join('\n');
+    answers = choices.answers.join(', ');
+  } else if (question.type === 'integer') {
+    answers = (question.answers || []).join(', ');
+  }
+
+  const range = question.answer_range;
+  const text = question.type === 'comprehension' ? question.comprehension_passage?.text : getQuestionText(question);
+  const images = question.type === 'comprehension' ? question.comprehension_passage?.images || [] : getQuestionImages(question);
+
+  const values = {
+    id: question.id,
+    parent_id: parent?.id,
+    type: question.type,
+    questionNumber: parent ? undefined : question.questionNumber,
+    subject: (parent || question).subject,
+    chapter: (parent || question).chapter,
+    section: (parent || question).section,
+    text,
+    options,
+    answers,
+    answer_range: range ? `${range.min ?? ''} to ${range.max ?? ''}` : '',
+    images: images.join(' '),
+  };
+  return `${CSV_COLUMNS.map(column => csvField(values[column])).join(',')}\r\n`;
+}
+
+async function* csvChunks(context, documents) {
+  // Byte order mark so spreadsheet apps read the file as UTF-8
+  yield `\uFEFF${CSV_COLUMNS.join(',')}\r\n`;
+
+  for await (const document of documents) {
+    const question = resolveQuestionImages(context, toExportedQuestion(document));
+    yield csvRow(question);
+    for (const subQuestion of question.sub_questions || []) {
+      yield csvRow(subQuestion, question);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// IMS QTI 2.1
+// ---------------------------------------------------------------------------
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_SCHEMA_LOCATION = `${QTI_NAMESPACE} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd`;
+const MATCH_CORRECT_TEMPLATE = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct';
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Turn a value into a QTI identifier (an XML NCName)
+ */
+function toIdentifier(prefix, value) {
+  return `${prefix}${String(value).replace(/[^A-Za-z0-9_.-]/g, '_')}`;
+}
+
+/**
+ * Question text as XHTML paragraphs (blank lines separate paragraphs)
+ */
+function textToXhtml(text) {
+  return (text || '')
+    .split(/\n\s*\n/)
+    .filter(paragraph => paragraph.trim())
+    .map(paragraph => `<p>${escapeXml(paragraph.trim()).replace(/\n/g, '<br/>')}</p>`)
+    .join('');
+}
+
+/**
+ * Inline image; block-level images are wrapped in <p> by the caller
+ */
+function imageXhtml(src) {
+  return `<img src="${escapeXml(src)}" alt=""/>`;
+}
+
+/**
+ * Build the interaction, response declaration and body of one (sub-)question
+ * Returns { declaration, body } where the body contains the interaction
+ */
+function buildQtiInteraction(question, responseId, imageSrc) {
+  const stem = textToXhtml(getQuestionText(question)) + getQuestionImages(question).map(url => `<p>${imageXhtml(imageSrc(url))}</p>`).join('');
+
+  if (question.type === 'integer') {
+    const values = (question.answers || []).map(value => `<value>${escapeXml(value)}</value>`).join('');
+    const cardinality = (question.answers || []).length > 1 ? 'multiple' : 'single';
+    return {
+      declaration: `<responseDeclaration identifier="${responseId}" cardinality="${cardinality}" baseType="integer">${values ? `<correctResponse>${values}</correctResponse>` : ''}</responseDeclaration>`,
+      body: `${stem}<p><textEntryInteraction responseIdentifier="${responseId}" expectedLength="10"/></p>`,
+    };
+  }
+
+  let table = '';
+  if (question.type === 'matrix' && question.matrix_match) {
+    const { rows = [], columns = [], answers = {} } = question.matrix_match;
+    const itemXhtml = item => escapeXml(item.text) + (item.images || []).map(url => imageXhtml(imageSrc(url))).join('');
+
+    if (!question.options?.length) {
+      const pairs = Object.entries(answers).flatMap(([row, matches]) =>
+        matches.map(column => `<value>${toIdentifier('R_', row)} ${toIdentifier('C_', column)}</value>`)
+      );
+      const choices = (items, prefix, matchMax) => items
+        .map(item => `<simpleAssociableChoice identifier="${toIdentifier(prefix, item.label)}" matchMax="${matchMax}">${itemXhtml(item)}</simpleAssociableChoice>`)
+        .join('');
+      return {
+        declaration: `<responseDeclaration identifier="${responseId}" cardinality="multiple" baseType="directedPair">${pairs.length ? `<correctResponse>${pairs.join('')}</correctResponse>` : ''}</responseDeclaration>`,
+        body: `${stem}<matchInteraction responseIdentifier="${responseId}" shuffle="false" maxAssociations="${rows.length * columns.length}">`
+          + `<simpleMatchSet>${choices(rows, 'R_', columns.length)}</simpleMatchSet>`
+          + `<simpleMatchSet>${choices(columns, 'C_', rows.length)}</simpleMatchSet>`
+          + '</matchInteraction>',
+      };
+    }
+
+    // Matrix questions with options show the table and ask for an option
+    const tableRows = Array.from({ length: Math.max(rows.length, columns.length) }, (_, i) => {
+      const cell = item => (item ? `<td>${escapeXml(item.label)}. ${itemXhtml(item)}</td>` : '<td/>');
+      return `<tr>${cell(rows[i])}${cell(columns[i])}</tr>`;
+    });
+    table = `<table><thead><tr><th>Column I</th><th>Column II</th></tr></thead><tbody>${tableRows.join('')}</tbody></table>`;
+  }
+
+  const { options, answers } = getLetteredChoices(question);
+  const cardinality = question.type === 'multiple' ? 'multiple' : 'single';
+  const values = answers.map(letter => `<value>${letter}</value>`).join('');
+  const choices = options
+    .map(option => `<simpleChoice identifier="${option.letter}">${escapeXml(option.text)}${option.image_url ? imageXhtml(imageSrc(option.image_url)) : ''}</simpleChoice>`)
+    .join('');
+
+  return {
+    declaration: `<responseDeclaration identifier="${responseId}" cardinality="${cardinality}" baseType="identifier">${values ? `<correctResponse>${values}</correctResponse>` : ''}</responseDeclaration>`,
+    body: `${stem}${table}<choiceInteraction responseIdentifier="${responseId}" shuffle="false" maxChoices="${cardinality === 'single' ? 1 : 0}">${choices}</choiceInteraction>`,
+  };
+}
+
+/**
+ * Response processing adding 1 to SCORE for every correct response
+ * (a single response uses the standard match_correct template)
+ */
+function buildResponseProcessing(responseIds) {
+  if (responseIds.length === 1) {
+    return `<responseProcessing template="${MATCH_CORRECT_TEMPLATE}"/>`;
+  }
+  const conditions = responseIds.map(id =>
+    `<responseCondition><responseIf><match><variable identifier="${id}"/><correct identifier="${id}"/></match>`
+    + '<setOutcomeValue identifier="SCORE"><sum><variable identifier="SCORE"/><baseValue baseType="float">1</baseValue></sum></setOutcomeValue>'
+    + '</responseIf></responseCondition>'
+  );
+  return `<responseProcessing>${conditions.join('')}</responseProcessing>`;
+}
+
+/**
+ * A question as a QTI 2.1 assessmentItem. Comprehension questions become
+ * one item with the passage followed by an interaction per sub-question.
+ */
+function buildQtiItem(question, identifier, imageSrc) {
+  const parts = [];
+  let intro = '';
+
+  if (question.type === 'comprehension') {
+    const passage = question.comprehension_passage || {};
+    intro = textToXhtml(passage.text) + (passage.images || []).map(url => `<p>${imageXhtml(imageSrc(url))}</p>`).join('');
+    (question.sub_questions || []).forEach((subQuestion, index) => {
+      parts.push(buildQtiInteraction(subQuestion, `RESPONSE_${index + 1}`, imageSrc));
+    });
+  } else {
+    parts.push(buildQtiInteraction(question, 'RESPONSE', imageSrc));
+  }
+
+  const responseIds = parts.length === 1 && question.type !== 'comprehension'
+    ? ['RESPONSE']
+    : parts.map((part, index) => `RESPONSE_${index + 1}`);
+  const title = [question.subject, question.chapter, `Question ${question.questionNumber ?? question.id}`].filter(Boolean).join(' - ');
+  const body = parts.length > 1 || intro
+    ? intro + parts.map(part => `<div>${part.body}</div>`).join('')
+    : parts[0]?.body || '';
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + `<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI_SCHEMA_LOCATION}" `
+    + `identifier="${identifier}" title="${escapeXml(title)}" adaptive="false" timeDependent="false">`
+    + parts.map(part => part.declaration).join('')
+    + '<outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>'
+    + `<itemBody>${body}</itemBody>`
+    + buildResponseProcessing(responseIds)
+    + '</assessmentItem>\n';
+}
+
+/**
+ * imsmanifest.xml listing every item and the images it uses
+ */
+function buildQtiManifest(items) {
+  const resources = items.map(item =>
+    `<resource identifier="RES_${item.identifier}" type="imsqti_item_xmlv2p1" href="${escapeXml(item.path)}">`
+    + `<file href="${escapeXml(item.path)}"/>`
+    + item.images.map(path => `<file href="${escapeXml(path)}"/>`).join('')
+    + '</resource>'
+  );
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" '
+    + 'xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd" '
+    + `identifier="MANIFEST_${Date.now()}">`
+    + '<metadata><schema>QTIv2.1 Package</schema><schemaversion>1.0.0</schemaversion></metadata>'
+    + '<organizations/>'
+    + `<resources>${resources.join('')}</resources>`
+    + '</manifest>\n';
+}
+
+/**
+ * Append an entry and wait until the archive has written it, so only one
+ * entry (and one S3 download) is held at a time
+ */
+function appendEntry(archive, source, name) {
+  return new Promise((resolve, reject) => {
+    const onEntry = entry => {
+      if (entry.name === name) {
+        archive.off('entry', onEntry);
+        archive.off('error', onError);
+        resolve();
+      }
+    };
+    const onError = error => {
+      archive.off('entry', onEntry);
+      reject(error);
+    };
+    archive.on('entry', onEntry);
+    archive.once('error', onError);
+    archive.append(source, { name });
+  });
+}
+
+/**
+ * Stream a QTI 2.1 content package (zip)
+ * Images stored in our bucket are embedded under images/ and referenced
+ * relatively; other images (and ours that cannot be read) stay absolute URLs.
+ */
+function createQtiPackage(context, documents) {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  let stopped = false;
+  archive.on('close', () => {
+    stopped = true;
+  });
+
+  (async () => {
+    const embedded = new Map();
+    const failed = new Set();
+    const items = [];
+    const usedIdentifiers = new Set();
+
+    for await (const document of documents) {
+      if (stopped) {
+        break;
+      }
+      const question = toExportedQuestion(document);
+
+      let identifier = toIdentifier('Q_', question.id ?? items.length + 1);
+      while (usedIdentifiers.has(identifier)) {
+        identifier += '_';
+      }
+      usedIdentifiers.add(identifier);
+
+      // First pass finds the images, which are embedded before the item
+      const keys = new Set();
+      buildQtiItem(question, identifier, url => {
+        const key = getS3KeyForUrl(context, url);
+        if (key) {
+          keys.add(key);
+        }
+        return url;
+      });
+
+      for (const key of keys) {
+        if (embedded.has(key) || failed.has(key)) {
+          continue;
+        }
+        const imagePath = `images/${key.split('/').pop()}`;
+        try {
+          const { body } = await getImageObject(context, key);
+          await appendEntry(archive, body, imagePath);
+          embedded.set(key, imagePath);
+        } catch (error) {
+          console.warn(`QTI export: could not embed ${key}: ${error.message}`);
+          failed.add(key);
+        }
+      }
+
+      const imageSrc = url => {
+        const key = getS3KeyForUrl(context, url);
+        return embedded.get(key) || resolveQuestionImages(context, { imageUrl: url }).imageUrl;
+      };
+      const path = `items/${identifier}.xml`;
+      await appendEntry(archive, buildQtiItem(question, identifier, imageSrc), path);
+
+      const images = [...keys].filter(key => embedded.has(key)).map(key => embedded.get(key));
+      items.push({ identifier, path, images });
+    }
+
+    if (!stopped) {
+      await appendEntry(archive, buildQtiManifest(items), 'imsmanifest.xml');
+      console.log(`QTI export: packaged ${items.length} item(s) and ${embedded.size} image(s)`);
+      await archive.finalize();
+    }
+  })().catch(error => {
+    console.error('QTI export failed:', error);
+    archive.destroy(error);
+  });
+
+  return archive;
+}
+
+/**
+ * Create an export of the given question documents (an async iterable,
+ * typically a MongoDB cursor)
+ * Returns { stream, contentType, extension }
+ */
+export function createQuestionExport(context, format, documents) {
+  const details = FORMAT_DETAILS[format];
+  if (!details) {
+    throw createHttpError(400, `Invalid export format "${format}". Allowed: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const producers = {
+    markdown: () => Readable.from(markdownChunks(context, documents)),
+    ndjson: () => Readable.from(ndjsonChunks(context, documents)),
+    csv: () => Readable.from(csvChunks(context, documents)),
+    qti: () => createQtiPackage(context, documents),
+  };
+
+  return { stream: producers[format](), ...details };
+}
@@ -0,0 +1,126 @@
+import { getS3KeyForUrl, getStoredImageUrlForms, listImageObjects, deleteImagesFromS3 } from './s3.js';
+import { collectImageUrls, normalizeQuestionImages } from './imageService.js';
+
+// Objects younger than this are never garbage collected, so images uploaded
+// through POST /api/images have time to be referenced by a question
+const DEFAULT_GC_MIN_AGE_HOURS = 24;
+
+/**
+ * Image URLs of a question that point into our bucket
+ */
+export function collectStoredImageUrls(context, question) {
+  return question ? collectImageUrls(question).filter(url => getS3KeyForUrl(context, url)) : [];
+}
+
+/**
+ * Delete the S3 objects behind the given URLs unless some question still
+ * references them (as an image:// reference or a bucket URL). Cleanup
+ * problems are logged and reported, never thrown, so they cannot fail the
+ * delete/update that triggered them.
+ * Returns { deletedKeys, failedKeys }
+ */
+export async function removeOrphanedImages(context, candidateUrls, questionId) {
+  const { repository } = context;
+  const report = { deletedKeys: [], failedKeys: [] };
+  const keys = [...new Set(candidateUrls.map(url => getS3KeyForUrl(context, url)).filter(Boolean))];
+
+  if (keys.length === 0) {
+    return report;
+  }
+
+  try {
+    if (questionId !== undefined) {
+      await repository.removeImageReferences(keys, questionId);
+    }
+
+    const stillReferenced = new Set();
+    const referencingQuestions = await repository.findQuestionsReferencingImages(keys.flatMap(key => getStoredImageUrlForms(context, key)));
+    referencingQuestions.forEach(question => {
+      collectImageUrls(question).forEach(url => stillReferenced.add(getS3KeyForUrl(context, url)));
+    });
+
+    const orphanedKeys = keys.filter(key => !stillReferenced.has(key));
+
+    if (orphanedKeys.length === 0) {
+      return report;
+    }
+
+    console.log(`Removing ${orphanedKeys.length} orphaned image(s) from S3`);
+    const { deleted, failed } = await deleteImagesFromS3(context, orphanedKeys);
+    await repository.deleteImageRecords(deleted);
+
+    report.deletedKeys = deleted;
+    report.failedKeys = failed;
+  } catch (error) {
+    console.error('Failed to remove orphaned images:', error);
+    report.failedKeys = keys.map(key => ({ key, error: error.message }));
+  }
+
+  return report;
+}
+
+/**
+ * Remove images that an updated question no longer references. While the
+ * archived previous version still uses them they stay in S3 and are only
+ * released from the question's image records.
+ */
+export async function removeReplacedImages(context, previousQuestion, updatedQuestion) {
+  const currentKeys = new Set(collectStoredImageUrls(context, updatedQuestion).map(url => getS3KeyForUrl(context, url)));
+  const removedUrls = collectStoredImageUrls(context, previousQuestion).filter(url => !currentKeys.has(getS3KeyForUrl(context, url)));
+  return await removeOrphanedImages(context, removedUrls, previousQuestion?.id);
+}
+
+/**
+ * Update a question and remove images it no longer references
+ * URLs of our own images are stored as image:// references.
+ * Options are passed through to repository.updateQuestion (e.g. updatedBy)
+ * Returns { images: { deletedKeys, failedKeys } }
+ */
+export async function updateQuestionWithImages(context, documentId, updatedQuestion, options = {}) {
+  const { repository } = context;
+  const previous = await repository.getQuestionByDocumentId(documentId);
+  await repository.updateQuestion(documentId, normalizeQuestionImages(context, updatedQuestion), options);
+  const current = await repository.getQuestionByDocumentId(documentId);
+
+  return { images: await removeReplacedImages(context, previous, current) };
+}
+
+/**
+ * Garbage collect S3 objects under the questions/ prefix that no question
+ * references. With dryRun (the default) nothing is deleted.
+ * Returns { scanned, referenced, unreferenced: [{ key, size, lastModified }], deleted, failed }
+ */
+export async function collectImageGarbage(context, { dryRun = true, minAgeHours = DEFAULT_GC_MIN_AGE_HOURS } = {}) {
+  console.log(`Image GC: scanning bucket (dryRun: ${dryRun}, minAgeHours: ${minAgeHours})`);
+
+  const referencedKeys = new Set();
+  const questions = await context.repository.getAllQuestionImageFields();
+  questions.forEach(question => {
+    collectStoredImageUrls(context, question).forEach(url => referencedKeys.add(getS3KeyForUrl(context, url)));
+  });
+
+  const cutoff = Date.now() - minAgeHours * 60 * 60 * 1000;
+  const objects = await listImageObjects(context, 'questions/');
+  const unreferenced = objects.filter(object =>
+    !referencedKeys.has(object.key) && new Date(object.lastModified).getTime() < cutoff
+  );
+
+  const report = {
+    dryRun,
+    scanned: objects.length,
+    referenced: referencedKeys.size,
+    unreferenced,
+    deleted: [],
+    failed: [],
+  };
+
+  if (!dryRun && unreferenced.length > 0) {
+    const { deleted, failed } = await deleteImagesFromS3(context, unreferenced.map(object => object.key));
+    await context.repository.deleteImageRecords(deleted);
+    report.deleted = deleted;
+    report.failed = failed;
+  }
+
+  console.log(`Image GC: ${unreferenced.length} unreferenced of ${objects.length} scanned, ${report.deleted.length} deleted`);
+  return report;
+}
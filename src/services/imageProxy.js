@@ -0,0 +1,116 @@
+import { buildPublicImageUrl } from './s3.js';
+import { fetchPublicUrl } from './publicFetch.js';
+import { createHttpError } from './errors.js';
+
+/**
+ * Hosts the proxy may fetch from: our storage's public host plus
+ * IMAGE_PROXY_ALLOWED_HOSTS. Entries may use a leading wildcard (*.example.com).
+ * Local storage served by this API has relative URLs and no host to add.
+ */
+function getAllowedHosts(context) {
+  const allowedHosts = [...(context.config.imageProxy?.allowedHosts || [])];
+  try {
+    allowedHosts.unshift(new URL(buildPublicImageUrl(context, '')).host);
+  } catch (error) {
+    // Relative public URL
+  }
+  return allowedHosts;
+}
+
+function isAllowedHost(context, host) {
+  return getAllowedHosts(context).some(allowed => {
+    if (allowed.startsWith('*.')) {
+      return host.endsWith(allowed.slice(1));
+    }
+    return host === allowed;
+  });
+}
+
+/**
+ * Validate a URL before it is fetched
+ */
+function validateProxyUrl(context, rawUrl) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (error) {
+    throw createHttpError(400, 'Invalid image URL');
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw createHttpError(400, 'Only http and https image URLs can be proxied');
+  }
+
+  if (url.username || url.password) {
+    throw createHttpError(400, 'Image URLs must not contain credentials');
+  }
+
+  if (!isAllowedHost(context, url.host)) {
+    throw createHttpError(403, `Host ${url.host} is not allowed`);
+  }
+
+  return url;
+}
+
+/**
+ * Fetch an image for the proxy
+ * Only allowlisted hosts, public addresses and image content types are
+ * accepted; size and time limits apply. Upstream error statuses are
+ * surfaced as the error's statusCode.
+ * Returns { body, contentType, contentLength, isOwnBucket }
+ */
+export async function fetchProxiedImage(context, rawUrl) {
+  const { maxSizeBytes, timeoutMs, allowPrivateAddresses } = context.config.imageProxy;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const { response, url } = await fetchPublicUrl(rawUrl, {
+      validateUrl: href => validateProxyUrl(context, href),
+      signal: controller.signal,
+      allowPrivateAddresses,
+    });
+
+    if (!response.ok) {
+      // 4xx are passed through as-is; upstream 5xx become 502 Bad Gateway
+      const statusCode = response.status >= 500 ? 502 : response.status;
+      throw createHttpError(statusCode, `Upstream responded with ${response.status} ${response.statusText}`);
+    }
+
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!contentType.startsWith('image/')) {
+      throw createHttpError(415, `Upstream content type "${contentType || 'unknown'}" is not an image`);
+    }
+
+    const contentLength = Number(response.headers.get('content-length')) || undefined;
+    if (contentLength > maxSizeBytes) {
+      throw createHttpError(413, `Image is ${contentLength} bytes, exceeding the ${maxSizeBytes} byte limit`);
+    }
+
+    // Enforce the size limit while streaming, for responses without Content-Length
+    let received = 0;
+    response.body.on('data', chunk => {
+      received += chunk.length;
+      if (received > maxSizeBytes) {
+        response.body.destroy(createHttpError(413, `Image exceeds the ${maxSizeBytes} byte limit`));
+      }
+    });
+    response.body.on('close', () => clearTimeout(timer));
+
+    return {
+      body: response.body,
+      contentType,
+      contentLength,
+      isOwnBucket: url.host === getAllowedHosts(context)[0],
+    };
+  } catch (error) {
+    clearTimeout(timer);
+    if (error.name === 'AbortError') {
+      throw createHttpError(504, `Timed out after ${timeoutMs}ms fetching image`);
+    }
+    if (!error.statusCode) {
+      throw createHttpError(error.name === 'FetchError' ? 502 : 500, error.message);
+    }
+    throw error;
+  }
+}
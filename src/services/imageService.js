@@ -0,0 +1,272 @@
+import {
+  uploadImageToS3,
+  uploadImageBufferToS3,
+  deleteImageFromS3,
+  getS3KeyForUrl,
+  buildImageRef,
+  buildPublicImageUrl,
+  buildServedImageUrl,
+} from './s3.js';
+import { createHttpError } from './errors.js';
+
+const DATA_URI_PATTERN = /^data:([^;,]*)((?:;[^;,]*)*?)(;base64)?,(.*)$/s;
+
+// Mirrors in progress by image reference, per repository
+const pendingMirrors = new WeakMap();
+
+/**
+ * Check whether an image reference is an inline data: URI
+ */
+export function isDataUri(imageUrl) {
+  return typeof imageUrl === 'string' && imageUrl.startsWith('data:');
+}
+
+/**
+ * Short description of an image source for logs and error reports
+ * (data: URIs can be megabytes long)
+ */
+export function describeImageSource(imageUrl) {
+  if (isDataUri(imageUrl)) {
+    return `${imageUrl.slice(0, imageUrl.indexOf(',') + 1)}… (${imageUrl.length} chars)`;
+  }
+  return imageUrl;
+}
+
+/**
+ * Helper to collect all image URLs from question
+ */
+export function collectImageUrls(question) {
+  const imageUrls = [];
+
+  // Legacy imageUrl field
+  if (question.imageUrl) {
+    imageUrls.push(question.imageUrl);
+  }
+
+  // Content images
+  if (question.content?.images) {
+    imageUrls.push(...question.content.images);
+  }
+
+  // Option images
+  if (question.options) {
+    question.options.forEach(opt => {
+      if (opt.image_url) {
+        imageUrls.push(opt.image_url);
+      }
+    });
+  }
+
+  // Comprehension passage images
+  if (question.comprehension_passage?.images) {
+    imageUrls.push(...question.comprehension_passage.images);
+  }
+
+  // Matrix row and column images
+  ['rows', 'columns'].forEach(side => {
+    (question.matrix_match?.[side] || []).forEach(item => {
+      if (item?.images) {
+        imageUrls.push(...item.images);
+      }
+    });
+  });
+
+  // Sub-question images
+  if (question.sub_questions) {
+    question.sub_questions.forEach(subQ => {
+      if (subQ.content?.images) {
+        imageUrls.push(...subQ.content.images);
+      }
+      if (subQ.options) {
+        subQ.options.forEach(opt => {
+          if (opt.image_url) {
+            imageUrls.push(opt.image_url);
+          }
+        });
+      }
+    });
+  }
+
+  // Remove duplicates and filter out empty strings
+  return [...new Set(imageUrls.filter(url => url && url.trim()))];
+}
+
+/**
+ * Return a copy of the question with every image URL passed through mapUrl
+ * Only the image fields present are touched, so partial updates work too.
+ */
+export function mapImageUrls(question, mapUrl) {
+  if (!question) {
+    return question;
+  }
+
+  const mapOptions = options => options.map(opt =>
+    opt?.image_url ? { ...opt, image_url: mapUrl(opt.image_url) } : opt
+  );
+  const mapped = { ...question };
+
+  if (mapped.imageUrl) {
+    mapped.imageUrl = mapUrl(mapped.imageUrl);
+  }
+  if (mapped.s3ImageUrl) {
+    mapped.s3ImageUrl = mapUrl(mapped.s3ImageUrl);
+  }
+  if (Array.isArray(mapped.content?.images)) {
+    mapped.content = { ...mapped.content, images: mapped.content.images.map(mapUrl) };
+  }
+  if (Array.isArray(mapped.options)) {
+    mapped.options = mapOptions(mapped.options);
+  }
+  if (Array.isArray(mapped.comprehension_passage?.images)) {
+    mapped.comprehension_passage = {
+      ...mapped.comprehension_passage,
+      images: mapped.comprehension_passage.images.map(mapUrl),
+    };
+  }
+  if (Array.isArray(mapped.sub_questions)) {
+    mapped.sub_questions = mapped.sub_questions.map(subQ => mapImageUrls(subQ, mapUrl));
+  }
+  if (mapped.matrix_match) {
+    const mapItems = items => items.map(item =>
+      Array.isArray(item?.images) ? { ...item, images: item.images.map(mapUrl) } : item
+    );
+    mapped.matrix_match = { ...mapped.matrix_match };
+    ['rows', 'columns'].forEach(side => {
+      if (Array.isArray(mapped.matrix_match[side])) {
+        mapped.matrix_match[side] = mapItems(mapped.matrix_match[side]);
+      }
+    });
+  }
+
+  return mapped;
+}
+
+/**
+ * Turn a URL that points at one of our images (public storage URL,
+ * streaming route URL, presigned URL) into its stored image:// reference
+ */
+export function normalizeImageUrl(context, imageUrl) {
+  const key = getS3KeyForUrl(context, imageUrl);
+  return key ? buildImageRef(key) : imageUrl;
+}
+
+/**
+ * Turn a stored image reference into a URL clients can load: the public
+ * storage URL, or the API streaming route when IMAGE_ACCESS=private
+ */
+export function resolveImageUrl(context, imageUrl) {
+  const key = getS3KeyForUrl(context, imageUrl);
+  if (!key) {
+    return imageUrl;
+  }
+  return context.config.images.access === 'private' ? buildServedImageUrl(context, key) : buildPublicImageUrl(context, key);
+}
+
+/**
+ * Question with image URLs of our bucket stored as image:// references
+ */
+export function normalizeQuestionImages(context, question) {
+  return mapImageUrls(question, url => normalizeImageUrl(context, url));
+}
+
+/**
+ * Question with image references resolved for a response
+ */
+export function resolveQuestionImages(context, question) {
+  return mapImageUrls(question, url => resolveImageUrl(context, url));
+}
+
+/**
+ * Decode a data: URI into a buffer
+ */
+export function decodeDataUri({ config }, dataUri) {
+  const match = DATA_URI_PATTERN.exec(dataUri);
+  if (!match) {
+    throw createHttpError(400, 'Malformed data URI', { reason: 'invalid_data_uri' });
+  }
+
+  const [, , , base64, payload] = match;
+  const buffer = base64
+    ? Buffer.from(payload, 'base64')
+    : Buffer.from(decodeURIComponent(payload), 'utf8');
+
+  if (buffer.length > config.images.maxSizeBytes) {
+    throw createHttpError(413, `Image exceeds the ${config.images.maxSizeBytes} byte limit`, { reason: 'too_large' });
+  }
+
+  return buffer;
+}
+
+/**
+ * Record a stored image in the registry, removing the S3 object again if
+ * this call created it and the registry write fails
+ */
+async function registerStoredImage(context, image, sourceUrl) {
+  try {
+    await context.repository.registerImage({ ...image, sourceUrl });
+  } catch (error) {
+    if (image.created) {
+      await deleteImageFromS3(context, image.key);
+    }
+    throw error;
+  }
+  return image;
+}
+
+/**
+ * Store an image buffer in S3 and record it in the image registry
+ * Returns { s3Url, key, hash, size, contentType, created }
+ */
+export async function storeImageBuffer(context, imageBuffer) {
+  const image = await uploadImageBufferToS3(context, imageBuffer);
+  return await registerStoredImage(context, image);
+}
+
+/**
+ * Mirror an image reference to S3
+ * Concurrent calls for the same reference share one mirror; only the first
+ * caller sees created: true.
+ * - data: URIs are decoded and stored directly
+ * - references and URLs of images already in our bucket are kept
+ * - URLs already in the registry as a source are re-used without
+ *   downloading again
+ * - other URLs are downloaded and stored
+ * Returns { s3Url, key, created } where s3Url is the image:// reference and
+ * created means a new S3 object was written
+ */
+export async function mirrorImage(context, imageUrl) {
+  const { repository } = context;
+  if (!pendingMirrors.has(repository)) {
+    pendingMirrors.set(repository, new Map());
+  }
+  const pendingForRepository = pendingMirrors.get(repository);
+
+  const pending = pendingForRepository.get(imageUrl);
+  if (pending) {
+    return { ...(await pending), created: false };
+  }
+
+  const mirror = mirrorImageOnce(context, imageUrl).finally(() => pendingForRepository.delete(imageUrl));
+  pendingForRepository.set(imageUrl, mirror);
+  return await mirror;
+}
+
+async function mirrorImageOnce(context, imageUrl) {
+  if (isDataUri(imageUrl)) {
+    return await storeImageBuffer(context, decodeDataUri(context, imageUrl));
+  }
+
+  const ownKey = getS3KeyForUrl(context, imageUrl);
+  if (ownKey) {
+    return { s3Url: buildImageRef(ownKey), key: ownKey, created: false };
+  }
+
+  const registered = await context.repository.findImageBySourceUrl(imageUrl);
+  if (registered) {
+    console.log(`mirrorImage: Image already mirrored, re-using ${registered.key}`);
+    return { s3Url: buildImageRef(registered.key), key: registered.key, created: false };
+  }
+
+  const image = await uploadImageToS3(context, imageUrl);
+  return await registerStoredImage(context, image, imageUrl);
+}
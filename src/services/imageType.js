@@ -0,0 +1,104 @@
+/**
+ * Image type detection
+ *
+ * Identifies images from their leading bytes ("magic numbers") rather than
+ * trusting the URL extension or the Content-Type header of whoever served it.
+ */
+
+// DIB header sizes of the BMP variants in use (OS/2 1.x up to BITMAPV5HEADER)
+const BMP_DIB_HEADER_SIZES = [12, 40, 52, 56, 64, 108, 124];
+
+/**
+ * "BM" alone starts plenty of text files, so a BMP must also declare its own
+ * length as the file size and have a known DIB header size
+ */
+function isBmp(buffer) {
+  return buffer.length >= 18
+    && buffer.readUInt32LE(2) === buffer.length
+    && BMP_DIB_HEADER_SIZES.includes(buffer.readUInt32LE(14));
+}
+
+const IMAGE_SIGNATURES = [
+  { contentType: 'image/png', extension: 'png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { contentType: 'image/jpeg', extension: 'jpg', bytes: [0xff, 0xd8, 0xff] },
+  { contentType: 'image/gif', extension: 'gif', ascii: 'GIF87a' },
+  { contentType: 'image/gif', extension: 'gif', ascii: 'GIF89a' },
+  { contentType: 'image/webp', extension: 'webp', ascii: 'RIFF', extra: { offset: 8, ascii: 'WEBP' } },
+  { contentType: 'image/avif', extension: 'avif', offset: 4, ascii: 'ftypavif' },
+  { contentType: 'image/bmp', extension: 'bmp', ascii: 'BM', check: isBmp },
+  { contentType: 'image/tiff', extension: 'tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { contentType: 'image/tiff', extension: 'tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { contentType: 'image/x-icon', extension: 'ico', bytes: [0x00, 0x00, 0x01, 0x00] },
+];
+
+// How far into a text payload to look for the <svg> root element
+const SVG_SNIFF_LENGTH = 1024;
+
+export const SUPPORTED_CONTENT_TYPES = [
+  ...new Set(IMAGE_SIGNATURES.map(signature => signature.contentType)),
+  'image/svg+xml',
+];
+
+function matchesAt(buffer, offset, { bytes, ascii }) {
+  const expected = bytes ? Buffer.from(bytes) : Buffer.from(ascii, 'ascii');
+  if (buffer.length < offset + expected.length) {
+    return false;
+  }
+  return buffer.subarray(offset, offset + expected.length).equals(expected);
+}
+
+/**
+ * Check whether a text payload is an SVG document (and not, say, an HTML
+ * error page). Leading whitespace, XML declarations, comments and a
+ * DOCTYPE are allowed before the <svg> root.
+ */
+function isSvg(buffer) {
+  const head = buffer.subarray(0, SVG_SNIFF_LENGTH).toString('utf8').replace(/^\uFEFF/, '');
+  const withoutProlog = head
+    .replace(/<\?xml[\s\S]*?\?>/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!DOCTYPE[\s\S]*?>/gi, '')
+    .trimStart();
+  return /^<svg[\s>]/i.test(withoutProlog);
+}
+
+/**
+ * Detect the image type of a buffer
+ * Returns { contentType, extension } or null when the bytes are not an image
+ */
+export function detectImageType(buffer) {
+  if (!buffer || buffer.length === 0) {
+    return null;
+  }
+
+  for (const signature of IMAGE_SIGNATURES) {
+    if (!matchesAt(buffer, signature.offset || 0, signature)) {
+      continue;
+    }
+    if (signature.extra && !matchesAt(buffer, signature.extra.offset, signature.extra)) {
+      continue;
+    }
+    if (signature.check && !signature.check(buffer)) {
+      continue;
+    }
+    return { contentType: signature.contentType, extension: signature.extension };
+  }
+
+  if (isSvg(buffer)) {
+    return { contentType: 'image/svg+xml', extension: 'svg' };
+  }
+
+  return null;
+}
+
+/**
+ * Content type for a stored image's file extension (as produced by
+ * detectImageType), or null for an unknown extension
+ */
+export function getContentTypeForExtension(extension) {
+  if (extension === 'svg') {
+    return 'image/svg+xml';
+  }
+  const signature = IMAGE_SIGNATURES.find(entry => entry.extension === extension);
+  return signature ? signature.contentType : null;
+}
@@ -0,0 +1,188 @@
+import os from 'os';
+import crypto from 'crypto';
+import { uploadMultipleQuestions } from './uploadService.js';
+
+// Added to a lease expiry before checking a leased job again
+const LEASE_RETRY_MARGIN_MS = 1000;
+
+/**
+ * Create the job state of one app (context.jobs, see createApp):
+ * - owner: identifies the app as the holder of job leases
+ * - running: cancellation flags of the jobs it runs, by job ID
+ * - runs: its job runs in progress, awaited on shutdown
+ */
+export function createJobState() {
+  return {
+    owner: `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`,
+    running: new Map(),
+    runs: new Set(),
+  };
+}
+
+/**
+ * Run (or resume) a batch upload job
+ * The job is claimed first: a job another process holds a live lease on is
+ * left alone. The lease is renewed while the job runs; if it is lost (e.g.
+ * this process stalled past JOB_LEASE_MS) the job stops and its results are
+ * no longer recorded, as another process has taken it over.
+ * Questions that already have a result are skipped, so a job interrupted by
+ * a restart picks up where it stopped. A question that was being uploaded
+ * at that moment is uploaded again.
+ * On shutdown the job stops after the questions it is uploading and its
+ * lease is released, so the next process to start resumes it.
+ */
+async function runBatchUploadJob(context, jobId) {
+  const { repository, config: { jobLeaseMs }, lifecycle, jobs: { owner, running } } = context;
+  if (running.has(jobId) || lifecycle.isShuttingDown()) {
+    return;
+  }
+
+  const state = { cancelled: false, leaseLost: false };
+  running.set(jobId, state);
+  let interrupted = false;
+  let renewal;
+
+  try {
+    const job = await repository.claimJob(jobId, owner, jobLeaseMs);
+    if (!job) {
+      return;
+    }
+    state.cancelled = job.cancelRequested;
+
+    renewal = setInterval(() => {
+      repository.renewJobLease(jobId, owner, jobLeaseMs)
+        .then(held => {
+          state.leaseLost ||= !held;
+        })
+        .catch(error => console.error(`Job ${jobId}: could not renew its lease:`, error.message));
+    }, jobLeaseMs / 3);
+    renewal.unref();
+
+    const { questions, options } = job.payload;
+    const pending = questions
+      .map((question, index) => index)
+      .filter(index => job.results[index] === null);
+
+    console.log(`Job ${jobId}: uploading ${pending.length} of ${questions.length} question(s)`);
+
+    await uploadMultipleQuestions(context, pending.map(index => questions[index]), {
+      ...options,
+      actor: job.createdBy,
+      isCancelled: () => state.cancelled || state.leaseLost || lifecycle.isShuttingDown(),
+      onResult: async (result, position) => {
+        // Questions skipped for a shutdown or a lost lease are left for the
+        // process that runs the job next
+        if (result.status === 'cancelled' && !state.cancelled) {
+          interrupted = true;
+          return;
+        }
+        const recorded = await repository.recordJobResult(jobId, owner, pending[position], result);
+        if (!recorded) {
+          state.leaseLost = true;
+        } else if (recorded.cancelRequested) {
+          state.cancelled = true;
+        }
+      },
+    });
+
+    if (state.leaseLost) {
+      console.warn(`Job ${jobId}: lease lost, another process continues it`);
+      return;
+    }
+    if (interrupted) {
+      await repository.releaseJob(jobId, owner);
+      console.log(`Job ${jobId}: stopped for shutdown, it resumes on the next start`);
+      return;
+    }
+
+    await repository.finishJob(jobId, owner, state.cancelled ? 'cancelled' : 'completed');
+    console.log(`Job ${jobId}: ${state.cancelled ? 'cancelled' : 'completed'}`);
+  } catch (error) {
+    console.error(`Job ${jobId} failed:`, error);
+    await repository.finishJob(jobId, owner, 'failed', error.message).catch(finishError => {
+      console.error(`Job ${jobId}: could not record failure:`, finishError);
+    });
+  } finally {
+    clearInterval(renewal);
+    running.delete(jobId);
+  }
+}
+
+/**
+ * Start a job run in the background, tracked until it ends
+ */
+function startJobRun(context, jobId) {
+  const { runs } = context.jobs;
+  const run = runBatchUploadJob(context, jobId).finally(() => runs.delete(run));
+  runs.add(run);
+}
+
+/**
+ * Wait for the app's job runs in progress to end (on shutdown they stop early)
+ */
+export async function waitForJobs(context) {
+  await Promise.all(context.jobs.runs);
+}
+
+/**
+ * Queue a batch upload as a background job and start it
+ * Options are the uploadMultipleQuestions options (onConflict, actor)
+ * Returns the job ID
+ */
+export async function startBatchUploadJob(context, questions, { actor = null, ...options } = {}) {
+  // Unset options are left out: stored, undefined would come back as null
+  const storedOptions = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  const jobId = await context.repository.createJobRecord({
+    type: 'upload-batch',
+    payload: { questions, options: storedOptions },
+    total: questions.length,
+    createdBy: actor,
+  });
+
+  startJobRun(context, jobId);
+  return jobId;
+}
+
+/**
+ * Request cancellation of a job. Questions already being uploaded finish;
+ * the rest are marked 'cancelled'.
+ * Returns the job, or null if it does not exist
+ */
+export async function cancelJob({ repository, jobs }, jobId, cancelledBy = null) {
+  const job = await repository.requestJobCancellation(jobId, cancelledBy);
+  const state = jobs.running.get(jobId);
+  if (state && job?.cancelRequested) {
+    state.cancelled = true;
+  }
+  return job;
+}
+
+/**
+ * Resume jobs left queued or running by a previous process (called at startup)
+ * context is the app's context (app.locals.context, see createApp).
+ * Jobs another process still holds a lease on (e.g. another instance, or
+ * one that crashed) are checked again until it releases them or the lease
+ * expires.
+ */
+export async function resumeUnfinishedJobs(context) {
+  const jobs = await context.repository.findUnfinishedJobs();
+  const now = Date.now();
+  const available = jobs.filter(job => !(job.leaseUntil > now));
+  const leased = jobs.filter(job => job.leaseUntil > now);
+
+  if (available.length > 0) {
+    console.log(`Resuming ${available.length} unfinished job(s)`);
+  }
+  available.forEach(job => startJobRun(context, job._id.toString()));
+
+  if (leased.length > 0 && !context.lifecycle.isShuttingDown()) {
+    const untilExpiry = Math.min(...leased.map(job => job.leaseUntil.getTime() - now));
+    const retryInMs = Math.min(untilExpiry + LEASE_RETRY_MARGIN_MS, context.config.jobLeaseMs / 3);
+    console.log(`${leased.length} job(s) are held by another process; checking again in ${retryInMs}ms`);
+    setTimeout(() => {
+      resumeUnfinishedJobs(context).catch(error => {
+        console.error('Failed to resume unfinished jobs:', error);
+      });
+    }, retryInMs).unref();
+  }
+}
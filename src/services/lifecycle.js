@@ -0,0 +1,26 @@
+/**
+ * App lifecycle shared by the routes and background jobs
+ *
+ * Once shutdown begins, batch uploads stop starting new questions (the rest
+ * are reported as cancelled and atomic batches roll back) and background
+ * jobs stop after the questions they are uploading, so the next start
+ * resumes them.
+ */
+
+/**
+ * Create the lifecycle state of one app (context.lifecycle, see createApp)
+ * Returns { isShuttingDown(), beginShutdown() }
+ */
+export function createLifecycle() {
+  let shuttingDown = false;
+
+  return {
+    // Whether the app has started shutting down
+    isShuttingDown: () => shuttingDown,
+
+    // Mark the app as shutting down (see createGracefulShutdown)
+    beginShutdown() {
+      shuttingDown = true;
+    },
+  };
+}
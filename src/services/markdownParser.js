@@ -0,0 +1,607 @@
+/**
+ * Markdown paper parser
+ *
+ * Turns a markdown question paper into the question objects that
+ * uploadQuestionToDB accepts. The format:
+ *
+ *   # Subject / ## Chapter / ### Section   headings set the filters
+ *   12. Question text                        numbered question (column 0)
+ *   (A) option  A. option  A) option         lettered options
+ *   Answer: B | A, C | 42 | P-1; Q-2,3       inline answer
+ *   ID: 1234                                 explicit question id
+ *   Range: 0 to 100                          integer answer range
+ *   [multiple] [integer] [matrix] ...        type tag at the start of a question
+ *   Passage:                                 comprehension passage, followed by
+ *   12.1 Sub-question                        numbered sub-questions
+ *   | (P) item | (1) item |                  matrix-match table
+ *   ![alt](url)                              images (question, option, passage, cell)
+ *   ## Answer Key                            "12. B" lines (or a table) for
+ *                                            questions without an inline answer
+ *
+ * Anything the parser cannot place is reported as a warning with its line
+ * number instead of failing the whole document.
+ */
+
+const QUESTION_TYPE_TAGS = ['single', 'multiple', 'integer', 'matrix', 'comprehension'];
+
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE = /^\s*(```|~~~)/;
+const QUESTION_START = /^(\d+)[.)]\s+(.*)$/;
+const SUB_QUESTION_START = /^\s*(\d+)\.(\d+)[.)]?\s+(.*)$/;
+const OPTION_START = /^\s*(?:\(([A-Ha-h])\)|([A-Ha-h])[.)])\s+(.*)$/;
+const TYPE_TAG = /^\s*\[(single|multiple|integer|matrix|comprehension)\]\s*/i;
+const ANSWER_LINE = /^\s*(?:\*\*|__)?\s*(?:answers?|ans|correct answers?)\s*[:：]\s*(?:\*\*|__)?\s*(.*?)\s*(?:\*\*|__)?\s*$/i;
+const ID_LINE = /^\s*(?:\*\*|__)?\s*id\s*[:：]\s*(?:\*\*|__)?\s*(\S+)\s*$/i;
+const RANGE_LINE = /^\s*(?:\*\*|__)?\s*(?:answer\s+)?range\s*[:：]\s*(?:\*\*|__)?\s*(-?\d+)\s*(?:-|to|\.\.|–)\s*(-?\d+)\s*$/i;
+const PASSAGE_LINE = /^\s*(?:\*\*|__)?\s*passage\s*(?:(?:\*\*|__)\s*[:：]|[:：]\s*(?:\*\*|__)?)\s*(.*)$/i;
+const ANSWER_KEY_TITLE = /^\s*(?:\*\*|__)?\s*answer\s*key\s*[:：]?\s*(?:\*\*|__)?\s*$/i;
+const ANSWER_KEY_ENTRY = /^\s*(\d+(?:\.\d+)?)\s*[.):\-–]\s*(.+?)\s*$/;
+const TABLE_ROW = /^\s*\|.*\|\s*$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const MARKDOWN_IMAGE = /!\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^"']*["'])?\s*\)/g;
+const HTML_IMAGE = /<img\b[^>]*\bsrc=["']([^"']+)["'][^>]*>/gi;
+const MATRIX_CELL = /^\s*(?:\(([A-Za-z0-9]{1,3})\)|([A-Za-z0-9]{1,3})[.)])\s*(.*)$/;
+const MATRIX_ROW_SEPARATOR = /[,;]\s*(?=\(?[A-Za-z0-9]{1,3}\)?\s*(?:->|→|-|:|=))/;
+const MATRIX_ANSWER_ENTRY = /^\s*\(?([A-Za-z0-9]{1,3})\)?\s*(?:->|→|-|:|=)\s*(.+)$/;
+
+// Labels given to matrix items that have none in the table
+const DEFAULT_ROW_LABELS = ['P', 'Q', 'R', 'S', 'T', 'U', 'V', 'W'];
+
+/**
+ * Pull image URLs out of a piece of markdown
+ * Returns { text, images } with the image syntax removed from the text
+ */
+function extractImages(text) {
+  const images = [];
+  const collect = (match, url) => {
+    images.push(url);
+    return '';
+  };
+  const stripped = text.replace(MARKDOWN_IMAGE, collect).replace(HTML_IMAGE, collect);
+  return { text: stripped, images };
+}
+
+/**
+ * Join lines into a text block: common indentation and surrounding blank
+ * lines are removed, inner line breaks kept. The first line follows a
+ * number or label marker, so it does not count towards the indentation.
+ */
+function joinLines(lines) {
+  const texts = lines.map((line, index) => (index === 0 ? line.text.trim() : line.text.replace(/\s+$/, '')));
+  const indents = texts.slice(1).filter(text => text.trim()).map(text => text.match(/^\s*/)[0].length);
+  const indent = indents.length ? Math.min(...indents) : 0;
+  const dedented = texts.map((text, index) => (index === 0 ? text : text.slice(indent)));
+
+  while (dedented.length && !dedented[0].trim()) dedented.shift();
+  while (dedented.length && !dedented[dedented.length - 1].trim()) dedented.pop();
+  return dedented.join('\n').replace(/\n{3,}/g, '\n\n');
+}
+
+/**
+ * Tidy text after image syntax was removed from it
+ */
+function tidyText(text) {
+  return text.split('\n').map(line => line.replace(/[ \t]{2,}/g, ' ').trimEnd()).join('\n').trim();
+}
+
+/**
+ * Build a { text, images } content object from lines
+ */
+function buildContent(lines) {
+  const { text, images } = extractImages(joinLines(lines));
+  const content = { text: tidyText(text) };
+  if (images.length > 0) {
+    content.images = images;
+  }
+  return content;
+}
+
+/**
+ * Split a markdown table row into trimmed cells
+ */
+function splitTableRow(line) {
+  return line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Parse a matrix cell "(P) text" into { label, text, images }
+ */
+function parseMatrixCell(cell) {
+  const match = MATRIX_CELL.exec(cell);
+  const { text, images } = extractImages(match ? match[3] : cell);
+  const item = { label: match ? (match[1] || match[2]) : undefined, text: text.trim() };
+  if (images.length > 0) {
+    item.images = images;
+  }
+  return item;
+}
+
+/**
+ * Parse matrix-match table lines into { rows, columns }
+ * Two-column tables hold "(P) text | (1) text"; four-column tables hold
+ * "P | text | 1 | text". A header row (followed by |---|) is skipped.
+ */
+function parseMatrixTable(tableLines, warn) {
+  let rows = tableLines.map(line => ({ cells: splitTableRow(line.text), lineNumber: line.lineNumber }));
+  const separatorIndex = tableLines.findIndex(line => TABLE_SEPARATOR.test(line.text));
+  if (separatorIndex !== -1) {
+    rows = rows.slice(separatorIndex + 1);
+  }
+
+  const matrix = { rows: [], columns: [] };
+  rows.forEach(({ cells, lineNumber }) => {
+    let left;
+    let right;
+    if (cells.length >= 4) {
+      left = cells[0] || cells[1] ? parseMatrixCell(`(${cells[0]}) ${cells[1]}`) : null;
+      right = cells[2] || cells[3] ? parseMatrixCell(`(${cells[2]}) ${cells[3]}`) : null;
+    } else if (cells.length >= 2) {
+      left = cells[0] ? parseMatrixCell(cells[0]) : null;
+      right = cells[1] ? parseMatrixCell(cells[1]) : null;
+    } else {
+      warn(lineNumber, 'Matrix table rows need two or four cells');
+      return;
+    }
+    if (left) matrix.rows.push(left);
+    if (right) matrix.columns.push(right);
+  });
+
+  const fillLabels = (items, defaults, kind) => {
+    if (items.some(item => !item.label)) {
+      warn(tableLines[0].lineNumber, `Matrix ${kind} without labels were labelled ${defaults.slice(0, items.length).join(', ')}`);
+      items.forEach((item, index) => {
+        item.label = item.label || defaults[index] || String(index + 1);
+      });
+    }
+  };
+  fillLabels(matrix.rows, DEFAULT_ROW_LABELS, 'rows');
+  fillLabels(matrix.columns, matrix.columns.map((column, index) => String(index + 1)), 'columns');
+
+  return matrix;
+}
+
+/**
+ * Parse a matrix answer such as "P-1, Q-2,3; R-4" into { P: ['1'], Q: ['2', '3'], R: ['4'] }
+ * Labels are matched case-insensitively against the table.
+ */
+function parseMatrixAnswer(answerText, matrix, warn, lineNumber) {
+  const findLabel = (items, label) => items.find(item => item.label.toLowerCase() === label.toLowerCase())?.label;
+  const answers = {};
+
+  answerText.split(MATRIX_ROW_SEPARATOR).forEach(segment => {
+    const entry = MATRIX_ANSWER_ENTRY.exec(segment);
+    if (!entry) {
+      warn(lineNumber, `Could not read matrix answer "${segment.trim()}"`);
+      return;
+    }
+    const row = findLabel(matrix.rows, entry[1]);
+    if (!row) {
+      warn(lineNumber, `Matrix answer refers to unknown row "${entry[1]}"`);
+      return;
+    }
+    answers[row] = entry[2]
+      .split(/\s*(?:,|&|\band\b|\s)\s*/i)
+      .map(label => label.replace(/[()]/g, ''))
+      .filter(Boolean)
+      .map(label => findLabel(matrix.columns, label) || label);
+  });
+
+  return answers;
+}
+
+/**
+ * Parse a choice answer ("B", "A, C", "(A) and (C)", "AC") into option labels
+ * Returns null when the text does not look like option letters.
+ */
+function parseChoiceAnswer(answerText) {
+  const text = answerText.trim();
+  if (/^[A-Ha-h]{2,}$/.test(text)) {
+    return text.toUpperCase().split('');
+  }
+  const parts = text.split(/\s*(?:,|;|&|\/|\band\b|\s)\s*/i).map(part => part.replace(/[()]/g, '')).filter(Boolean);
+  if (parts.length > 0 && parts.every(part => /^[A-Ha-h]$/.test(part))) {
+    return parts.map(part => part.toUpperCase());
+  }
+  return null;
+}
+
+/**
+ * Parse the lines of one question (or sub-question) into its parts
+ * Returns { typeTag, id, stemLines, options, answer, range, tableLines, passageLines, subBlocks }
+ */
+function parseItemLines(lines, warn, { allowSubQuestions }) {
+  const item = {
+    typeTag: null,
+    id: null,
+    stemLines: [],
+    options: [],
+    answer: null,
+    range: null,
+    tableLines: [],
+    passageLines: null,
+    subBlocks: [],
+  };
+  let inFence = false;
+  let currentOption = null;
+  let currentSub = null;
+
+  lines.forEach((line, index) => {
+    let text = line.text;
+    const lineNumber = line.lineNumber;
+
+    if (currentSub) {
+      const subStart = SUB_QUESTION_START.exec(text);
+      if (subStart) {
+        currentSub = { number: `${subStart[1]}.${subStart[2]}`, lineNumber, lines: [{ text: subStart[3], lineNumber }] };
+        item.subBlocks.push(currentSub);
+      } else {
+        currentSub.lines.push(line);
+      }
+      return;
+    }
+
+    if (FENCE.test(text)) {
+      inFence = !inFence;
+    }
+    if (inFence || FENCE.test(text)) {
+      (currentOption ? currentOption.lines : item.passageLines || item.stemLines).push(line);
+      return;
+    }
+
+    if (index === 0) {
+      const tag = TYPE_TAG.exec(text);
+      if (tag) {
+        item.typeTag = tag[1].toLowerCase();
+        text = text.slice(tag[0].length);
+      }
+    }
+
+    if (allowSubQuestions) {
+      const subStart = SUB_QUESTION_START.exec(text);
+      if (subStart) {
+        currentSub = { number: `${subStart[1]}.${subStart[2]}`, lineNumber, lines: [{ text: subStart[3], lineNumber }] };
+        item.subBlocks.push(currentSub);
+        return;
+      }
+
+      const passage = index > 0 && PASSAGE_LINE.exec(text);
+      if (passage && item.passageLines === null) {
+        item.passageLines = passage[1] ? [{ text: passage[1], lineNumber }] : [];
+        return;
+      }
+    }
+
+    const answer = ANSWER_LINE.exec(text);
+    if (answer) {
+      item.answer = { text: answer[1], lineNumber };
+      currentOption = null;
+      return;
+    }
+
+    const id = ID_LINE.exec(text);
+    if (id) {
+      item.id = /^\d+$/.test(id[1]) ? Number(id[1]) : id[1];
+      return;
+    }
+
+    const range = RANGE_LINE.exec(text);
+    if (range) {
+      item.range = { min: Number(range[1]), max: Number(range[2]) };
+      return;
+    }
+
+    if (TABLE_ROW.test(text) || (item.tableLines.length > 0 && TABLE_SEPARATOR.test(text))) {
+      item.tableLines.push({ text, lineNumber });
+      currentOption = null;
+      return;
+    }
+
+    const option = index > 0 && OPTION_START.exec(text);
+    if (option && item.passageLines === null) {
+      currentOption = { label: (option[1] || option[2]).toUpperCase(), lines: [{ text: option[3], lineNumber }], lineNumber };
+      item.options.push(currentOption);
+      return;
+    }
+
+    if (currentOption && text.trim()) {
+      currentOption.lines.push({ text, lineNumber });
+      return;
+    }
+
+    (item.passageLines || item.stemLines).push({ text, lineNumber });
+  });
+
+  return item;
+}
+
+/**
+ * Build option objects { label, text, image_url? }
+ */
+function buildOptions(options, warn) {
+  const seen = new Set();
+  return options.map(option => {
+    if (seen.has(option.label)) {
+      warn(option.lineNumber, `Option ${option.label} appears more than once`);
+    }
+    seen.add(option.label);
+
+    const { text, images } = extractImages(joinLines(option.lines));
+    const built = { label: option.label, text: tidyText(text) };
+    if (images.length > 0) {
+      built.image_url = images[0];
+    }
+    if (images.length > 1) {
+      warn(option.lineNumber, `Option ${option.label} has ${images.length} images; only the first is kept`);
+    }
+    return built;
+  });
+}
+
+/**
+ * Resolve the answer of an item from its inline answer or the answer key
+ */
+function resolveAnswerText(item, number, answerKey, warn, lineNumber) {
+  const keyed = answerKey.get(number);
+  if (item.answer && keyed && item.answer.text.replace(/\s/g, '').toUpperCase() !== keyed.text.replace(/\s/g, '').toUpperCase()) {
+    warn(item.answer.lineNumber, `Answer "${item.answer.text}" differs from the answer key ("${keyed.text}"); using the inline answer`);
+  }
+  const answer = item.answer || keyed || null;
+  if (!answer) {
+    warn(lineNumber, `Question ${number} has no answer`);
+  }
+  return answer;
+}
+
+/**
+ * Fill type, options, answers, range and matrix fields of a question or
+ * sub-question from its parsed parts
+ */
+function buildAnswerFields(target, item, answer, warn, { allowedTypes }) {
+  const options = buildOptions(item.options, warn);
+  const hasTable = item.tableLines.length > 0;
+  const choiceAnswers = answer ? parseChoiceAnswer(answer.text) : null;
+
+  let type = item.typeTag;
+  if (!type) {
+    if (hasTable) {
+      type = 'matrix';
+    } else if (options.length > 0) {
+      type = choiceAnswers && choiceAnswers.length > 1 ? 'multiple' : 'single';
+    } else if (answer && /^-?\d+(\.\d+)?$/.test(answer.text.trim())) {
+      type = 'integer';
+    } else {
+      type = 'single';
+    }
+  }
+  if (!allowedTypes.includes(type)) {
+    warn(item.answer?.lineNumber || target.lineNumber, `Type "${type}" is not allowed here`);
+  }
+  target.type = type;
+
+  if (options.length > 0) {
+    target.options = options;
+  }
+
+  if (type === 'matrix' && hasTable) {
+    target.matrix_match = parseMatrixTable(item.tableLines, warn);
+    if (answer && options.length === 0) {
+      target.matrix_match.answers = parseMatrixAnswer(answer.text, target.matrix_match, warn, answer.lineNumber);
+    }
+  } else if (hasTable) {
+    // A table in a non-matrix question is part of the question text
+    target.content.text = [target.content.text, item.tableLines.map(line => line.text.trim()).join('\n')].filter(Boolean).join('\n\n');
+  }
+
+  if (!answer || (type === 'matrix' && options.length === 0)) {
+    return;
+  }
+
+  if (type === 'integer') {
+    // Several accepted values may be listed: "Answer: 4, 5"
+    target.answers = answer.text.split(/\s*(?:,|;|\bor\b)\s*/i).filter(Boolean).map(value => {
+      if (/^-?\d+$/.test(value)) {
+        return Number(value);
+      }
+      warn(answer.lineNumber, `Integer answer "${value}" is not a whole number`);
+      return value;
+    });
+    if (item.range) {
+      target.answer_range = item.range;
+    }
+    return;
+  }
+
+  if (!choiceAnswers) {
+    warn(answer.lineNumber, `Could not read answer "${answer.text}" as option letters`);
+    return;
+  }
+  const unknown = choiceAnswers.filter(label => !options.some(option => option.label === label));
+  if (unknown.length > 0) {
+    warn(answer.lineNumber, `Answer refers to missing option(s) ${unknown.join(', ')}`);
+  }
+  target.answers = choiceAnswers;
+}
+
+/**
+ * Parse an answer-key line ("12. B", "12.1) A, C", "| 12 | B |") into the key map
+ */
+function parseAnswerKeyLine(line, answerKey, warn) {
+  const { text, lineNumber } = line;
+  if (!text.trim() || TABLE_SEPARATOR.test(text)) {
+    return;
+  }
+
+  if (TABLE_ROW.test(text)) {
+    const cells = splitTableRow(text);
+    for (let i = 0; i + 1 < cells.length; i += 2) {
+      if (/^\d+(\.\d+)?$/.test(cells[i]) && cells[i + 1]) {
+        answerKey.set(cells[i], { text: cells[i + 1], lineNumber });
+      }
+    }
+    return;
+  }
+
+  const entry = ANSWER_KEY_ENTRY.exec(text);
+  if (entry) {
+    answerKey.set(entry[1], { text: entry[2], lineNumber });
+  } else {
+    warn(lineNumber, `Could not read answer key line "${text.trim()}"`);
+  }
+}
+
+/**
+ * Split the document into question blocks, headings and answer-key lines
+ */
+function scanDocument(markdown, defaults, warn) {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  const context = { subject: defaults.subject, chapter: defaults.chapter, section: defaults.section };
+  const blocks = [];
+  const answerKeyLines = [];
+  let current = null;
+  let inAnswerKey = false;
+  let inFence = false;
+
+  lines.forEach((text, index) => {
+    const line = { text, lineNumber: index + 1 };
+
+    if (FENCE.test(text) || inFence) {
+      if (FENCE.test(text)) {
+        inFence = !inFence;
+      }
+      if (current) {
+        current.lines.push(line);
+      }
+      return;
+    }
+
+    const heading = HEADING.exec(text);
+    if (heading || ANSWER_KEY_TITLE.test(text)) {
+      current = null;
+      const title = heading ? heading[2].replace(/[*_]/g, '').trim() : 'Answer Key';
+      inAnswerKey = ANSWER_KEY_TITLE.test(title);
+      if (inAnswerKey || !heading) {
+        return;
+      }
+
+      const level = heading[1].length;
+      if (level === 1) {
+        Object.assign(context, { subject: title, chapter: undefined, section: undefined });
+      } else if (level === 2) {
+        Object.assign(context, { chapter: title, section: undefined });
+      } else {
+        context.section = title;
+      }
+      return;
+    }
+
+    if (inAnswerKey) {
+      answerKeyLines.push(line);
+      return;
+    }
+
+    const start = QUESTION_START.exec(text);
+    if (start) {
+      current = { number: start[1], lineNumber: line.lineNumber, lines: [{ text: start[2], lineNumber: line.lineNumber }], context: { ...context } };
+      blocks.push(current);
+      return;
+    }
+
+    if (current) {
+      current.lines.push(line);
+    } else if (text.trim()) {
+      warn(line.lineNumber, 'Text outside of a question was ignored');
+    }
+  });
+
+  return { blocks, answerKeyLines };
+}
+
+/**
+ * Parse a markdown paper into questions
+ * Options:
+ * - idStart: id of the first question without an "ID:" line (then counting up)
+ * - defaults: { subject, chapter, section } used until a heading sets them
+ * Returns { questions, warnings: [{ line, questionNumber?, message }] }
+ */
+export function parsePaperMarkdown(markdown, { idStart, defaults = {} } = {}) {
+  const warnings = [];
+  let questionNumber;
+  const warn = (line, message) => {
+    warnings.push({ line, ...(questionNumber !== undefined && { questionNumber }), message });
+  };
+
+  const { blocks, answerKeyLines } = scanDocument(markdown, defaults, warn);
+
+  const answerKey = new Map();
+  answerKeyLines.forEach(line => parseAnswerKeyLine(line, answerKey, warn));
+
+  const seenNumbers = new Set();
+  const answeredNumbers = new Set();
+  const questions = blocks.map((block, blockIndex) => {
+    questionNumber = Number(block.number);
+    const item = parseItemLines(block.lines, warn, { allowSubQuestions: true });
+
+    const sectionKey = `${block.context.subject}|${block.context.chapter}|${block.context.section}|${block.number}`;
+    if (seenNumbers.has(sectionKey)) {
+      warn(block.lineNumber, `Question number ${block.number} appears more than once in this section`);
+    }
+    seenNumbers.add(sectionKey);
+
+    let id = item.id;
+    if (id === null && idStart !== undefined) {
+      id = idStart + blockIndex;
+    }
+    if (id === null) {
+      warn(block.lineNumber, 'Question has no id; add an "ID:" line or pass idStart');
+    }
+
+    const question = { id: id ?? undefined, questionNumber };
+    ['subject', 'chapter', 'section'].forEach(field => {
+      if (block.context[field]) {
+        question[field] = block.context[field];
+      }
+    });
+
+    const isComprehension = item.typeTag === 'comprehension' || item.subBlocks.length > 0 || item.passageLines !== null;
+    if (isComprehension) {
+      question.type = 'comprehension';
+      question.comprehension_passage = buildContent([...item.stemLines, ...(item.passageLines || [])]);
+      if (item.options.length > 0 || item.answer) {
+        warn(block.lineNumber, 'Options and answers of a comprehension question belong to its sub-questions');
+      }
+      question.sub_questions = item.subBlocks.map(subBlock => {
+        answeredNumbers.add(subBlock.number);
+        const subItem = parseItemLines(subBlock.lines, warn, { allowSubQuestions: false });
+        const defaultId = id !== null ? `${id}.${subBlock.number.split('.')[1]}` : subBlock.number;
+        const subQuestion = { id: subItem.id ?? defaultId };
+        subQuestion.content = buildContent(subItem.stemLines);
+        const answer = resolveAnswerText(subItem, subBlock.number, answerKey, warn, subBlock.lineNumber);
+        buildAnswerFields(subQuestion, subItem, answer, warn, { allowedTypes: ['single', 'multiple', 'integer'] });
+        return subQuestion;
+      });
+      if (question.sub_questions.length === 0) {
+        warn(block.lineNumber, `Comprehension question has no sub-questions (number them ${block.number}.1, ${block.number}.2, ...)`);
+      }
+      return question;
+    }
+
+    answeredNumbers.add(block.number);
+    question.content = buildContent(item.stemLines);
+    const answer = resolveAnswerText(item, block.number, answerKey, warn, block.lineNumber);
+    buildAnswerFields(question, item, answer, warn, { allowedTypes: QUESTION_TYPE_TAGS });
+    return question;
+  });
+
+  questionNumber = undefined;
+  if (blocks.length === 0) {
+    warn(1, 'No numbered questions found');
+  }
+
+  answerKey.forEach((entry, number) => {
+    if (!answeredNumbers.has(number)) {
+      warn(entry.lineNumber, `Answer key entry ${number} has no matching question`);
+    }
+  });
+
+  return { questions, warnings };
+}
@@ -1,9 +1,48 @@
 import { MongoClient, ObjectId } from 'mongodb';
-import { config } from '../config/env.js';
+import { createHttpError } from './errors.js';
+import {
+  SORTABLE_FIELDS,
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT,
+  DEFAULT_PAPER_LIMIT,
+  MAX_PAPER_LIMIT,
+  SEARCH_WEIGHTS,
+  IMAGE_FIELDS,
+  IMAGE_FIELDS_PROJECTION,
+  UNFINISHED_JOB_STATUSES,
+  buildQuestionDocument,
+  stripBookkeepingFields,
+  parseLimit,
+  parseOffset,
+  parseSort,
+  parseProjection,
+  encodeCursor,
+  decodeCursor,
+  assertValidObjectIds,
+  toObjectId,
+} from './repository/shared.js';
 
 let client = null;
 let db = null;
 
+// MONGODB_* settings (config.mongodb) and job retention of the connection
+let settings = null;
+
+/**
+ * Use the settings of a configuration for the connection. The connection
+ * is shared by the whole process, so every MongoDB repository must be
+ * created from the same settings.
+ */
+export function configureMongoConnection({ mongodb, jobRetentionDays }) {
+  const next = { ...mongodb, jobRetentionDays };
+  if (settings && JSON.stringify(settings) !== JSON.stringify(next)) {
+    throw new Error('MongoDB repositories share one connection and must be created with the same MONGODB_* settings');
+  }
+  settings = next;
+}
+
 /**
  * Connect to MongoDB
  */
@@ -12,8 +51,8 @@ async function connectToMongo() {
     return db;
   }
 
-  const uri = config.mongodb.uri;
-  const dbName = config.mongodb.database;
+  const uri = settings?.uri;
+  const dbName = settings?.database;
 
   if (!uri) {
     throw new Error('MongoDB URI is not configured. Please set MONGODB_URI in your .env file');
@@ -35,10 +74,436 @@ async function connectToMongo() {
  */
 async function getQuestionsCollection() {
   const database = await connectToMongo();
-  const collectionName = config.mongodb.collection;
+  const collectionName = settings.collection;
   return database.collection(collectionName);
 }
 
+/**
+ * Get the image registry collection
+ */
+async function getImagesCollection() {
+  const database = await connectToMongo();
+  return database.collection(settings.imagesCollection || 'images');
+}
+
+/**
+ * Find a registered image previously mirrored from the given source URL
+ * (or already stored at that S3 URL)
+ */
+export async function findImageBySourceUrl(sourceUrl) {
+  const collection = await getImagesCollection();
+  return await collection.findOne({ $or: [{ sourceUrls: sourceUrl }, { s3Url: sourceUrl }] });
+}
+
+/**
+ * Record an image in the registry, keyed by its S3 key
+ * Repeated registrations add the source URL to the existing record.
+ */
+export async function registerImage({ key, hash, s3Url, sourceUrl, size, contentType }) {
+  const collection = await getImagesCollection();
+  const now = new Date();
+
+  const update = {
+    $setOnInsert: { key, hash, s3Url, size, contentType, questionIds: [], createdAt: now },
+    $set: { updatedAt: now },
+  };
+  if (sourceUrl) {
+    update.$addToSet = { sourceUrls: sourceUrl };
+  } else {
+    update.$setOnInsert.sourceUrls = [];
+  }
+
+  await collection.updateOne({ key }, update, { upsert: true });
+}
+
+/**
+ * Record that a question references the given S3 keys
+ */
+export async function addImageReferences(s3Keys, questionId) {
+  if (!s3Keys || s3Keys.length === 0) {
+    return;
+  }
+
+  const collection = await getImagesCollection();
+  await collection.updateMany(
+    { key: { $in: s3Keys } },
+    { $addToSet: { questionIds: questionId }, $set: { updatedAt: new Date() } }
+  );
+}
+
+/**
+ * Remove an image from the registry (used for rollback)
+ */
+export async function deleteImageRecord(s3Key) {
+  const collection = await getImagesCollection();
+  await collection.deleteOne({ key: s3Key });
+}
+
+/**
+ * Remove a question from the referencing list of the given images
+ */
+export async function removeImageReferences(s3Keys, questionId) {
+  if (!s3Keys || s3Keys.length === 0) {
+    return;
+  }
+
+  const collection = await getImagesCollection();
+  await collection.updateMany(
+    { key: { $in: s3Keys } },
+    { $pull: { questionIds: questionId }, $set: { updatedAt: new Date() } }
+  );
+}
+
+/**
+ * Remove many images from the registry
+ */
+export async function deleteImageRecords(s3Keys) {
+  if (!s3Keys || s3Keys.length === 0) {
+    return;
+  }
+
+  const collection = await getImagesCollection();
+  await collection.deleteMany({ key: { $in: s3Keys } });
+}
+
+const REVISION_IMAGE_FIELDS_PROJECTION = Object.fromEntries(
+  Object.keys(IMAGE_FIELDS_PROJECTION).map(field => [`snapshot.${field}`, 1])
+);
+
+/**
+ * Find questions (current or historical revisions) referencing any of the
+ * given image URLs. Only the image-bearing fields are returned.
+ */
+export async function findQuestionsReferencingImages(imageUrls) {
+  if (!imageUrls || imageUrls.length === 0) {
+    return [];
+  }
+
+  const collection = await getQuestionsCollection();
+  const questions = await collection
+    .find(
+      { $or: IMAGE_FIELDS.map(field => ({ [field]: { $in: imageUrls } })) },
+      { projection: IMAGE_FIELDS_PROJECTION }
+    )
+    .toArray();
+
+  // Older revisions keep their images alive so they can be reverted to
+  const revisions = await getRevisionsCollection();
+  const snapshots = await revisions
+    .find(
+      { $or: IMAGE_FIELDS.map(field => ({ [`snapshot.${field}`]: { $in: imageUrls } })) },
+      { projection: REVISION_IMAGE_FIELDS_PROJECTION }
+    )
+    .toArray();
+
+  return [...questions, ...snapshots.map(revision => revision.snapshot)];
+}
+
+/**
+ * Get the image-bearing fields of every question and revision (for image garbage collection)
+ */
+export async function getAllQuestionImageFields() {
+  const collection = await getQuestionsCollection();
+  const questions = await collection.find({}, { projection: IMAGE_FIELDS_PROJECTION }).toArray();
+
+  const revisions = await getRevisionsCollection();
+  const snapshots = await revisions.find({}, { projection: REVISION_IMAGE_FIELDS_PROJECTION }).toArray();
+
+  return [...questions, ...snapshots.map(revision => revision.snapshot)];
+}
+
+/**
+ * Get the API key collection
+ */
+async function getApiKeysCollection() {
+  const database = await connectToMongo();
+  return database.collection(settings.apiKeysCollection || 'api_keys');
+}
+
+/**
+ * Store a new API key record (only the hash of the key is stored)
+ */
+export async function createApiKeyRecord({ name, role, hash, prefix, createdBy }) {
+  const collection = await getApiKeysCollection();
+  const document = { name, role, hash, prefix, createdBy, createdAt: new Date(), lastUsedAt: null, revokedAt: null };
+  const result = await collection.insertOne(document);
+  return { _id: result.insertedId, ...document };
+}
+
+/**
+ * Find an active (not revoked) API key by the hash of the presented key
+ */
+export async function findActiveApiKeyByHash(hash) {
+  const collection = await getApiKeysCollection();
+  return await collection.findOne({ hash, revokedAt: null });
+}
+
+/**
+ * List API keys without their hashes
+ */
+export async function listApiKeys() {
+  const collection = await getApiKeysCollection();
+  return await collection.find({}, { projection: { hash: 0 } }).sort({ createdAt: -1 }).toArray();
+}
+
+/**
+ * Revoke an API key. Returns true if an active key was revoked
+ */
+export async function revokeApiKey(keyId, revokedBy) {
+  const _id = toObjectId(keyId, 'Invalid key ID');
+
+  const collection = await getApiKeysCollection();
+  const result = await collection.updateOne(
+    { _id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Record when an API key was last used
+ */
+export async function touchApiKey(keyId) {
+  const collection = await getApiKeysCollection();
+  await collection.updateOne({ _id: keyId }, { $set: { lastUsedAt: new Date() } });
+}
+
+/**
+ * Get the background job collection
+ */
+async function getJobsCollection() {
+  const database = await connectToMongo();
+  return database.collection(settings.jobsCollection || 'jobs');
+}
+
+function toJobObjectId(jobId) {
+  return toObjectId(jobId, 'Invalid job ID');
+}
+
+/**
+ * Store a new queued job. The payload holds what the job needs to run (or
+ * resume after a restart); results has one slot per item.
+ * Returns the job ID
+ */
+export async function createJobRecord({ type, payload, total, createdBy }) {
+  const collection = await getJobsCollection();
+  const now = new Date();
+  const result = await collection.insertOne({
+    type,
+    status: 'queued',
+    payload,
+    progress: { total, processed: 0, created: 0, updated: 0, skipped: 0, failed: 0, cancelled: 0 },
+    results: new Array(total).fill(null),
+    cancelRequested: false,
+    error: null,
+    leaseOwner: null,
+    leaseUntil: null,
+    createdBy,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+  });
+  return result.insertedId.toString();
+}
+
+/**
+ * Get a job by ID. The payload is only included with { includePayload: true }
+ */
+export async function getJob(jobId, { includePayload = false } = {}) {
+  const collection = await getJobsCollection();
+  return await collection.findOne(
+    { _id: toJobObjectId(jobId) },
+    includePayload ? {} : { projection: { payload: 0 } }
+  );
+}
+
+/**
+ * Claim a queued or running job for a process (owner) until leaseMs from
+ * now, unless another process holds a lease that has not expired. The
+ * claim marks the job running.
+ * Returns the job with its payload, or null if it is missing, finished or
+ * held by another process
+ */
+export async function claimJob(jobId, owner, leaseMs) {
+  const collection = await getJobsCollection();
+  const now = new Date();
+  return await collection.findOneAndUpdate(
+    {
+      _id: toJobObjectId(jobId),
+      status: { $in: UNFINISHED_JOB_STATUSES },
+      $or: [{ leaseOwner: owner }, { leaseUntil: null }, { leaseUntil: { $lte: now } }],
+    },
+    // Pipeline update, so a resumed job keeps the time it first started
+    [{
+      $set: {
+        status: 'running',
+        leaseOwner: owner,
+        leaseUntil: new Date(now.getTime() + leaseMs),
+        startedAt: { $ifNull: ['$startedAt', now] },
+        updatedAt: now,
+      },
+    }],
+    { returnDocument: 'after' }
+  );
+}
+
+/**
+ * Extend the lease of a job the owner holds
+ * Returns false if the owner no longer holds it
+ */
+export async function renewJobLease(jobId, owner, leaseMs) {
+  const collection = await getJobsCollection();
+  const result = await collection.updateOne(
+    { _id: toJobObjectId(jobId), leaseOwner: owner, status: { $in: UNFINISHED_JOB_STATUSES } },
+    { $set: { leaseUntil: new Date(Date.now() + leaseMs) } }
+  );
+  return result.matchedCount === 1;
+}
+
+/**
+ * Give up the lease of an unfinished job so another process can claim it
+ * straight away
+ */
+export async function releaseJob(jobId, owner) {
+  const collection = await getJobsCollection();
+  await collection.updateOne(
+    { _id: toJobObjectId(jobId), leaseOwner: owner },
+    { $set: { leaseOwner: null, leaseUntil: null } }
+  );
+}
+
+/**
+ * Store the result for one item of a job and count it in the progress
+ * Only the lease owner can record results, and only once per item.
+ * Returns { cancelRequested }, or null if the owner no longer holds the
+ * job (or the item already has a result)
+ */
+export async function recordJobResult(jobId, owner, index, result) {
+  const collection = await getJobsCollection();
+  return await collection.findOneAndUpdate(
+    { _id: toJobObjectId(jobId), leaseOwner: owner, [`results.${index}`]: null },
+    {
+      $set: { [`results.${index}`]: result, updatedAt: new Date() },
+      $inc: { 'progress.processed': 1, [`progress.${result.status}`]: 1 },
+    },
+    { projection: { cancelRequested: 1 }, returnDocument: 'after' }
+  );
+}
+
+/**
+ * Mark a job the owner holds as finished ('completed', 'cancelled' or
+ * 'failed') and drop its lease
+ * The payload is dropped; it is only needed while the job can still run.
+ */
+export async function finishJob(jobId, owner, status, error = null) {
+  const collection = await getJobsCollection();
+  const now = new Date();
+  await collection.updateOne(
+    { _id: toJobObjectId(jobId), leaseOwner: owner },
+    {
+      $set: { status, error, finishedAt: now, updatedAt: now, leaseOwner: null, leaseUntil: null },
+      $unset: { payload: '' },
+    }
+  );
+}
+
+/**
+ * Request cancellation of a queued or running job
+ * Returns the job, or null if it does not exist
+ */
+export async function requestJobCancellation(jobId, cancelledBy) {
+  const collection = await getJobsCollection();
+  const _id = toJobObjectId(jobId);
+  await collection.updateOne(
+    { _id, status: { $in: UNFINISHED_JOB_STATUSES } },
+    { $set: { cancelRequested: true, cancelledBy, updatedAt: new Date() } }
+  );
+  return await collection.findOne({ _id }, { projection: { payload: 0 } });
+}
+
+/**
+ * Find jobs that are queued or running, in this or another process
+ * Returns [{ _id, leaseUntil }]
+ */
+export async function findUnfinishedJobs() {
+  const collection = await getJobsCollection();
+  return await collection
+    .find({ status: { $in: UNFINISHED_JOB_STATUSES } }, { projection: { _id: 1, leaseUntil: 1 } })
+    .sort({ createdAt: 1 })
+    .toArray();
+}
+
+/**
+ * Get the papers collection
+ */
+async function getPapersCollection() {
+  const database = await connectToMongo();
+  return database.collection(settings.papersCollection || 'papers');
+}
+
+function toPaperObjectId(paperId) {
+  return toObjectId(paperId, 'Invalid paper ID');
+}
+
+/**
+ * Store a new paper. Returns the stored document
+ */
+export async function createPaperRecord(paper, createdBy = null) {
+  const collection = await getPapersCollection();
+  const now = new Date();
+  const document = { ...paper, createdBy, createdAt: now, updatedAt: now };
+  const result = await collection.insertOne(document);
+  console.log('Paper saved to MongoDB with ID:', result.insertedId);
+  return { _id: result.insertedId, ...document };
+}
+
+/**
+ * Get a paper by ID, or null
+ */
+export async function getPaper(paperId) {
+  const collection = await getPapersCollection();
+  return await collection.findOne({ _id: toPaperObjectId(paperId) });
+}
+
+/**
+ * List papers, most recently updated first
+ * Options: limit, offset
+ * Returns { papers, total }
+ */
+export async function listPapers(options = {}) {
+  const limit = parseLimit(options.limit, DEFAULT_PAPER_LIMIT, MAX_PAPER_LIMIT);
+  const offset = parseOffset(options.offset);
+
+  const collection = await getPapersCollection();
+  const [papers, total] = await Promise.all([
+    collection.find({}).sort({ updatedAt: -1, _id: -1 }).skip(offset).limit(limit).toArray(),
+    collection.countDocuments({}),
+  ]);
+  return { papers, total };
+}
+
+/**
+ * Replace the contents of a paper. Returns the updated paper, or null
+ */
+export async function updatePaperRecord(paperId, paper, updatedBy = null) {
+  const collection = await getPapersCollection();
+  return await collection.findOneAndUpdate(
+    { _id: toPaperObjectId(paperId) },
+    { $set: { ...paper, updatedBy, updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+}
+
+/**
+ * Delete a paper. Returns whether it existed
+ */
+export async function deletePaperRecord(paperId) {
+  const collection = await getPapersCollection();
+  const result = await collection.deleteOne({ _id: toPaperObjectId(paperId) });
+  return result.deletedCount > 0;
+}
+
 /**
  * Save question to MongoDB
  */
@@ -47,13 +512,7 @@ export async function saveQuestionToMongoDB(question, s3ImageUrl) {
   
   const collection = await getQuestionsCollection();
   
-  const document = {
-    ...question,
-    uploadedAt: new Date(),
-    originalImageUrl: question.imageUrl,
-    s3ImageUrl: s3ImageUrl || question.imageUrl,
-    imageUrl: s3ImageUrl || question.imageUrl, // Update imageUrl to S3 URL
-  };
+  const document = buildQuestionDocument(question, s3ImageUrl);
 
   const result = await collection.insertOne(document);
   
@@ -62,10 +521,82 @@ export async function saveQuestionToMongoDB(question, s3ImageUrl) {
   return result.insertedId.toString();
 }
 
+/**
+ * Save several questions in one transaction: either all are inserted or none
+ * Takes [{ question, s3ImageUrl }]; returns the inserted IDs in the same order.
+ * Transactions need a replica set (MongoDB Atlas always is one).
+ */
+export async function saveQuestionsInTransaction(entries) {
+  console.log(`Saving ${entries.length} question(s) to MongoDB in a transaction...`);
+
+  const collection = await getQuestionsCollection();
+  const session = client.startSession();
+
+  try {
+    let insertedIds = [];
+    await session.withTransaction(async () => {
+      const documents = entries.map(({ question, s3ImageUrl }) => buildQuestionDocument(question, s3ImageUrl));
+      const result = await collection.insertMany(documents, { session, ordered: true });
+      insertedIds = documents.map((document, index) => result.insertedIds[index].toString());
+    });
+
+    console.log(`Transaction committed: ${insertedIds.length} question(s) saved`);
+    return insertedIds;
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Get the question revision history collection
+ */
+async function getRevisionsCollection() {
+  const database = await connectToMongo();
+  return database.collection(settings.revisionsCollection || 'question_revisions');
+}
+
+/**
+ * Store the next version of a question and archive the current one in the
+ * history collection. The write only applies if the question still has the
+ * revision it was read with; otherwise concurrent writers would archive the
+ * same revision twice. `document` gets the new revision number and is $set,
+ * or stored wholesale with replace. Throws 409 if the question changed.
+ */
+async function writeNextRevision(collection, existing, document, { replace = false } = {}) {
+  const { _id, ...snapshot } = existing;
+  const rev = existing.revision || 1;
+
+  // Questions stored before revisions existed have no revision field
+  const filter = { _id, revision: existing.revision ?? null };
+  const next = { ...document, revision: rev + 1 };
+  const result = replace
+    ? await collection.replaceOne(filter, next)
+    : await collection.updateOne(filter, { $set: next });
+
+  if (result.matchedCount === 0) {
+    throw createHttpError(409, 'Question was changed by another request, reload it and try again');
+  }
+
+  // Only the writer that moved the question past `rev` gets here, so the
+  // snapshot cannot clash with another one
+  const revisions = await getRevisionsCollection();
+  await revisions.insertOne({
+    questionDocumentId: _id,
+    questionId: existing.id,
+    rev,
+    snapshot,
+    archivedAt: new Date(),
+  });
+
+  return { result, document: next };
+}
+
 /**
  * Update question in MongoDB
+ * The previous version is kept in the revision history.
+ * Options: updatedBy (the principal recorded on the new version)
  */
-export async function updateQuestionInMongoDB(documentId, updatedQuestion) {
+export async function updateQuestionInMongoDB(documentId, updatedQuestion, { updatedBy } = {}) {
   if (!documentId) {
     throw new Error('Document ID is required');
   }
@@ -73,29 +604,93 @@ export async function updateQuestionInMongoDB(documentId, updatedQuestion) {
   console.log('Updating question in MongoDB:', documentId);
   
   const collection = await getQuestionsCollection();
+  const existing = await collection.findOne({ _id: new ObjectId(documentId) });
+
+  if (!existing) {
+    throw new Error('Question not found');
+  }
   
-  const { _id, ...questionData } = updatedQuestion;
+  const { _id, revision, ...questionData } = stripBookkeepingFields(updatedQuestion);
   
   const updateData = {
     ...questionData,
     updatedAt: new Date(),
+    ...(updatedBy !== undefined && { updatedBy }),
   };
 
-  const result = await collection.updateOne(
-    { _id: new ObjectId(documentId) },
-    { $set: updateData }
-  );
-  
-  if (result.matchedCount === 0) {
-    throw new Error('Question not found');
-  }
+  const { result } = await writeNextRevision(collection, existing, updateData);
   
   console.log('Question updated in MongoDB');
   return result;
 }
 
 /**
- * Delete question from MongoDB (used for rollback)
+ * Move a question to the trash by stamping deletedAt/deletedBy
+ * Returns true if a live question was trashed
+ */
+export async function softDeleteQuestionInMongoDB(documentId, deletedBy = null) {
+  const result = await softDeleteMultipleQuestionsInMongoDB([documentId], deletedBy);
+  return result.deletedCount > 0;
+}
+
+/**
+ * Move multiple questions to the trash
+ */
+export async function softDeleteMultipleQuestionsInMongoDB(documentIds, deletedBy = null) {
+  if (!documentIds || documentIds.length === 0) {
+    return { deletedCount: 0 };
+  }
+
+  assertValidObjectIds(documentIds);
+
+  console.log('Moving questions to trash:', documentIds);
+
+  const collection = await getQuestionsCollection();
+  const result = await collection.updateMany(
+    { _id: { $in: documentIds.map(id => new ObjectId(id)) }, ...NOT_DELETED },
+    { $set: { deletedAt: new Date(), deletedBy } }
+  );
+
+  console.log(`Moved ${result.modifiedCount} question(s) to trash`);
+  return { deletedCount: result.modifiedCount };
+}
+
+/**
+ * Restore a question from the trash
+ * Returns true if a trashed question was restored
+ */
+export async function restoreQuestionInMongoDB(documentId) {
+  const _id = toObjectId(documentId);
+
+  console.log('Restoring question from trash:', documentId);
+
+  const collection = await getQuestionsCollection();
+  const result = await collection.updateOne(
+    { _id, ...ONLY_DELETED },
+    { $unset: { deletedAt: '', deletedBy: '' }, $set: { updatedAt: new Date() } }
+  );
+
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Find trashed questions past the retention period
+ * Optionally restricted to the given document IDs
+ */
+export async function findExpiredTrashedQuestions(deletedBefore, documentIds) {
+  const collection = await getQuestionsCollection();
+  const query = { deletedAt: { $ne: null, $lt: deletedBefore } };
+
+  if (documentIds) {
+    assertValidObjectIds(documentIds);
+    query._id = { $in: documentIds.map(id => new ObjectId(id)) };
+  }
+
+  return await collection.find(query).toArray();
+}
+
+/**
+ * Delete question from MongoDB permanently (used for rollback and purging)
  */
 export async function deleteQuestionFromMongoDB(documentId) {
   if (!documentId) {
@@ -111,7 +706,7 @@ export async function deleteQuestionFromMongoDB(documentId) {
 }
 
 /**
- * Delete multiple questions from MongoDB
+ * Delete multiple questions from MongoDB permanently
  */
 export async function deleteMultipleQuestionsFromMongoDB(documentIds) {
   if (!documentIds || documentIds.length === 0) {
@@ -132,6 +727,124 @@ export async function deleteMultipleQuestionsFromMongoDB(documentIds) {
   return result;
 }
 
+/**
+ * Replace a stored question wholesale, keeping its _id and uploadedAt
+ * The previous version is kept in the revision history.
+ */
+export async function replaceQuestionInMongoDB(documentId, question, s3ImageUrl, { updatedBy } = {}) {
+  if (!documentId) {
+    throw new Error('Document ID is required');
+  }
+
+  console.log('Replacing question in MongoDB:', documentId);
+
+  const collection = await getQuestionsCollection();
+  const existing = await collection.findOne({ _id: new ObjectId(documentId) });
+
+  if (!existing) {
+    throw new Error('Question not found');
+  }
+
+  const { _id, revision, ...questionData } = stripBookkeepingFields(question);
+  const document = {
+    ...questionData,
+    uploadedAt: existing.uploadedAt,
+    uploadedBy: existing.uploadedBy,
+    updatedAt: new Date(),
+    ...(updatedBy !== undefined && { updatedBy }),
+    originalImageUrl: question.imageUrl,
+    s3ImageUrl: s3ImageUrl || question.imageUrl,
+    imageUrl: s3ImageUrl || question.imageUrl,
+  };
+
+  await writeNextRevision(collection, existing, document, { replace: true });
+
+  console.log('Question replaced in MongoDB');
+}
+
+/**
+ * List the stored revisions of a question (newest first, without full snapshots)
+ */
+export async function getQuestionRevisions(documentId) {
+  const revisions = await getRevisionsCollection();
+  return await revisions
+    .find(
+      { questionDocumentId: new ObjectId(documentId) },
+      { projection: { rev: 1, questionId: 1, archivedAt: 1, 'snapshot.updatedAt': 1, 'snapshot.updatedBy': 1, 'snapshot.uploadedAt': 1 } }
+    )
+    .sort({ rev: -1 })
+    .toArray();
+}
+
+/**
+ * Get a single stored revision of a question
+ */
+export async function getQuestionRevision(documentId, rev) {
+  const revisions = await getRevisionsCollection();
+  return await revisions.findOne({ questionDocumentId: new ObjectId(documentId), rev });
+}
+
+/**
+ * Make a stored revision the current version of a question
+ * The version being replaced is itself archived first, so reverts can be undone.
+ */
+export async function revertQuestionToRevision(documentId, rev, { updatedBy } = {}) {
+  const collection = await getQuestionsCollection();
+  const existing = await collection.findOne({ _id: new ObjectId(documentId), ...NOT_DELETED });
+  if (!existing) {
+    throw createHttpError(404, 'Question not found');
+  }
+
+  const stored = await getQuestionRevision(documentId, rev);
+  if (!stored) {
+    throw createHttpError(404, `Revision ${rev} not found`);
+  }
+
+  console.log(`Reverting question ${documentId} to revision ${rev}`);
+
+  const { revision, deletedAt, deletedBy, ...snapshot } = stored.snapshot;
+  const { document } = await writeNextRevision(collection, existing, {
+    ...snapshot,
+    uploadedAt: existing.uploadedAt,
+    revertedFrom: rev,
+    updatedAt: new Date(),
+    ...(updatedBy !== undefined && { updatedBy }),
+  }, { replace: true });
+
+  return { previous: existing, current: { _id: existing._id, ...document } };
+}
+
+/**
+ * Delete the revision history of questions (used when purging)
+ */
+export async function deleteQuestionRevisions(documentIds) {
+  if (!documentIds || documentIds.length === 0) {
+    return;
+  }
+
+  const revisions = await getRevisionsCollection();
+  await revisions.deleteMany({ questionDocumentId: { $in: documentIds.map(id => new ObjectId(id)) } });
+}
+
+/**
+ * Find stored questions (including trashed ones) with any of the given
+ * question ids. Only _id, id and deletedAt are returned.
+ */
+export async function findQuestionsByQuestionIds(questionIds) {
+  const collection = await getQuestionsCollection();
+  return await collection
+    .find({ id: { $in: questionIds } }, { projection: { id: 1, deletedAt: 1 } })
+    .toArray();
+}
+
+/**
+ * Find a stored question by its question id (not the MongoDB _id)
+ */
+export async function findQuestionByQuestionId(questionId) {
+  const collection = await getQuestionsCollection();
+  return await collection.findOne({ id: questionId });
+}
+
 /**
  * Check if question already exists in MongoDB
  */
@@ -142,41 +855,155 @@ export async function questionExists(questionId) {
 }
 
 /**
- * Get all questions from MongoDB with optional filtering
+ * Build the query clause selecting documents after the cursor position.
+ * Missing/null sort values sort first in ascending order, so they are
+ * handled explicitly.
  */
-export async function getAllQuestions(filters = {}) {
-  const collection = await getQuestionsCollection();
-  
-  // Build query object based on provided filters
-  const query = {};
-  
+function buildCursorQuery(cursor, { field, direction }) {
+  const idOp = direction === 1 ? '$gt' : '$lt';
+
+  if (cursor.value === null) {
+    const clauses = [{ [field]: null, _id: { [idOp]: cursor.id } }];
+    if (direction === 1) {
+      clauses.push({ [field]: { $ne: null } });
+    }
+    return { $or: clauses };
+  }
+
+  const clauses = [
+    { [field]: { [idOp]: cursor.value } },
+    { [field]: cursor.value, _id: { [idOp]: cursor.id } },
+  ];
+  if (direction === -1) {
+    clauses.push({ [field]: null });
+  }
+  return { $or: clauses };
+}
+
+// Read paths only see live questions unless they ask for the trash
+const NOT_DELETED = { deletedAt: null };
+const ONLY_DELETED = { deletedAt: { $ne: null } };
+
+/**
+ * Build the base query from subject/chapter/section filters
+ * Soft-deleted questions are excluded unless `trashed` is set, in which
+ * case only soft-deleted questions match.
+ */
+function buildFilterQuery(filters = {}, { trashed = false } = {}) {
+  const query = { ...(trashed ? ONLY_DELETED : NOT_DELETED) };
+
   if (filters.subject) {
     query.subject = filters.subject;
   }
-  
+
   if (filters.chapter) {
     query.chapter = filters.chapter;
   }
-  
+
   if (filters.section) {
     query.section = filters.section;
   }
+
+  return query;
+}
+
+/**
+ * Get a page of questions from MongoDB with optional filtering
+ * Options: limit, cursor (opaque, from a previous nextCursor), sort, fields,
+ * trashed (list soft-deleted questions instead of live ones)
+ * Returns { questions, total, nextCursor }
+ */
+export async function getAllQuestions(filters = {}, options = {}) {
+  const collection = await getQuestionsCollection();
   
-  console.log('Fetching questions with filters:', query);
-  
-  const questions = await collection.find(query).toArray();
-  
-  // Log first question for debugging
-  if (questions.length > 0) {
-    console.log('Sample question from DB:', {
-      id: questions[0].id,
-      subject: questions[0].subject,
-      chapter: questions[0].chapter,
-      section: questions[0].section,
-    });
+  const query = buildFilterQuery(filters, { trashed: options.trashed });
+  const sort = parseSort(options.sort);
+  const projection = parseProjection(options.fields);
+
+  const limit = parseLimit(options.limit, DEFAULT_PAGE_LIMIT, MAX_PAGE_LIMIT);
+
+  const pageQuery = options.cursor
+    ? { $and: [query, buildCursorQuery(decodeCursor(options.cursor), sort)] }
+    : query;
+
+  console.log('Fetching questions with filters:', query, 'sort:', sort, 'limit:', limit);
+
+  // The sort field is always fetched so the next cursor can be built
+  const findOptions = {};
+  if (projection) {
+    findOptions.projection = { ...projection, [sort.field]: 1 };
   }
+
+  const [documents, total] = await Promise.all([
+    collection
+      .find(pageQuery, findOptions)
+      .sort({ [sort.field]: sort.direction, _id: sort.direction })
+      .limit(limit + 1)
+      .toArray(),
+    collection.countDocuments(query),
+  ]);
+
+  const hasMore = documents.length > limit;
+  const page = hasMore ? documents.slice(0, limit) : documents;
+  const nextCursor = hasMore ? encodeCursor(page[page.length - 1], sort.field) : null;
+
+  // Strip the sort field again if it was not requested
+  const questions = projection && !projection[sort.field]
+    ? page.map(({ [sort.field]: _omitted, ...rest }) => rest)
+    : page;
   
-  return questions;
+  return { questions, total, nextCursor };
+}
+
+/**
+ * Cursor over every live question matching the filters, grouped by subject,
+ * chapter and section and in question order (used by exports)
+ */
+export async function streamQuestions(filters = {}) {
+  const collection = await getQuestionsCollection();
+  const query = buildFilterQuery(filters);
+
+  console.log('Streaming questions with filters:', query);
+
+  return collection
+    .find(query)
+    .sort({ subject: 1, chapter: 1, section: 1, questionNumber: 1, _id: 1 });
+}
+
+/**
+ * Full-text search across question content, options and passages
+ * Results are ranked by relevance; subject/chapter/section filters apply.
+ * Options: limit, offset
+ * Returns { questions, total } where each question carries a `score`
+ */
+export async function searchQuestions(searchText, filters = {}, options = {}) {
+  if (typeof searchText !== 'string' || !searchText.trim()) {
+    throw createHttpError(400, 'Search query "q" is required');
+  }
+
+  const collection = await getQuestionsCollection();
+
+  const limit = parseLimit(options.limit, DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT);
+  const offset = parseOffset(options.offset);
+
+  const query = {
+    ...buildFilterQuery(filters),
+    $text: { $search: searchText.trim() },
+  };
+
+  console.log('Searching questions for:', searchText, 'filters:', filters);
+
+  const [questions, total] = await Promise.all([
+    collection
+      .find(query, { projection: { score: { $meta: 'textScore' } } })
+      .sort({ score: { $meta: 'textScore' }, _id: 1 })
+      .skip(offset)
+      .limit(limit)
+      .toArray(),
+    collection.countDocuments(query),
+  ]);
+
+  return { questions, total };
 }
 
 /**
@@ -188,18 +1015,18 @@ export async function getAllQuestions(filters = {}) {
 export async function getFilterOptions(filters = {}) {
   const collection = await getQuestionsCollection();
   
-  // Subjects are always unfiltered
-  const subjects = await collection.distinct('subject');
+  // Subjects are always unfiltered (apart from the trash)
+  const subjects = await collection.distinct('subject', NOT_DELETED);
   
   // Sections filtered by subject if provided
-  const sectionQuery = {};
+  const sectionQuery = { ...NOT_DELETED };
   if (filters.subject) {
     sectionQuery.subject = filters.subject;
   }
   const sections = await collection.distinct('section', sectionQuery);
   
   // Chapters filtered by subject and section if provided
-  const chapterQuery = {};
+  const chapterQuery = { ...NOT_DELETED };
   if (filters.subject) {
     chapterQuery.subject = filters.subject;
   }
@@ -233,6 +1060,50 @@ export async function createIndexes() {
   
   // Create index on id field for faster lookups
   await collection.createIndex({ id: 1 }, { unique: true });
+
+  // Create index for trash listing and retention purges
+  await collection.createIndex({ deletedAt: 1 });
+
+  // Create indexes backing paginated listing (sort field + _id tie-breaker)
+  for (const field of SORTABLE_FIELDS) {
+    await collection.createIndex({ [field]: 1, _id: 1 });
+    await collection.createIndex({ subject: 1, chapter: 1, section: 1, [field]: 1, _id: 1 });
+  }
+
+  // Create text index for full-text search (question wording weighted highest)
+  await collection.createIndex(
+    Object.fromEntries(Object.keys(SEARCH_WEIGHTS).map(field => [field, 'text'])),
+    {
+      name: 'question_text_search',
+      weights: SEARCH_WEIGHTS,
+      default_language: 'english',
+    }
+  );
+  
+  // Create image registry indexes
+  const images = await getImagesCollection();
+  await images.createIndex({ key: 1 }, { unique: true });
+  await images.createIndex({ hash: 1 });
+  await images.createIndex({ sourceUrls: 1 });
+  await images.createIndex({ s3Url: 1 });
+  await images.createIndex({ questionIds: 1 });
+  
+  // Create revision history index
+  const revisions = await getRevisionsCollection();
+  await revisions.createIndex({ questionDocumentId: 1, rev: -1 }, { unique: true });
+  
+  // Create API key lookup index
+  const apiKeys = await getApiKeysCollection();
+  await apiKeys.createIndex({ hash: 1 }, { unique: true });
+  
+  // Create job indexes (finished jobs expire after JOB_RETENTION_DAYS)
+  const jobs = await getJobsCollection();
+  await jobs.createIndex({ status: 1, createdAt: 1 });
+  await jobs.createIndex({ finishedAt: 1 }, { expireAfterSeconds: settings.jobRetentionDays * 24 * 60 * 60 });
+  
+  // Create paper index (listing order)
+  const papers = await getPapersCollection();
+  await papers.createIndex({ updatedAt: -1, _id: -1 });
   
   console.log('Indexes created successfully');
 }
@@ -242,7 +1113,21 @@ export async function createIndexes() {
  */
 export async function getQuestionById(questionId) {
   const collection = await getQuestionsCollection();
-  return await collection.findOne({ id: parseInt(questionId) });
+  return await collection.findOne({ id: parseInt(questionId), ...NOT_DELETED });
+}
+
+/**
+ * Get question by MongoDB _id
+ * Soft-deleted questions are only returned with { includeDeleted: true }
+ */
+export async function getQuestionByDocumentId(documentId, { includeDeleted = false } = {}) {
+  const _id = toObjectId(documentId);
+
+  const collection = await getQuestionsCollection();
+  return await collection.findOne({
+    _id,
+    ...(includeDeleted ? {} : NOT_DELETED),
+  });
 }
 
 /**
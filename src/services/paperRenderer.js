@@ -0,0 +1,539 @@
+import PDFDocument from 'pdfkit';
+import { getS3KeyForUrl, getImageObject } from './s3.js';
+import { fetchProxiedImage } from './imageProxy.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { getQuestionText, getQuestionImages, getLetteredChoices, formatMatrixAnswers } from './exportService.js';
+import { createHttpError } from './errors.js';
+
+/**
+ * Printable papers
+ *
+ * A paper is { title, instructions, sections: [{ title, questions }] }.
+ * Questions are numbered through the whole paper; the sub-questions of a
+ * comprehension question take consecutive numbers after its passage.
+ * Images are read from our bucket (other hosts through the image proxy, so
+ * its allowlist applies) and embedded, so the HTML and PDF are
+ * self-contained. Everything is rendered in-process.
+ */
+
+// Questions or images loaded at once while preparing a paper
+const LOAD_CONCURRENCY = 4;
+
+// Images pdfkit can embed
+const PDF_IMAGE_TYPES = ['image/png', 'image/jpeg'];
+
+/**
+ * Load the questions of a paper, by question ids (in the given order,
+ * matched exactly: 7 is not '7') or by subject/chapter/section filters
+ * Trashed questions count as missing.
+ * Returns { questions, missingIds }
+ */
+export async function loadRenderQuestions({ repository, config }, { ids, filters }) {
+  const { maxRenderQuestions } = config.papers;
+
+  if (ids) {
+    if (ids.length > maxRenderQuestions) {
+      throw createHttpError(400, `A paper can have at most ${maxRenderQuestions} questions`);
+    }
+    const found = await mapWithConcurrency(ids, LOAD_CONCURRENCY, async id => {
+      const question = await repository.findQuestionByQuestionId(id);
+      return question && !question.deletedAt ? question : null;
+    });
+    return {
+      questions: found.filter(Boolean),
+      missingIds: ids.filter((id, index) => !found[index]),
+    };
+  }
+
+  const cursor = await repository.streamQuestions(filters);
+  const questions = await cursor.limit(maxRenderQuestions + 1).toArray();
+  if (questions.length > maxRenderQuestions) {
+    throw createHttpError(400, `More than ${maxRenderQuestions} questions match; narrow the filters`);
+  }
+  return { questions, missingIds: [] };
+}
+
+/**
+ * Group questions into sections by subject, keeping their order
+ */
+export function groupQuestionsBySubject(questions) {
+  const sections = [];
+  questions.forEach(question => {
+    const title = question.subject || '';
+    const last = sections[sections.length - 1];
+    if (last && last.title === title) {
+      last.questions.push(question);
+    } else {
+      sections.push({ title, questions: [question] });
+    }
+  });
+  return sections;
+}
+
+/**
+ * Number the questions of a paper
+ * Returns sections of items: { kind: 'question', number, question } or
+ * { kind: 'passage', question, parts: [{ number, question }] }
+ */
+function numberPaper(sections) {
+  let number = 0;
+  return sections.map(section => ({
+    ...section,
+    items: section.questions.map(question => {
+      if (question.type === 'comprehension') {
+        return {
+          kind: 'passage',
+          question,
+          parts: (question.sub_questions || []).map(subQuestion => ({ number: ++number, question: subQuestion })),
+        };
+      }
+      return { kind: 'question', number: ++number, question };
+    }),
+  }));
+}
+
+/**
+ * Answer of a question as shown in the answer key
+ */
+function formatAnswer(question) {
+  if (question.type === 'matrix' && !question.options?.length) {
+    return formatMatrixAnswers(question.matrix_match?.answers) || '—';
+  }
+  if (question.type === 'integer') {
+    return (question.answers || []).join(' or ') || '—';
+  }
+  return getLetteredChoices(question).answers.join(', ') || '—';
+}
+
+/**
+ * Every image URL used by a question (passage, stem, options, matrix cells)
+ */
+function collectImageUrls(question) {
+  const urls = [...getQuestionImages(question), ...(question.comprehension_passage?.images || [])];
+  (question.options || []).forEach(option => {
+    if (option?.image_url) urls.push(option.image_url);
+  });
+  ['rows', 'columns'].forEach(side => {
+    (question.matrix_match?.[side] || []).forEach(item => urls.push(...(item.images || [])));
+  });
+  (question.sub_questions || []).forEach(subQuestion => urls.push(...collectImageUrls(subQuestion)));
+  return urls;
+}
+
+async function readStream(body) {
+  const chunks = [];
+  for await (const chunk of body) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Fetch every image of the paper
+ * Returns a Map of url -> { buffer, contentType } (null when it failed)
+ */
+async function loadPaperImages(context, sections, warnings) {
+  const urls = [...new Set(sections.flatMap(section => section.questions.flatMap(collectImageUrls)))];
+  const images = new Map();
+
+  await mapWithConcurrency(urls, LOAD_CONCURRENCY, async url => {
+    try {
+      const key = getS3KeyForUrl(context, url);
+      const { body, contentType } = key ? await getImageObject(context, key) : await fetchProxiedImage(context, url);
+      images.set(url, { buffer: await readStream(body), contentType: (contentType || '').split(';')[0] });
+    } catch (error) {
+      console.warn(`Paper render: could not load image ${url}: ${error.message}`);
+      warnings.push(`Image ${url} could not be loaded: ${error.message}`);
+      images.set(url, null);
+    }
+  });
+
+  console.log(`Paper render: loaded ${urls.length} image(s)`);
+  return images;
+}
+
+// ---------------------------------------------------------------------------
+// HTML
+// ---------------------------------------------------------------------------
+
+const HTML_STYLE = `
+  @page { size: A4; margin: 18mm; }
+  body { font-family: Georgia, 'Times New Roman', serif; font-size: 11pt; line-height: 1.45; color: #111; }
+  header { text-align: center; border-bottom: 1px solid #444; margin-bottom: 1.2em; }
+  h1 { font-size: 17pt; margin: 0 0 .3em; }
+  h2 { font-size: 13pt; margin: 1.4em 0 .6em; border-bottom: 1px solid #ccc; }
+  .instructions { text-align: left; font-size: 10pt; margin-bottom: 1em; }
+  .question, .passage { margin: 0 0 1.1em; page-break-inside: avoid; }
+  .number { font-weight: bold; margin-right: .3em; }
+  .options { list-style: none; padding-left: 1.6em; margin: .4em 0 0; }
+  .options li { margin: .15em 0; }
+  .label { font-weight: bold; margin-right: .3em; }
+  .passage > .passage-text { border-left: 3px solid #999; padding-left: .8em; font-style: italic; }
+  .passage-intro { font-weight: bold; }
+  img { max-width: 100%; max-height: 60mm; display: block; margin: .4em 0; }
+  .options img, td img { display: inline-block; max-height: 25mm; vertical-align: middle; }
+  table { border-collapse: collapse; margin: .5em 0 0 1.6em; }
+  th, td { border: 1px solid #777; padding: .25em .6em; text-align: left; vertical-align: top; }
+  .image-missing { color: #a00; font-size: 9pt; }
+`;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function textToHtml(text) {
+  return (text || '')
+    .split(/\n\s*\n/)
+    .filter(paragraph => paragraph.trim())
+    .map(paragraph => `<p>${escapeHtml(paragraph.trim()).replace(/\n/g, '<br>')}</p>`)
+    .join('');
+}
+
+function imageHtml(url, images) {
+  const image = images.get(url);
+  if (!image) {
+    return '<span class="image-missing">[image unavailable]</span>';
+  }
+  return `<img src="data:${escapeHtml(image.contentType)};base64,${image.buffer.toString('base64')}" alt="">`;
+}
+
+function matrixHtml(matrix, images) {
+  const { rows = [], columns = [] } = matrix;
+  const cell = item => (item
+    ? `<td><span class="label">${escapeHtml(item.label)}.</span>${escapeHtml(item.text)}${(item.images || []).map(url => imageHtml(url, images)).join('')}</td>`
+    : '<td></td>');
+  const body = Array.from({ length: Math.max(rows.length, columns.length) }, (_, i) => `<tr>${cell(rows[i])}${cell(columns[i])}</tr>`);
+  return `<table class="matrix"><thead><tr><th>Column I</th><th>Column II</th></tr></thead><tbody>${body.join('')}</tbody></table>`;
+}
+
+function questionHtml(number, question, images) {
+  const numberHtml = `<span class="number">${number}.</span>`;
+  const stem = textToHtml(getQuestionText(question));
+  const parts = [
+    `<div class="stem">${stem ? stem.replace('<p>', `<p>${numberHtml}`) : `<p>${numberHtml}</p>`}</div>`,
+    ...getQuestionImages(question).map(url => imageHtml(url, images)),
+  ];
+
+  if (question.type === 'matrix' && question.matrix_match) {
+    parts.push(matrixHtml(question.matrix_match, images));
+  }
+  if (question.options?.length) {
+    const { options } = getLetteredChoices(question);
+    parts.push(`<ol class="options">${options.map(option =>
+      `<li><span class="label">(${option.letter})</span>${escapeHtml(option.text)}${option.image_url ? imageHtml(option.image_url, images) : ''}</li>`
+    ).join('')}</ol>`);
+  }
+  if (question.type === 'integer') {
+    parts.push('<p class="answer-space">Answer: ______________</p>');
+  }
+
+  return `<div class="question">${parts.join('')}</div>`;
+}
+
+function passageHtml(item, images) {
+  const passage = item.question.comprehension_passage || {};
+  const numbers = item.parts.map(part => part.number);
+  const intro = numbers.length > 1
+    ? `Questions ${numbers[0]}–${numbers[numbers.length - 1]} are based on the following passage.`
+    : `Question ${numbers[0] ?? ''} is based on the following passage.`;
+
+  return `<div class="passage"><p class="passage-intro">${escapeHtml(intro)}</p>`
+    + `<div class="passage-text">${textToHtml(passage.text)}${(passage.images || []).map(url => imageHtml(url, images)).join('')}</div>`
+    + item.parts.map(part => questionHtml(part.number, part.question, images)).join('')
+    + '</div>';
+}
+
+function htmlDocument(title, body) {
+  return `<!DOCTYPE html>\n<html lang="en"><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>`
+    + `<style>${HTML_STYLE}</style></head><body>${body}</body></html>\n`;
+}
+
+function renderPaperHtml(paper, numbered, images) {
+  const header = `<header><h1>${escapeHtml(paper.title)}</h1>`
+    + (paper.instructions ? `<div class="instructions">${textToHtml(paper.instructions)}</div>` : '')
+    + '</header>';
+  const sections = numbered.map(section =>
+    `<section>${section.title ? `<h2>${escapeHtml(section.title)}</h2>` : ''}`
+    + section.items.map(item => (item.kind === 'passage' ? passageHtml(item, images) : questionHtml(item.number, item.question, images))).join('')
+    + '</section>'
+  );
+  return htmlDocument(paper.title, header + sections.join(''));
+}
+
+function renderAnswerKeyHtml(paper, answerKey) {
+  const sections = answerKey.map(section =>
+    `<section>${section.title ? `<h2>${escapeHtml(section.title)}</h2>` : ''}`
+    + '<table><thead><tr><th>Q.</th><th>Answer</th></tr></thead><tbody>'
+    + section.answers.map(({ number, answer }) => `<tr><td>${number}</td><td>${escapeHtml(answer)}</td></tr>`).join('')
+    + '</tbody></table></section>'
+  );
+  return htmlDocument(`${paper.title} – Answer Key`, `<header><h1>${escapeHtml(paper.title)} – Answer Key</h1></header>${sections.join('')}`);
+}
+
+// ---------------------------------------------------------------------------
+// PDF
+// ---------------------------------------------------------------------------
+
+const PDF_MARGIN = 50;
+const PDF_INDENT = 18;
+const PDF_IMAGE_MAX_HEIGHT = 180;
+const PDF_OPTION_IMAGE_MAX_HEIGHT = 70;
+
+/**
+ * Create a PDF document, using the font at fontPath if there is one
+ * Returns { doc, fonts: { regular, bold, italic }, done: Promise<Buffer> }
+ */
+function createPdf(title, fontPath) {
+  const doc = new PDFDocument({ size: 'A4', margin: PDF_MARGIN, bufferPages: true, info: { Title: title } });
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  let fonts = { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' };
+  if (fontPath) {
+    doc.registerFont('paper', fontPath);
+    fonts = { regular: 'paper', bold: 'paper', italic: 'paper' };
+  }
+  doc.font(fonts.regular).fontSize(11);
+  return { doc, fonts, done };
+}
+
+/**
+ * Start a new page when less than `height` points are left
+ */
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+}
+
+/**
+ * Draw an image at the current position, scaled to fit
+ */
+function drawPdfImage(doc, url, images, { x = doc.page.margins.left, maxHeight = PDF_IMAGE_MAX_HEIGHT } = {}) {
+  const image = images.get(url);
+  if (!image || !PDF_IMAGE_TYPES.includes(image.contentType)) {
+    doc.fillColor('#aa0000').text(image ? '[image format not supported in PDF]' : '[image unavailable]', x).fillColor('black');
+    return;
+  }
+
+  try {
+    const opened = doc.openImage(image.buffer);
+    const maxWidth = doc.page.width - doc.page.margins.right - x;
+    const scale = Math.min(1, maxWidth / opened.width, maxHeight / opened.height);
+    const height = opened.height * scale;
+    ensureSpace(doc, height + 6);
+    doc.image(opened, x, doc.y + 3, { width: opened.width * scale, height });
+    doc.y += height + 6;
+  } catch (error) {
+    doc.fillColor('#aa0000').text('[image could not be drawn]', x).fillColor('black');
+  }
+}
+
+function drawPdfMatrix(doc, matrix, images, fonts) {
+  const { rows = [], columns = [] } = matrix;
+  const x = doc.page.margins.left + PDF_INDENT;
+  const columnWidth = (doc.page.width - doc.page.margins.right - x) / 2;
+  const padding = 4;
+
+  const drawRow = cells => {
+    const heights = cells.map(cell => doc.heightOfString(cell.text, { width: columnWidth - 2 * padding }));
+    const height = Math.max(...heights) + 2 * padding;
+    ensureSpace(doc, height);
+    const top = doc.y;
+    cells.forEach((cell, i) => {
+      const left = x + i * columnWidth;
+      doc.rect(left, top, columnWidth, height).stroke('#777777');
+      doc.font(cell.bold ? fonts.bold : fonts.regular).text(cell.text, left + padding, top + padding, { width: columnWidth - 2 * padding });
+    });
+    doc.font(fonts.regular);
+    doc.x = doc.page.margins.left;
+    doc.y = top + height;
+  };
+
+  const cellText = item => (item ? `${item.label}. ${item.text || ''}` : '');
+  drawRow([{ text: 'Column I', bold: true }, { text: 'Column II', bold: true }]);
+  for (let i = 0; i < Math.max(rows.length, columns.length); i++) {
+    drawRow([{ text: cellText(rows[i]) }, { text: cellText(columns[i]) }]);
+    // Cell images go below the row they belong to
+    [...(rows[i]?.images || []), ...(columns[i]?.images || [])].forEach(url => {
+      drawPdfImage(doc, url, images, { x, maxHeight: PDF_OPTION_IMAGE_MAX_HEIGHT });
+    });
+  }
+  doc.moveDown(0.3);
+}
+
+function drawPdfQuestion(doc, number, question, images, fonts) {
+  const left = doc.page.margins.left;
+  ensureSpace(doc, 40);
+
+  doc.font(fonts.bold).text(`${number}. `, left, doc.y, { continued: true });
+  doc.font(fonts.regular).text(getQuestionText(question) || ' ');
+  getQuestionImages(question).forEach(url => drawPdfImage(doc, url, images, { x: left + PDF_INDENT }));
+
+  if (question.type === 'matrix' && question.matrix_match) {
+    doc.moveDown(0.3);
+    drawPdfMatrix(doc, question.matrix_match, images, fonts);
+  }
+
+  if (question.options?.length) {
+    getLetteredChoices(question).options.forEach(option => {
+      ensureSpace(doc, 16);
+      doc.font(fonts.bold).text(`(${option.letter}) `, left + PDF_INDENT, doc.y, { continued: true });
+      doc.font(fonts.regular).text(option.text || ' ');
+      if (option.image_url) {
+        drawPdfImage(doc, option.image_url, images, { x: left + 2 * PDF_INDENT, maxHeight: PDF_OPTION_IMAGE_MAX_HEIGHT });
+      }
+    });
+  }
+
+  if (question.type === 'integer') {
+    doc.text('Answer: ______________', left + PDF_INDENT);
+  }
+  doc.x = left;
+  doc.moveDown(0.8);
+}
+
+function drawPdfPassage(doc, item, images, fonts) {
+  const left = doc.page.margins.left;
+  const passage = item.question.comprehension_passage || {};
+  const numbers = item.parts.map(part => part.number);
+  const intro = numbers.length > 1
+    ? `Questions ${numbers[0]}–${numbers[numbers.length - 1]} are based on the following passage.`
+    : `Question ${numbers[0] ?? ''} is based on the following passage.`;
+
+  ensureSpace(doc, 60);
+  doc.font(fonts.bold).text(intro, left);
+  doc.moveDown(0.3);
+  doc.font(fonts.italic).text(passage.text || '', left + PDF_INDENT, doc.y, { width: doc.page.width - doc.page.margins.right - left - PDF_INDENT });
+  doc.font(fonts.regular);
+  (passage.images || []).forEach(url => drawPdfImage(doc, url, images, { x: left + PDF_INDENT }));
+  doc.x = left;
+  doc.moveDown(0.6);
+
+  item.parts.forEach(part => drawPdfQuestion(doc, part.number, part.question, images, fonts));
+}
+
+/**
+ * Page numbers in the footer of every page
+ */
+function addPageNumbers(doc) {
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.fontSize(9).text(`Page ${i + 1} of ${count}`, 0, doc.page.height - bottom / 2 - 5, { align: 'center', width: doc.page.width });
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+function drawPdfHeader(doc, title, instructions, fonts) {
+  doc.font(fonts.bold).fontSize(17).text(title, { align: 'center' });
+  doc.fontSize(11).font(fonts.regular);
+  if (instructions) {
+    doc.moveDown(0.5).fontSize(10).text(instructions).fontSize(11);
+  }
+  doc.moveDown(0.5);
+  doc.moveTo(doc.page.margins.left, doc.y).lineTo(doc.page.width - doc.page.margins.right, doc.y).stroke('#444444');
+  doc.moveDown(1);
+}
+
+function drawPdfSectionTitle(doc, title, fonts) {
+  if (!title) {
+    return;
+  }
+  ensureSpace(doc, 60);
+  doc.font(fonts.bold).fontSize(13).text(title, doc.page.margins.left).fontSize(11).font(fonts.regular);
+  doc.moveDown(0.5);
+}
+
+async function renderPaperPdf(paper, numbered, images, fontPath) {
+  const { doc, fonts, done } = createPdf(paper.title, fontPath);
+  drawPdfHeader(doc, paper.title, paper.instructions, fonts);
+
+  numbered.forEach(section => {
+    drawPdfSectionTitle(doc, section.title, fonts);
+    section.items.forEach(item => {
+      if (item.kind === 'passage') {
+        drawPdfPassage(doc, item, images, fonts);
+      } else {
+        drawPdfQuestion(doc, item.number, item.question, images, fonts);
+      }
+    });
+  });
+
+  addPageNumbers(doc);
+  doc.end();
+  return done;
+}
+
+async function renderAnswerKeyPdf(paper, answerKey, fontPath) {
+  const title = `${paper.title} – Answer Key`;
+  const { doc, fonts, done } = createPdf(title, fontPath);
+  drawPdfHeader(doc, title, null, fonts);
+
+  answerKey.forEach(section => {
+    drawPdfSectionTitle(doc, section.title, fonts);
+    section.answers.forEach(({ number, answer }) => {
+      ensureSpace(doc, 16);
+      doc.font(fonts.bold).text(`${number}. `, doc.page.margins.left, doc.y, { continued: true });
+      doc.font(fonts.regular).text(answer);
+    });
+    doc.moveDown(0.5);
+  });
+
+  addPageNumbers(doc);
+  doc.end();
+  return done;
+}
+
+// ---------------------------------------------------------------------------
+
+export const RENDER_OUTPUTS = ['html', 'pdf', 'answerKeyHtml', 'answerKeyPdf'];
+
+/**
+ * Render a paper
+ * paper: { title, instructions?, sections: [{ title, questions }] }
+ * outputs: which of RENDER_OUTPUTS to produce (default all)
+ * Returns { html?, pdf?, answerKeyHtml?, answerKeyPdf?, questionCount, warnings }
+ * where the PDFs are Buffers
+ */
+export async function renderPaper(context, paper, { outputs = RENDER_OUTPUTS } = {}) {
+  const { pdfFontPath } = context.config.papers;
+  const warnings = [];
+  const numbered = numberPaper(paper.sections);
+  const answerKey = numbered.map(section => ({
+    title: section.title,
+    answers: section.items.flatMap(item => (item.kind === 'passage' ? item.parts : [item]))
+      .map(({ number, question }) => ({ number, answer: formatAnswer(question) })),
+  }));
+  const questionCount = answerKey.reduce((count, section) => count + section.answers.length, 0);
+
+  const needsImages = outputs.includes('html') || outputs.includes('pdf');
+  const images = needsImages ? await loadPaperImages(context, paper.sections, warnings) : new Map();
+
+  const result = { questionCount, warnings };
+  if (outputs.includes('html')) {
+    result.html = renderPaperHtml(paper, numbered, images);
+  }
+  if (outputs.includes('pdf')) {
+    result.pdf = await renderPaperPdf(paper, numbered, images, pdfFontPath);
+  }
+  if (outputs.includes('answerKeyHtml')) {
+    result.answerKeyHtml = renderAnswerKeyHtml(paper, answerKey);
+  }
+  if (outputs.includes('answerKeyPdf')) {
+    result.answerKeyPdf = await renderAnswerKeyPdf(paper, answerKey, pdfFontPath);
+  }
+
+  console.log(`Rendered paper "${paper.title}" with ${questionCount} question(s): ${outputs.join(', ')}`);
+  return result;
+}
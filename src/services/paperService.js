@@ -0,0 +1,107 @@
+import { validatePaper } from './validation.js';
+import { resolveQuestionImages } from './imageService.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { createHttpError } from './errors.js';
+
+// Questions loaded at once when a paper is expanded
+const EXPAND_CONCURRENCY = 8;
+
+/**
+ * Validate a paper and build the document to store
+ * Section marks/negativeMarks are defaults: they are written into every
+ * question of the section that does not set its own.
+ * Throws 400 for an invalid paper and 422 when a referenced question does
+ * not exist or is in the trash (error.errors lists the problems)
+ */
+async function preparePaper(repository, input) {
+  const { valid, errors } = validatePaper(input);
+  if (!valid) {
+    throw createHttpError(400, 'Invalid paper', { errors });
+  }
+
+  const questionIds = input.sections.flatMap(section => section.questions.map(entry => entry.questionId));
+  const stored = new Map((await repository.findQuestionsByQuestionIds(questionIds)).map(question => [question.id, question]));
+
+  const referenceErrors = [];
+  input.sections.forEach((section, s) => {
+    section.questions.forEach((entry, q) => {
+      const path = `sections[${s}].questions[${q}].questionId`;
+      const question = stored.get(entry.questionId);
+      if (!question) {
+        referenceErrors.push({ path, message: `Question ${entry.questionId} does not exist` });
+      } else if (question.deletedAt) {
+        referenceErrors.push({ path, message: `Question ${entry.questionId} is in the trash` });
+      }
+    });
+  });
+  if (referenceErrors.length > 0) {
+    throw createHttpError(422, 'Paper references questions that do not exist or are deleted', { errors: referenceErrors });
+  }
+
+  return {
+    title: input.title.trim(),
+    instructions: input.instructions || '',
+    durationMinutes: input.durationMinutes,
+    sections: input.sections.map(section => ({
+      title: section.title.trim(),
+      instructions: section.instructions || '',
+      questions: section.questions.map(entry => ({
+        questionId: entry.questionId,
+        marks: entry.marks ?? section.marks,
+        negativeMarks: entry.negativeMarks ?? section.negativeMarks ?? 0,
+      })),
+    })),
+  };
+}
+
+/**
+ * Create a paper. Returns the stored paper
+ */
+export async function createPaper(repository, input, createdBy = null) {
+  const paper = await preparePaper(repository, input);
+  return await repository.createPaperRecord(paper, createdBy);
+}
+
+/**
+ * Replace a paper's contents. Returns the updated paper, or null if it
+ * does not exist
+ */
+export async function updatePaper(repository, paperId, input, updatedBy = null) {
+  const paper = await preparePaper(repository, input);
+  return await repository.updatePaperRecord(paperId, paper, updatedBy);
+}
+
+/**
+ * Question count and total marks of a paper
+ */
+export function summarizePaper(paper) {
+  const entries = paper.sections.flatMap(section => section.questions);
+  return {
+    questionCount: entries.length,
+    totalMarks: entries.reduce((total, entry) => total + entry.marks, 0),
+  };
+}
+
+/**
+ * Attach the referenced questions to a paper (`question` on every entry)
+ * A question deleted after the paper was saved comes back as null.
+ */
+export async function expandPaper(context, paper) {
+  const entries = paper.sections.flatMap(section => section.questions);
+  const questions = await mapWithConcurrency(entries, EXPAND_CONCURRENCY, async entry => {
+    const question = await context.repository.findQuestionByQuestionId(entry.questionId);
+    return question && !question.deletedAt ? question : null;
+  });
+
+  let index = 0;
+  return {
+    ...paper,
+    sections: paper.sections.map(section => ({
+      ...section,
+      questions: section.questions.map(entry => {
+        const question = questions[index++];
+        return { ...entry, question: question ? resolveQuestionImages(context, question) : null };
+      }),
+    })),
+  };
+}
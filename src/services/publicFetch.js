@@ -0,0 +1,130 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import fetch from 'node-fetch';
+import { createHttpError } from './errors.js';
+
+/**
+ * Fetching URLs that users supply (image proxy, image mirroring) without
+ * letting them reach internal services such as the EC2 metadata endpoint
+ */
+
+// Redirects are followed manually so every hop is checked again
+const MAX_REDIRECTS = 3;
+
+// Error code set when DNS resolves to an internal address
+const BLOCKED_ADDRESS_CODE = 'EBLOCKEDADDRESS';
+
+// Addresses that must never be connected to (loopback, private, link-local
+// incl. the EC2 metadata endpoint, multicast and reserved ranges)
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is private, loopback or otherwise internal
+ */
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 6) {
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+      return blockedAddresses.check(mapped[1], 'ipv4');
+    }
+    return blockedAddresses.check(address, 'ipv6');
+  }
+  return family === 4 ? blockedAddresses.check(address, 'ipv4') : true;
+}
+
+/**
+ * DNS lookup that refuses internal addresses. Used as the socket lookup so
+ * the address that is checked is the address that is connected to (no
+ * DNS rebinding between check and connect).
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      const blockedError = createHttpError(403, `Refusing to connect to internal address ${blocked.address}`);
+      blockedError.code = BLOCKED_ADDRESS_CODE;
+      return callback(blockedError);
+    }
+
+    callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+/**
+ * Refuse URLs whose host is an internal IP literal (these never go through
+ * the DNS lookup)
+ */
+function checkAddressLiteral(url) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    throw createHttpError(403, `Refusing to connect to internal address ${hostname}`, { reason: 'blocked_address' });
+  }
+}
+
+/**
+ * Fetch a URL, following up to MAX_REDIRECTS redirects
+ * validateUrl(href) parses and checks the first URL and every redirect
+ * target, returning a URL or throwing; internal addresses are refused on
+ * every hop unless allowPrivateAddresses is set. Errors for refused
+ * addresses are 403s with reason 'blocked_address'.
+ * Returns { response, url } for the first response that is not a redirect
+ */
+export async function fetchPublicUrl(rawUrl, { validateUrl, signal, allowPrivateAddresses = false }) {
+  const check = href => {
+    const url = validateUrl(href);
+    if (!allowPrivateAddresses) {
+      checkAddressLiteral(url);
+    }
+    return url;
+  };
+
+  let url = check(rawUrl);
+
+  try {
+    for (let redirects = 0; ; redirects++) {
+      const response = await fetch(url.href, {
+        redirect: 'manual',
+        signal,
+        ...(!allowPrivateAddresses && {
+          agent: parsedUrl => (parsedUrl.protocol === 'http:' ? httpAgent : httpsAgent),
+        }),
+      });
+
+      if (response.status < 300 || response.status >= 400) {
+        return { response, url };
+      }
+
+      const location = response.headers.get('location');
+      if (!location || redirects >= MAX_REDIRECTS) {
+        throw createHttpError(502, 'Upstream redirected too many times');
+      }
+      url = check(new URL(location, url).href);
+    }
+  } catch (error) {
+    if (error.code === BLOCKED_ADDRESS_CODE) {
+      // Blocked lookups surface through node-fetch as a FetchError
+      throw createHttpError(403, 'Refusing to connect to an internal address', { reason: 'blocked_address' });
+    }
+    throw error;
+  }
+}
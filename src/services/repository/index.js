@@ -0,0 +1,34 @@
+/**
+ * Persistence for questions, revisions, the image registry, API keys, jobs
+ * and papers
+ *
+ * DATABASE_DRIVER selects the implementation:
+ * - 'mongodb': MongoDB at MONGODB_URI (services/mongodb.js)
+ * - 'memory': process memory, for tests and offline development
+ *
+ * A repository is created once at startup and passed to the routers and
+ * services that need it. Every implementation provides the same methods
+ * with the same results and errors (statusCode 400 for malformed IDs,
+ * limits, sorts and cursors); see mongoRepository.js for the full list.
+ */
+import { createMongoRepository } from './mongoRepository.js';
+import { createMemoryRepository } from './memoryRepository.js';
+
+export const REPOSITORY_DRIVERS = ['mongodb', 'memory'];
+
+/**
+ * Create the repository described by a configuration object (config.database,
+ * plus config.mongodb for MongoDB)
+ */
+export function createRepository(config) {
+  const { database } = config;
+  switch (database.driver) {
+    case 'mongodb':
+      return createMongoRepository(config);
+    case 'memory':
+      console.log('Using in-memory database (data is lost on restart)');
+      return createMemoryRepository();
+    default:
+      throw new Error(`Unknown database driver "${database.driver}". Allowed: ${REPOSITORY_DRIVERS.join(', ')}`);
+  }
+}
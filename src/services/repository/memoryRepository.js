@@ -0,0 +1,907 @@
+import { ObjectId } from 'mongodb';
+import { createHttpError } from '../errors.js';
+import {
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT,
+  DEFAULT_PAPER_LIMIT,
+  MAX_PAPER_LIMIT,
+  SEARCH_WEIGHTS,
+  IMAGE_FIELDS,
+  IMAGE_FIELDS_PROJECTION,
+  UNFINISHED_JOB_STATUSES,
+  parseLimit,
+  parseOffset,
+  parseSort,
+  parseProjection,
+  encodeCursor,
+  decodeCursor,
+  assertValidObjectIds,
+  toObjectId,
+  buildQuestionDocument,
+  stripBookkeepingFields,
+} from './shared.js';
+
+// Sort order of value types, as in MongoDB
+const TYPE_ORDER = ['null', 'number', 'string', 'object', 'array', 'objectId', 'boolean', 'date'];
+
+const REVISION_LIST_PROJECTION = {
+  rev: 1,
+  questionId: 1,
+  archivedAt: 1,
+  'snapshot.updatedAt': 1,
+  'snapshot.updatedBy': 1,
+  'snapshot.uploadedAt': 1,
+};
+
+/**
+ * Deep copy of a stored value. Dates are copied and ObjectIds kept;
+ * undefined becomes null, as when MongoDB serializes a document.
+ */
+function clone(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (value instanceof ObjectId) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+  }
+  return value;
+}
+
+function typeOf(value) {
+  if (value === undefined || value === null) return 'null';
+  if (value instanceof Date) return 'date';
+  if (value instanceof ObjectId) return 'objectId';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Compare two values the way MongoDB sorts them (missing and null first)
+ */
+function compareValues(a, b) {
+  const typeA = typeOf(a);
+  const typeB = typeOf(b);
+  if (typeA !== typeB) {
+    return TYPE_ORDER.indexOf(typeA) - TYPE_ORDER.indexOf(typeB);
+  }
+
+  switch (typeA) {
+    case 'null':
+      return 0;
+    case 'date':
+      return a.getTime() - b.getTime();
+    case 'objectId':
+      return a.toHexString().localeCompare(b.toHexString());
+    case 'number':
+      return a - b;
+    case 'boolean':
+      return Number(a) - Number(b);
+    case 'string':
+      return a < b ? -1 : a > b ? 1 : 0;
+    default:
+      return JSON.stringify(a) < JSON.stringify(b) ? -1 : JSON.stringify(a) > JSON.stringify(b) ? 1 : 0;
+  }
+}
+
+function valuesEqual(a, b) {
+  return typeOf(a) === typeOf(b) && compareValues(a, b) === 0;
+}
+
+/**
+ * Sort function for a list of [field, direction] pairs
+ */
+function bySort(fields) {
+  return (a, b) => {
+    for (const [field, direction] of fields) {
+      const order = compareValues(a[field], b[field]);
+      if (order !== 0) {
+        return order * direction;
+      }
+    }
+    return 0;
+  };
+}
+
+/**
+ * Every value at a dotted path, descending into arrays as MongoDB queries do
+ */
+function getPathValues(value, parts) {
+  if (parts.length === 0) {
+    return Array.isArray(value) ? value : [value];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap(element => getPathValues(element, parts));
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date) && !(value instanceof ObjectId)) {
+    return getPathValues(value[parts[0]], parts.slice(1));
+  }
+  return [];
+}
+
+/**
+ * Apply an inclusion projection ({ 'a.b': 1 }); _id is always included
+ */
+function project(document, projection) {
+  const tree = {};
+  Object.keys(projection).forEach(path => {
+    const parts = path.split('.');
+    let node = tree;
+    for (const [index, part] of parts.entries()) {
+      if (node[part] === true) {
+        break;
+      }
+      if (index === parts.length - 1) {
+        node[part] = true;
+      } else {
+        node = node[part] = node[part] || {};
+      }
+    }
+  });
+
+  const pick = (value, node) => {
+    if (Array.isArray(value)) {
+      return value
+        .filter(element => element && typeof element === 'object' && !Array.isArray(element))
+        .map(element => pick(element, node));
+    }
+    const result = {};
+    Object.entries(node).forEach(([key, child]) => {
+      if (value[key] === undefined) {
+        return;
+      }
+      if (child === true) {
+        result[key] = value[key];
+      } else if (value[key] && typeof value[key] === 'object' && !(value[key] instanceof Date)) {
+        result[key] = pick(value[key], child);
+      }
+    });
+    return result;
+  };
+
+  return { _id: document._id, ...pick(document, tree) };
+}
+
+const isLive = document => document.deletedAt === null || document.deletedAt === undefined;
+const isTrashed = document => !isLive(document);
+
+/**
+ * Check subject/chapter/section filters and the trash state of a question
+ */
+function matchesFilters(document, filters = {}, { trashed = false } = {}) {
+  if (trashed ? !isTrashed(document) : !isLive(document)) {
+    return false;
+  }
+  return ['subject', 'chapter', 'section'].every(field => !filters[field] || document[field] === filters[field]);
+}
+
+/**
+ * Split a search string into terms, "quoted phrases" and -negated terms
+ */
+function parseSearch(searchText) {
+  const phrases = [];
+  const rest = searchText.replace(/"([^"]*)"/g, (match, phrase) => {
+    if (phrase.trim()) {
+      phrases.push(phrase.trim().toLowerCase());
+    }
+    return ' ';
+  });
+
+  const terms = [];
+  const negated = [];
+  rest.split(/\s+/).filter(Boolean).forEach(token => {
+    const words = tokenize(token.replace(/^-/, ''));
+    (token.startsWith('-') ? negated : terms).push(...words);
+  });
+
+  // A search of phrases alone matches on the words of those phrases
+  if (terms.length === 0) {
+    phrases.forEach(phrase => terms.push(...tokenize(phrase)));
+  }
+
+  return { terms, phrases, negated };
+}
+
+function tokenize(text) {
+  return String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Weighted relevance of a question for a search, or 0 when it does not match
+ * Like the MongoDB text index minus stemming and stop words: any term
+ * matches, every phrase must appear and no negated term may.
+ */
+function scoreDocument(document, { terms, phrases, negated }) {
+  const fields = Object.entries(SEARCH_WEIGHTS).map(([path, weight]) => ({
+    weight,
+    texts: getPathValues(document, path.split('.')).filter(value => typeof value === 'string'),
+  }));
+  const allText = fields.flatMap(field => field.texts).join('\n').toLowerCase();
+  const allWords = new Set(tokenize(allText));
+
+  if (negated.some(word => allWords.has(word)) || !phrases.every(phrase => allText.includes(phrase))) {
+    return 0;
+  }
+
+  let score = 0;
+  fields.forEach(({ weight, texts }) => {
+    texts.forEach(text => {
+      const words = tokenize(text);
+      const matches = words.filter(word => terms.includes(word)).length;
+      if (matches > 0) {
+        score += weight * matches / words.length + weight * 0.5;
+      }
+    });
+  });
+  return score;
+}
+
+/**
+ * Cursor over a fixed list of documents with the parts of the MongoDB
+ * cursor API the services use (limit, toArray, async iteration, close)
+ */
+function createArrayCursor(documents) {
+  let limit = 0;
+  let closed = false;
+
+  const selected = () => (limit > 0 ? documents.slice(0, limit) : documents);
+
+  const cursor = {
+    limit(count) {
+      limit = count;
+      return cursor;
+    },
+    async toArray() {
+      return selected().map(clone);
+    },
+    async close() {
+      closed = true;
+    },
+    async *[Symbol.asyncIterator]() {
+      for (const document of selected()) {
+        if (closed) {
+          return;
+        }
+        yield clone(document);
+      }
+    },
+  };
+  return cursor;
+}
+
+function duplicateKeyError(questionId) {
+  const error = new Error(`E11000 duplicate key error collection: questions index: id_1 dup key: { id: ${JSON.stringify(questionId)} }`);
+  error.code = 11000;
+  return error;
+}
+
+/**
+ * Repository keeping everything in process memory (DATABASE_DRIVER=memory)
+ * Behaves like the MongoDB repository, including its validation errors,
+ * so the API can run and be tested without a database. Data is lost when
+ * the process exits; transactions are trivially atomic and finished jobs
+ * do not expire.
+ */
+export function createMemoryRepository() {
+  const questions = new Map(); // _id hex -> document
+  const revisions = [];
+  const images = new Map(); // key -> record
+  const apiKeys = new Map(); // _id hex -> record
+  const jobs = new Map(); // _id hex -> job
+  const papers = new Map(); // _id hex -> paper
+
+  const findQuestion = documentId => questions.get(new ObjectId(documentId).toHexString()) || null;
+
+  const assertUniqueQuestionIds = (documents, exceptDocumentId = null) => {
+    const seen = new Set();
+    documents.forEach(document => {
+      const taken = seen.has(document.id) || [...questions.values()].some(stored =>
+        valuesEqual(stored.id, document.id) && (!exceptDocumentId || !stored._id.equals(exceptDocumentId))
+      );
+      if (taken) {
+        throw duplicateKeyError(document.id);
+      }
+      seen.add(document.id);
+    });
+  };
+
+  const insertQuestion = document => {
+    const _id = new ObjectId();
+    questions.set(_id.toHexString(), clone({ _id, ...document }));
+    return _id.toHexString();
+  };
+
+  const archiveQuestionRevision = existing => {
+    const { _id, ...snapshot } = existing;
+    const rev = existing.revision || 1;
+    revisions.push(clone({
+      _id: new ObjectId(),
+      questionDocumentId: _id,
+      questionId: existing.id,
+      rev,
+      snapshot,
+      archivedAt: new Date(),
+    }));
+    return rev + 1;
+  };
+
+  const findRevision = (documentId, rev) => revisions.find(revision =>
+    revision.questionDocumentId.equals(documentId) && revision.rev === rev
+  ) || null;
+
+  const referencesImages = (document, urls) =>
+    IMAGE_FIELDS.some(field => getPathValues(document, field.split('.')).some(value => urls.has(value)));
+
+  const findJob = jobId => jobs.get(toObjectId(jobId, 'Invalid job ID').toHexString()) || null;
+
+  const withoutPayload = job => {
+    const { payload, ...rest } = job;
+    return rest;
+  };
+
+  return {
+    name: 'memory',
+
+    // Questions
+
+    async saveQuestion(question, s3ImageUrl) {
+      const document = buildQuestionDocument(question, s3ImageUrl);
+      assertUniqueQuestionIds([document]);
+      return insertQuestion(document);
+    },
+
+    async saveQuestionsInTransaction(entries) {
+      const documents = entries.map(({ question, s3ImageUrl }) => buildQuestionDocument(question, s3ImageUrl));
+      assertUniqueQuestionIds(documents);
+      return documents.map(insertQuestion);
+    },
+
+    async updateQuestion(documentId, updatedQuestion, { updatedBy } = {}) {
+      if (!documentId) {
+        throw new Error('Document ID is required');
+      }
+
+      const existing = findQuestion(documentId);
+      if (!existing) {
+        throw new Error('Question not found');
+      }
+
+      const { _id, revision, ...questionData } = stripBookkeepingFields(updatedQuestion);
+      if (questionData.id !== undefined) {
+        assertUniqueQuestionIds([questionData], existing._id);
+      }
+
+      const updated = clone({
+        ...existing,
+        ...questionData,
+        revision: archiveQuestionRevision(existing),
+        updatedAt: new Date(),
+        ...(updatedBy !== undefined && { updatedBy }),
+      });
+      questions.set(existing._id.toHexString(), updated);
+      return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+    },
+
+    async replaceQuestion(documentId, question, s3ImageUrl, { updatedBy } = {}) {
+      if (!documentId) {
+        throw new Error('Document ID is required');
+      }
+
+      const existing = findQuestion(documentId);
+      if (!existing) {
+        throw new Error('Question not found');
+      }
+
+      const { _id, revision, ...questionData } = stripBookkeepingFields(question);
+      assertUniqueQuestionIds([questionData], existing._id);
+
+      questions.set(existing._id.toHexString(), clone({
+        _id: existing._id,
+        ...questionData,
+        uploadedAt: existing.uploadedAt,
+        uploadedBy: existing.uploadedBy,
+        revision: archiveQuestionRevision(existing),
+        updatedAt: new Date(),
+        ...(updatedBy !== undefined && { updatedBy }),
+        originalImageUrl: question.imageUrl,
+        s3ImageUrl: s3ImageUrl || question.imageUrl,
+        imageUrl: s3ImageUrl || question.imageUrl,
+      }));
+    },
+
+    async softDeleteQuestion(documentId, deletedBy = null) {
+      const result = await this.softDeleteQuestions([documentId], deletedBy);
+      return result.deletedCount > 0;
+    },
+
+    async softDeleteQuestions(documentIds, deletedBy = null) {
+      if (!documentIds || documentIds.length === 0) {
+        return { deletedCount: 0 };
+      }
+
+      assertValidObjectIds(documentIds);
+
+      let deletedCount = 0;
+      new Set(documentIds.map(id => new ObjectId(id).toHexString())).forEach(key => {
+        const document = questions.get(key);
+        if (document && isLive(document)) {
+          document.deletedAt = new Date();
+          document.deletedBy = clone(deletedBy);
+          deletedCount++;
+        }
+      });
+      return { deletedCount };
+    },
+
+    async restoreQuestion(documentId) {
+      const document = questions.get(toObjectId(documentId).toHexString());
+      if (!document || isLive(document)) {
+        return false;
+      }
+
+      delete document.deletedAt;
+      delete document.deletedBy;
+      document.updatedAt = new Date();
+      return true;
+    },
+
+    async findExpiredTrashedQuestions(deletedBefore, documentIds) {
+      let candidates = [...questions.values()];
+      if (documentIds) {
+        assertValidObjectIds(documentIds);
+        const keys = new Set(documentIds.map(id => new ObjectId(id).toHexString()));
+        candidates = candidates.filter(document => keys.has(document._id.toHexString()));
+      }
+
+      return candidates
+        .filter(document => document.deletedAt instanceof Date && document.deletedAt < deletedBefore)
+        .map(clone);
+    },
+
+    async deleteQuestion(documentId) {
+      if (!documentId) {
+        return;
+      }
+      questions.delete(new ObjectId(documentId).toHexString());
+    },
+
+    async deleteQuestions(documentIds) {
+      if (!documentIds || documentIds.length === 0) {
+        return { deletedCount: 0 };
+      }
+
+      let deletedCount = 0;
+      new Set(documentIds.map(id => new ObjectId(id).toHexString())).forEach(key => {
+        if (questions.delete(key)) {
+          deletedCount++;
+        }
+      });
+      return { acknowledged: true, deletedCount };
+    },
+
+    async findQuestionsByQuestionIds(questionIds) {
+      return [...questions.values()]
+        .filter(document => questionIds.some(questionId => valuesEqual(document.id, questionId)))
+        .map(document => clone(project(document, { id: 1, deletedAt: 1 })));
+    },
+
+    async findQuestionByQuestionId(questionId) {
+      const document = [...questions.values()].find(stored => valuesEqual(stored.id, questionId));
+      return document ? clone(document) : null;
+    },
+
+    async questionExists(questionId) {
+      return [...questions.values()].some(stored => valuesEqual(stored.id, questionId));
+    },
+
+    async getAllQuestions(filters = {}, options = {}) {
+      const sort = parseSort(options.sort);
+      const projection = parseProjection(options.fields);
+      const limit = parseLimit(options.limit, DEFAULT_PAGE_LIMIT, MAX_PAGE_LIMIT);
+      const cursor = options.cursor ? decodeCursor(options.cursor) : null;
+
+      const matching = [...questions.values()]
+        .filter(document => matchesFilters(document, filters, { trashed: options.trashed }))
+        .sort(bySort([[sort.field, sort.direction], ['_id', sort.direction]]));
+
+      const after = cursor
+        ? matching.filter(document => {
+          const order = compareValues(document[sort.field], cursor.value) || compareValues(document._id, cursor.id);
+          return order * sort.direction > 0;
+        })
+        : matching;
+
+      const page = after.slice(0, limit);
+      const nextCursor = after.length > limit ? encodeCursor(page[page.length - 1], sort.field) : null;
+
+      return {
+        questions: page.map(document => clone(projection ? project(document, projection) : document)),
+        total: matching.length,
+        nextCursor,
+      };
+    },
+
+    async streamQuestions(filters = {}) {
+      const matching = [...questions.values()]
+        .filter(document => matchesFilters(document, filters))
+        .sort(bySort([['subject', 1], ['chapter', 1], ['section', 1], ['questionNumber', 1], ['_id', 1]]));
+      return createArrayCursor(matching);
+    },
+
+    async searchQuestions(searchText, filters = {}, options = {}) {
+      if (typeof searchText !== 'string' || !searchText.trim()) {
+        throw createHttpError(400, 'Search query "q" is required');
+      }
+
+      const limit = parseLimit(options.limit, DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT);
+      const offset = parseOffset(options.offset);
+      const search = parseSearch(searchText.trim());
+
+      const matching = [...questions.values()]
+        .filter(document => matchesFilters(document, filters))
+        .map(document => ({ ...document, score: scoreDocument(document, search) }))
+        .filter(document => document.score > 0)
+        .sort(bySort([['score', -1], ['_id', 1]]));
+
+      return {
+        questions: matching.slice(offset, offset + limit).map(clone),
+        total: matching.length,
+      };
+    },
+
+    async getFilterOptions(filters = {}) {
+      const live = [...questions.values()].filter(isLive);
+      const distinct = (field, documents) => [...new Set(documents.map(document => document[field]))];
+
+      const subjects = distinct('subject', live);
+      const sections = distinct('section', live.filter(document => !filters.subject || document.subject === filters.subject));
+      const chapters = distinct('chapter', live.filter(document =>
+        (!filters.subject || document.subject === filters.subject) && (!filters.section || document.section === filters.section)
+      ));
+
+      return {
+        subjects: subjects.filter(s => s && s !== 'Unknown').sort(),
+        chapters: chapters.filter(c => c && c !== 'Unknown').sort(),
+        sections: sections.filter(s => s && s !== 'Unknown').sort(),
+      };
+    },
+
+    async getQuestionById(questionId) {
+      const id = parseInt(questionId);
+      const document = [...questions.values()].find(stored => stored.id === id && isLive(stored));
+      return document ? clone(document) : null;
+    },
+
+    async getQuestionByDocumentId(documentId, { includeDeleted = false } = {}) {
+      const document = questions.get(toObjectId(documentId).toHexString());
+      return document && (includeDeleted || isLive(document)) ? clone(document) : null;
+    },
+
+    // Revision history
+
+    async getQuestionRevisions(documentId) {
+      const _id = new ObjectId(documentId);
+      return revisions
+        .filter(revision => revision.questionDocumentId.equals(_id))
+        .sort(bySort([['rev', -1]]))
+        .map(revision => clone(project(revision, REVISION_LIST_PROJECTION)));
+    },
+
+    async getQuestionRevision(documentId, rev) {
+      const revision = findRevision(new ObjectId(documentId), rev);
+      return revision ? clone(revision) : null;
+    },
+
+    async revertQuestionToRevision(documentId, rev, { updatedBy } = {}) {
+      const existing = findQuestion(documentId);
+      if (!existing || !isLive(existing)) {
+        throw createHttpError(404, 'Question not found');
+      }
+
+      const stored = findRevision(existing._id, rev);
+      if (!stored) {
+        throw createHttpError(404, `Revision ${rev} not found`);
+      }
+
+      const previous = clone(existing);
+      const { revision, deletedAt, deletedBy, ...snapshot } = stored.snapshot;
+      const document = {
+        ...snapshot,
+        uploadedAt: existing.uploadedAt,
+        revision: archiveQuestionRevision(existing),
+        revertedFrom: rev,
+        updatedAt: new Date(),
+        ...(updatedBy !== undefined && { updatedBy }),
+      };
+
+      questions.set(existing._id.toHexString(), clone({ _id: existing._id, ...document }));
+      return { previous, current: clone({ _id: existing._id, ...document }) };
+    },
+
+    async deleteQuestionRevisions(documentIds) {
+      if (!documentIds || documentIds.length === 0) {
+        return;
+      }
+
+      const keys = new Set(documentIds.map(id => new ObjectId(id).toHexString()));
+      for (let i = revisions.length - 1; i >= 0; i--) {
+        if (keys.has(revisions[i].questionDocumentId.toHexString())) {
+          revisions.splice(i, 1);
+        }
+      }
+    },
+
+    // Image registry
+
+    async findImageBySourceUrl(sourceUrl) {
+      const record = [...images.values()].find(image => image.sourceUrls.includes(sourceUrl) || image.s3Url === sourceUrl);
+      return record ? clone(record) : null;
+    },
+
+    async registerImage({ key, hash, s3Url, sourceUrl, size, contentType }) {
+      const now = new Date();
+      const record = images.get(key)
+        || { _id: new ObjectId(), key, hash, s3Url, size, contentType, questionIds: [], sourceUrls: [], createdAt: now };
+
+      if (sourceUrl && !record.sourceUrls.includes(sourceUrl)) {
+        record.sourceUrls.push(sourceUrl);
+      }
+      record.updatedAt = now;
+      images.set(key, clone(record));
+    },
+
+    async addImageReferences(s3Keys, questionId) {
+      (s3Keys || []).forEach(key => {
+        const record = images.get(key);
+        if (record) {
+          if (!record.questionIds.some(id => valuesEqual(id, questionId))) {
+            record.questionIds.push(questionId);
+          }
+          record.updatedAt = new Date();
+        }
+      });
+    },
+
+    async removeImageReferences(s3Keys, questionId) {
+      (s3Keys || []).forEach(key => {
+        const record = images.get(key);
+        if (record) {
+          record.questionIds = record.questionIds.filter(id => !valuesEqual(id, questionId));
+          record.updatedAt = new Date();
+        }
+      });
+    },
+
+    async deleteImageRecord(s3Key) {
+      images.delete(s3Key);
+    },
+
+    async deleteImageRecords(s3Keys) {
+      (s3Keys || []).forEach(key => images.delete(key));
+    },
+
+    async findQuestionsReferencingImages(imageUrls) {
+      if (!imageUrls || imageUrls.length === 0) {
+        return [];
+      }
+
+      const urls = new Set(imageUrls);
+      const current = [...questions.values()]
+        .filter(document => referencesImages(document, urls))
+        .map(document => project(document, IMAGE_FIELDS_PROJECTION));
+
+      // Older revisions keep their images alive so they can be reverted to
+      const snapshots = revisions
+        .filter(revision => referencesImages(revision.snapshot, urls))
+        .map(revision => project(revision.snapshot, IMAGE_FIELDS_PROJECTION));
+
+      return [...current, ...snapshots].map(clone);
+    },
+
+    async getAllQuestionImageFields() {
+      return [
+        ...[...questions.values()].map(document => project(document, IMAGE_FIELDS_PROJECTION)),
+        ...revisions.map(revision => project(revision.snapshot, IMAGE_FIELDS_PROJECTION)),
+      ].map(clone);
+    },
+
+    // API keys
+
+    async createApiKeyRecord({ name, role, hash, prefix, createdBy }) {
+      const document = { _id: new ObjectId(), name, role, hash, prefix, createdBy, createdAt: new Date(), lastUsedAt: null, revokedAt: null };
+      apiKeys.set(document._id.toHexString(), clone(document));
+      return clone(document);
+    },
+
+    async findActiveApiKeyByHash(hash) {
+      const record = [...apiKeys.values()].find(key => key.hash === hash && key.revokedAt === null);
+      return record ? clone(record) : null;
+    },
+
+    async listApiKeys() {
+      return [...apiKeys.values()]
+        .sort(bySort([['createdAt', -1]]))
+        .map(({ hash, ...record }) => clone(record));
+    },
+
+    async revokeApiKey(keyId, revokedBy) {
+      const record = apiKeys.get(toObjectId(keyId, 'Invalid key ID').toHexString());
+      if (!record || record.revokedAt !== null) {
+        return false;
+      }
+
+      record.revokedAt = new Date();
+      record.revokedBy = clone(revokedBy);
+      return true;
+    },
+
+    async touchApiKey(keyId) {
+      const record = apiKeys.get(keyId.toString());
+      if (record) {
+        record.lastUsedAt = new Date();
+      }
+    },
+
+    // Background jobs
+
+    async createJobRecord({ type, payload, total, createdBy }) {
+      const now = new Date();
+      const _id = new ObjectId();
+      jobs.set(_id.toHexString(), clone({
+        _id,
+        type,
+        status: 'queued',
+        payload,
+        progress: { total, processed: 0, created: 0, updated: 0, skipped: 0, failed: 0, cancelled: 0 },
+        results: new Array(total).fill(null),
+        cancelRequested: false,
+        error: null,
+        leaseOwner: null,
+        leaseUntil: null,
+        createdBy,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null,
+      }));
+      return _id.toHexString();
+    },
+
+    async getJob(jobId, { includePayload = false } = {}) {
+      const job = findJob(jobId);
+      if (!job) {
+        return null;
+      }
+      return clone(includePayload ? job : withoutPayload(job));
+    },
+
+    async claimJob(jobId, owner, leaseMs) {
+      const job = findJob(jobId);
+      const now = new Date();
+      if (!job || !UNFINISHED_JOB_STATUSES.includes(job.status)) {
+        return null;
+      }
+      if (job.leaseOwner !== owner && job.leaseUntil && job.leaseUntil > now) {
+        return null;
+      }
+
+      Object.assign(job, {
+        status: 'running',
+        leaseOwner: owner,
+        leaseUntil: new Date(now.getTime() + leaseMs),
+        startedAt: job.startedAt ?? now,
+        updatedAt: now,
+      });
+      return clone(job);
+    },
+
+    async renewJobLease(jobId, owner, leaseMs) {
+      const job = findJob(jobId);
+      if (!job || job.leaseOwner !== owner || !UNFINISHED_JOB_STATUSES.includes(job.status)) {
+        return false;
+      }
+      job.leaseUntil = new Date(Date.now() + leaseMs);
+      return true;
+    },
+
+    async releaseJob(jobId, owner) {
+      const job = findJob(jobId);
+      if (job && job.leaseOwner === owner) {
+        Object.assign(job, { leaseOwner: null, leaseUntil: null });
+      }
+    },
+
+    async recordJobResult(jobId, owner, index, result) {
+      const job = findJob(jobId);
+      if (!job || job.leaseOwner !== owner || job.results[index] !== null) {
+        return null;
+      }
+
+      job.results[index] = clone(result);
+      job.progress.processed += 1;
+      job.progress[result.status] = (job.progress[result.status] || 0) + 1;
+      job.updatedAt = new Date();
+      return { _id: job._id, cancelRequested: job.cancelRequested };
+    },
+
+    async finishJob(jobId, owner, status, error = null) {
+      const job = findJob(jobId);
+      if (job && job.leaseOwner === owner) {
+        const now = new Date();
+        Object.assign(job, { status, error, finishedAt: now, updatedAt: now, leaseOwner: null, leaseUntil: null });
+        delete job.payload;
+      }
+    },
+
+    async requestJobCancellation(jobId, cancelledBy) {
+      const job = findJob(jobId);
+      if (!job) {
+        return null;
+      }
+
+      if (UNFINISHED_JOB_STATUSES.includes(job.status)) {
+        Object.assign(job, { cancelRequested: true, cancelledBy: clone(cancelledBy), updatedAt: new Date() });
+      }
+      return clone(withoutPayload(job));
+    },
+
+    async findUnfinishedJobs() {
+      return [...jobs.values()]
+        .filter(job => UNFINISHED_JOB_STATUSES.includes(job.status))
+        .sort(bySort([['createdAt', 1]]))
+        .map(job => ({ _id: job._id, leaseUntil: job.leaseUntil }));
+    },
+
+    // Papers
+
+    async createPaperRecord(paper, createdBy = null) {
+      const now = new Date();
+      const document = { _id: new ObjectId(), ...paper, createdBy, createdAt: now, updatedAt: now };
+      papers.set(document._id.toHexString(), clone(document));
+      return clone(document);
+    },
+
+    async getPaper(paperId) {
+      const paper = papers.get(toObjectId(paperId, 'Invalid paper ID').toHexString());
+      return paper ? clone(paper) : null;
+    },
+
+    async listPapers(options = {}) {
+      const limit = parseLimit(options.limit, DEFAULT_PAPER_LIMIT, MAX_PAPER_LIMIT);
+      const offset = parseOffset(options.offset);
+
+      const sorted = [...papers.values()].sort(bySort([['updatedAt', -1], ['_id', -1]]));
+      return { papers: sorted.slice(offset, offset + limit).map(clone), total: sorted.length };
+    },
+
+    async updatePaperRecord(paperId, paper, updatedBy = null) {
+      const key = toObjectId(paperId, 'Invalid paper ID').toHexString();
+      const existing = papers.get(key);
+      if (!existing) {
+        return null;
+      }
+
+      const updated = clone({ ...existing, ...paper, updatedBy, updatedAt: new Date() });
+      papers.set(key, updated);
+      return clone(updated);
+    },
+
+    async deletePaperRecord(paperId) {
+      return papers.delete(toObjectId(paperId, 'Invalid paper ID').toHexString());
+    },
+
+    async createIndexes() {},
+
+    async close() {},
+  };
+}
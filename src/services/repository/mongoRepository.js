@@ -0,0 +1,79 @@
+import * as mongodb from '../mongodb.js';
+
+/**
+ * Repository backed by MongoDB (MONGODB_URI), using the shared connection
+ * in services/mongodb.js with the settings of the given configuration.
+ * The connection is opened on first use.
+ */
+export function createMongoRepository(config) {
+  mongodb.configureMongoConnection(config);
+
+  return {
+    name: 'mongodb',
+
+    // Questions
+    saveQuestion: mongodb.saveQuestionToMongoDB,
+    saveQuestionsInTransaction: mongodb.saveQuestionsInTransaction,
+    updateQuestion: mongodb.updateQuestionInMongoDB,
+    replaceQuestion: mongodb.replaceQuestionInMongoDB,
+    softDeleteQuestion: mongodb.softDeleteQuestionInMongoDB,
+    softDeleteQuestions: mongodb.softDeleteMultipleQuestionsInMongoDB,
+    restoreQuestion: mongodb.restoreQuestionInMongoDB,
+    findExpiredTrashedQuestions: mongodb.findExpiredTrashedQuestions,
+    deleteQuestion: mongodb.deleteQuestionFromMongoDB,
+    deleteQuestions: mongodb.deleteMultipleQuestionsFromMongoDB,
+    findQuestionsByQuestionIds: mongodb.findQuestionsByQuestionIds,
+    findQuestionByQuestionId: mongodb.findQuestionByQuestionId,
+    questionExists: mongodb.questionExists,
+    getAllQuestions: mongodb.getAllQuestions,
+    streamQuestions: mongodb.streamQuestions,
+    searchQuestions: mongodb.searchQuestions,
+    getFilterOptions: mongodb.getFilterOptions,
+    getQuestionById: mongodb.getQuestionById,
+    getQuestionByDocumentId: mongodb.getQuestionByDocumentId,
+
+    // Revision history
+    getQuestionRevisions: mongodb.getQuestionRevisions,
+    getQuestionRevision: mongodb.getQuestionRevision,
+    revertQuestionToRevision: mongodb.revertQuestionToRevision,
+    deleteQuestionRevisions: mongodb.deleteQuestionRevisions,
+
+    // Image registry
+    findImageBySourceUrl: mongodb.findImageBySourceUrl,
+    registerImage: mongodb.registerImage,
+    addImageReferences: mongodb.addImageReferences,
+    removeImageReferences: mongodb.removeImageReferences,
+    deleteImageRecord: mongodb.deleteImageRecord,
+    deleteImageRecords: mongodb.deleteImageRecords,
+    findQuestionsReferencingImages: mongodb.findQuestionsReferencingImages,
+    getAllQuestionImageFields: mongodb.getAllQuestionImageFields,
+
+    // API keys
+    createApiKeyRecord: mongodb.createApiKeyRecord,
+    findActiveApiKeyByHash: mongodb.findActiveApiKeyByHash,
+    listApiKeys: mongodb.listApiKeys,
+    revokeApiKey: mongodb.revokeApiKey,
+    touchApiKey: mongodb.touchApiKey,
+
+    // Background jobs
+    createJobRecord: mongodb.createJobRecord,
+    getJob: mongodb.getJob,
+    claimJob: mongodb.claimJob,
+    renewJobLease: mongodb.renewJobLease,
+    releaseJob: mongodb.releaseJob,
+    recordJobResult: mongodb.recordJobResult,
+    finishJob: mongodb.finishJob,
+    requestJobCancellation: mongodb.requestJobCancellation,
+    findUnfinishedJobs: mongodb.findUnfinishedJobs,
+
+    // Papers
+    createPaperRecord: mongodb.createPaperRecord,
+    getPaper: mongodb.getPaper,
+    listPapers: mongodb.listPapers,
+    updatePaperRecord: mongodb.updatePaperRecord,
+    deletePaperRecord: mongodb.deletePaperRecord,
+
+    createIndexes: mongodb.createIndexes,
+    close: mongodb.closeMongoConnection,
+  };
+}
@@ -0,0 +1,187 @@
+import { ObjectId } from 'mongodb';
+import { createHttpError } from '../errors.js';
+
+// Sortable fields for question listings (always tie-broken on _id)
+export const SORTABLE_FIELDS = ['uploadedAt', 'updatedAt', 'questionNumber', 'id', 'deletedAt'];
+const DEFAULT_SORT = 'uploadedAt';
+export const DEFAULT_PAGE_LIMIT = 50;
+export const MAX_PAGE_LIMIT = 200;
+
+export const DEFAULT_SEARCH_LIMIT = 20;
+export const MAX_SEARCH_LIMIT = 100;
+
+export const DEFAULT_PAPER_LIMIT = 50;
+export const MAX_PAPER_LIMIT = 200;
+
+// Fields covered by full-text search, with their relevance weights
+// (question wording weighted highest)
+export const SEARCH_WEIGHTS = {
+  'content.text': 10,
+  'options.text': 2,
+  'comprehension_passage.text': 5,
+  'sub_questions.content.text': 5,
+  'sub_questions.options.text': 2,
+};
+
+// Question fields that can hold image URLs (mirrors collectImageUrls)
+export const IMAGE_FIELDS = [
+  'imageUrl',
+  'content.images',
+  'options.image_url',
+  'comprehension_passage.images',
+  'sub_questions.content.images',
+  'sub_questions.options.image_url',
+  'matrix_match.rows.images',
+  'matrix_match.columns.images',
+];
+
+// Projection returning only the image-bearing fields of a question
+export const IMAGE_FIELDS_PROJECTION = {
+  id: 1,
+  imageUrl: 1,
+  'content.images': 1,
+  options: 1,
+  'comprehension_passage.images': 1,
+  sub_questions: 1,
+  'matrix_match.rows.images': 1,
+  'matrix_match.columns.images': 1,
+};
+
+// Statuses of jobs that still have work to do
+export const UNFINISHED_JOB_STATUSES = ['queued', 'running'];
+
+/**
+ * Parse a limit option (a number or numeric string)
+ */
+export function parseLimit(value, defaultLimit, maxLimit) {
+  const limit = value === undefined ? defaultLimit : Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    throw createHttpError(400, `limit must be an integer between 1 and ${maxLimit}`);
+  }
+  return limit;
+}
+
+/**
+ * Parse an offset option (a number or numeric string)
+ */
+export function parseOffset(value) {
+  const offset = value === undefined ? 0 : Number(value);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw createHttpError(400, 'offset must be a non-negative integer');
+  }
+  return offset;
+}
+
+/**
+ * Parse a sort parameter such as "uploadedAt" or "-questionNumber"
+ */
+export function parseSort(sort = DEFAULT_SORT) {
+  if (typeof sort !== 'string') {
+    throw createHttpError(400, 'sort must be a single field name');
+  }
+
+  const direction = sort.startsWith('-') ? -1 : 1;
+  const field = sort.replace(/^[-+]/, '');
+
+  if (!SORTABLE_FIELDS.includes(field)) {
+    throw createHttpError(400, `Invalid sort field "${field}". Allowed: ${SORTABLE_FIELDS.join(', ')}`);
+  }
+
+  return { field, direction };
+}
+
+/**
+ * Parse a comma separated field list into a MongoDB-style projection
+ */
+export function parseProjection(fields) {
+  if (!fields) {
+    return null;
+  }
+
+  if (typeof fields !== 'string') {
+    throw createHttpError(400, 'fields must be a comma separated list');
+  }
+
+  const names = fields.split(',').map(f => f.trim()).filter(Boolean);
+  const invalid = names.filter(name => !/^[A-Za-z_][\w.]*$/.test(name));
+  if (invalid.length > 0) {
+    throw createHttpError(400, `Invalid field name(s): ${invalid.join(', ')}`);
+  }
+
+  return names.reduce((projection, name) => ({ ...projection, [name]: 1 }), {});
+}
+
+/**
+ * Encode the position after the given document as an opaque cursor
+ */
+export function encodeCursor(doc, sortField) {
+  const value = doc[sortField];
+  const payload = {
+    id: doc._id.toString(),
+    v: value instanceof Date ? value.toISOString() : (value ?? null),
+    d: value instanceof Date,
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode an opaque cursor produced by encodeCursor
+ */
+export function decodeCursor(cursor) {
+  if (typeof cursor !== 'string') {
+    throw createHttpError(400, 'Invalid cursor');
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return {
+      id: new ObjectId(payload.id),
+      value: payload.d ? new Date(payload.v) : payload.v,
+    };
+  } catch (error) {
+    throw createHttpError(400, 'Invalid cursor');
+  }
+}
+
+/**
+ * Check a list of document IDs, throwing 400 for malformed ones
+ */
+export function assertValidObjectIds(documentIds) {
+  const invalid = documentIds.filter(id => !ObjectId.isValid(id));
+  if (invalid.length > 0) {
+    throw createHttpError(400, `Invalid document ID(s): ${invalid.join(', ')}`);
+  }
+}
+
+/**
+ * Convert an ID to an ObjectId, throwing 400 with the given message when
+ * it is malformed
+ */
+export function toObjectId(id, message = 'Invalid document ID') {
+  if (!ObjectId.isValid(id)) {
+    throw createHttpError(400, message);
+  }
+  return new ObjectId(id);
+}
+
+/**
+ * Build the document stored for a newly uploaded question
+ */
+export function buildQuestionDocument(question, s3ImageUrl) {
+  return {
+    ...question,
+    uploadedAt: new Date(),
+    originalImageUrl: question.imageUrl,
+    s3ImageUrl: s3ImageUrl || question.imageUrl,
+    imageUrl: s3ImageUrl || question.imageUrl, // Update imageUrl to S3 URL
+  };
+}
+
+/**
+ * Remove server-managed fields from client-supplied question data so an
+ * update cannot rewrite upload, authorship or trash metadata
+ */
+export function stripBookkeepingFields(question) {
+  const { uploadedAt, uploadedBy, updatedAt, updatedBy, deletedAt, deletedBy, ...questionData } = question;
+  return questionData;
+}
@@ -0,0 +1,102 @@
+import { removeReplacedImages } from './imageCleanup.js';
+
+// Bookkeeping fields that change on every save and are left out of diffs
+const IGNORED_DIFF_FIELDS = ['_id', 'revision', 'revertedFrom', 'updatedAt', 'updatedBy', 'deletedAt', 'deletedBy'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function normalize(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value && typeof value.toHexString === 'function') {
+    return value.toHexString();
+  }
+  return value;
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Recursively compare two values and collect field-level changes
+ */
+function diffValues(before, after, path, changes) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      if (!path && IGNORED_DIFF_FIELDS.includes(key)) {
+        continue;
+      }
+      diffValues(before[key], after[key], joinPath(path, key), changes);
+    }
+    return;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    for (let i = 0; i < length; i++) {
+      diffValues(before[i], after[i], joinPath(path, i), changes);
+    }
+    return;
+  }
+
+  const from = normalize(before);
+  const to = normalize(after);
+
+  if (from === undefined && to !== undefined) {
+    changes.push({ path, type: 'added', to });
+  } else if (from !== undefined && to === undefined) {
+    changes.push({ path, type: 'removed', from });
+  } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+    changes.push({ path, type: 'changed', from, to });
+  }
+}
+
+/**
+ * Structured field-level diff between two versions of a question
+ * Returns [{ path, type: 'added' | 'removed' | 'changed', from?, to? }]
+ */
+export function diffQuestions(before, after) {
+  const changes = [];
+  diffValues(before || {}, after || {}, '', changes);
+  return changes;
+}
+
+/**
+ * Get a stored revision together with its diff against the current version
+ * Returns null when the revision does not exist
+ */
+export async function getRevisionWithDiff(repository, currentQuestion, rev) {
+  const stored = await repository.getQuestionRevision(currentQuestion._id.toString(), rev);
+  if (!stored) {
+    return null;
+  }
+
+  return {
+    rev: stored.rev,
+    archivedAt: stored.archivedAt,
+    question: stored.snapshot,
+    diff: diffQuestions(stored.snapshot, currentQuestion),
+  };
+}
+
+/**
+ * Revert a question to a stored revision
+ * Returns { revision, diff } where diff describes what the revert changed
+ */
+export async function revertQuestion(context, documentId, rev, options = {}) {
+  const { previous, current } = await context.repository.revertQuestionToRevision(documentId, rev, options);
+  await removeReplacedImages(context, previous, current);
+
+  return {
+    revision: current.revision,
+    diff: diffQuestions(previous, current),
+  };
+}
@@ -1,82 +1,205 @@
-import { S3Client, PutObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
 import CryptoJS from 'crypto-js';
-import fetch from 'node-fetch';
-import { config } from '../config/env.js';
+import { detectImageType } from './imageType.js';
+import { fetchPublicUrl } from './publicFetch.js';
+import { createHttpError } from './errors.js';
 
-// Lazy initialization to ensure config is loaded first
-let s3Client = null;
-let BUCKET_NAME = null;
+// Functions that read settings or touch storage take the app context
+// ({ config, storage, ... }, see createApp) as their first argument
+
+// Stored questions reference images as image://<key> instead of a bucket URL;
+// responses resolve the reference for the configured IMAGE_ACCESS mode
+export const IMAGE_REF_PREFIX = 'image://';
+
+// Route that streams stored images when the bucket is private
+const IMAGE_ROUTE_PREFIX = '/api/images/';
+
+// Uploads in progress by key, per storage driver, so concurrent uploads of
+// one image write it once
+const pendingUploads = new WeakMap();
 
 /**
- * Initialize S3 client with current config
- * This is called lazily to ensure config is loaded first
+ * Generate a content hash (SHA-256 of the image bytes) for an image
+ * Identical images always hash to the same value, which makes S3 keys
+ * content-addressed and lets repeated uploads be deduplicated.
  */
-function getS3Client() {
-  if (!s3Client) {
-    BUCKET_NAME = config.aws.s3BucketName;
-    
-    if (!BUCKET_NAME) {
-      throw new Error('S3_BUCKET_NAME not configured. Make sure configuration is initialized.');
-    }
-    
-    s3Client = new S3Client({
-      region: config.aws.region,
-      credentials: {
-        accessKeyId: config.aws.accessKeyId,
-        secretAccessKey: config.aws.secretAccessKey,
-      },
-    });
-    
-    console.log('S3 client initialized with bucket:', BUCKET_NAME);
+export function generateImageHash(imageBuffer) {
+  return CryptoJS.SHA256(CryptoJS.lib.WordArray.create(imageBuffer)).toString();
+}
+
+/**
+ * Build the S3 key for an image from its content hash
+ */
+export function buildImageKey(hash, extension) {
+  return `questions/${hash}.${extension}`;
+}
+
+/**
+ * Build the public URL of a key in the configured storage
+ */
+export function buildPublicImageUrl({ storage }, key) {
+  return storage.publicUrl(key);
+}
+
+/**
+ * Build the stored reference for a key (independent of bucket and host)
+ */
+export function buildImageRef(key) {
+  return `${IMAGE_REF_PREFIX}${key}`;
+}
+
+/**
+ * Build the URL of the API route that streams a stored image
+ */
+export function buildServedImageUrl({ config }, key) {
+  return `${config.images.baseUrl || ''}${IMAGE_ROUTE_PREFIX}${encodeURIComponent(key)}`;
+}
+
+/**
+ * Check whether a key names an image this API stores (questions/<file>)
+ */
+export function isStoredImageKey(key) {
+  return typeof key === 'string' && /^questions\/[A-Za-z0-9._-]+$/.test(key) && !key.includes('..');
+}
+
+/**
+ * Check whether an object already exists in storage
+ */
+export async function imageExistsInS3({ storage }, s3Key) {
+  return await storage.exists(s3Key);
+}
+
+/**
+ * Parse an image URL to download, accepting only http and https
+ */
+function parseDownloadUrl(href) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch (error) {
+    throw createHttpError(400, `Invalid image URL ${href}`, { reason: 'invalid_url' });
   }
-  return s3Client;
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw createHttpError(400, `Only http and https images can be downloaded: ${href}`, { reason: 'invalid_url' });
+  }
+  return url;
 }
 
 /**
- * Get the configured bucket name
+ * Download image from URL and convert to buffer
+ * Enforces the configured download timeout and maximum size. Private,
+ * loopback and link-local addresses are refused on every redirect hop
+ * unless IMAGE_DOWNLOAD_ALLOW_PRIVATE_ADDRESSES is set.
  */
-function getBucketName() {
-  if (!BUCKET_NAME) {
-    BUCKET_NAME = config.aws.s3BucketName;
-    if (!BUCKET_NAME) {
-      throw new Error('S3_BUCKET_NAME not configured. Make sure configuration is initialized.');
+async function downloadImage({ config }, imageUrl) {
+  const { maxSizeBytes, downloadTimeoutMs, allowPrivateAddresses } = config.images;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), downloadTimeoutMs);
+
+  try {
+    const { response } = await fetchPublicUrl(imageUrl, {
+      validateUrl: parseDownloadUrl,
+      signal: controller.signal,
+      allowPrivateAddresses,
+    });
+    if (!response.ok) {
+      throw createHttpError(502, `Failed to download image from ${imageUrl}: ${response.status} ${response.statusText}`, { reason: 'http_error' });
+    }
+
+    const declaredLength = Number(response.headers.get('content-length'));
+    if (declaredLength > maxSizeBytes) {
+      throw createHttpError(413, `Image is ${declaredLength} bytes, exceeding the ${maxSizeBytes} byte limit`, { reason: 'too_large' });
+    }
+
+    // Read incrementally so an oversized body without Content-Length is cut off early
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > maxSizeBytes) {
+        controller.abort();
+        throw createHttpError(413, `Image exceeds the ${maxSizeBytes} byte limit`, { reason: 'too_large' });
+      }
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+  } catch (error) {
+    if (error.name === 'AbortError' && !error.reason) {
+      throw createHttpError(504, `Timed out after ${downloadTimeoutMs}ms downloading ${imageUrl}`, { reason: 'timeout' });
     }
+    if (!error.reason) {
+      error.reason = 'download_failed';
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
   }
-  return BUCKET_NAME;
 }
 
 /**
- * Generate a unique hash name for an image
+ * Write an image to storage unless an identical one is already stored
+ * Returns true when a new object was written
  */
-export function generateImageHash(imageUrl) {
-  const timestamp = Date.now();
-  const randomSuffix = Math.random().toString(36).substring(2, 15);
-  const hash = CryptoJS.SHA256(`${imageUrl}-${timestamp}-${randomSuffix}`).toString();
-  
-  // Get file extension from URL or default to jpg
-  const urlParts = imageUrl.split('?')[0].split('.');
-  const extension = urlParts.length > 1 ? urlParts[urlParts.length - 1] : 'jpg';
-  
-  return `questions/${hash}.${extension}`;
+async function putImageIfMissing(context, key, imageBuffer, contentType) {
+  const alreadyStored = await imageExistsInS3(context, key);
+
+  if (alreadyStored) {
+    console.log('uploadImageBufferToS3: Identical image already stored, skipping upload:', key);
+    return false;
+  }
+
+  console.log('uploadImageBufferToS3: Uploading with key:', key);
+  await context.storage.put(key, imageBuffer, { contentType });
+  return true;
 }
 
 /**
- * Download image from URL and convert to buffer
+ * Store an image buffer in S3 under its content-addressed key
+ * The content type and extension come from the image bytes; anything that
+ * is not a recognised image is rejected. The PutObject is skipped when an
+ * identical image is already stored, and concurrent uploads of the same
+ * image share one write (only the first caller sees created: true).
+ * Returns { s3Url, key, hash, size, contentType, created } where s3Url is
+ * the stored image:// reference
  */
-async function downloadImage(imageUrl) {
-  const response = await fetch(imageUrl);
-  if (!response.ok) {
-    throw new Error(`Failed to download image from ${imageUrl}: ${response.statusText}`);
+export async function uploadImageBufferToS3(context, imageBuffer) {
+  const imageType = detectImageType(imageBuffer);
+  if (!imageType) {
+    throw createHttpError(415, 'Content is not a supported image', { reason: 'not_an_image' });
+  }
+
+  const { extension, contentType } = imageType;
+  const hash = generateImageHash(imageBuffer);
+  const key = buildImageKey(hash, extension);
+
+  if (!pendingUploads.has(context.storage)) {
+    pendingUploads.set(context.storage, new Map());
   }
-  
-  const arrayBuffer = await response.arrayBuffer();
-  return Buffer.from(arrayBuffer);
+  const pendingForStorage = pendingUploads.get(context.storage);
+
+  let upload = pendingForStorage.get(key);
+  const isFirstUpload = !upload;
+  if (isFirstUpload) {
+    upload = putImageIfMissing(context, key, imageBuffer, contentType).finally(() => pendingForStorage.delete(key));
+    pendingForStorage.set(key, upload);
+  }
+  const created = await upload;
+
+  return {
+    s3Url: buildImageRef(key),
+    key,
+    hash,
+    size: imageBuffer.length,
+    contentType,
+    created: isFirstUpload && created,
+  };
 }
 
 /**
- * Upload image to S3 bucket
+ * Download an image and upload it to the S3 bucket
+ * Returns the same details as uploadImageBufferToS3
  */
-export async function uploadImageToS3(imageUrl) {
+export async function uploadImageToS3(context, imageUrl) {
   console.log('uploadImageToS3: Starting image upload for URL:', imageUrl);
   if (!imageUrl) {
     console.error('uploadImageToS3: No image URL provided');
@@ -85,29 +208,13 @@ export async function uploadImageToS3(imageUrl) {
 
   try {
     console.log('uploadImageToS3: Downloading image from:', imageUrl);
-    const imageBuffer = await downloadImage(imageUrl);
+    const imageBuffer = await downloadImage(context, imageUrl);
     
-    const key = generateImageHash(imageUrl);
-    const bucketName = getBucketName();
-    const client = getS3Client();
+    // Type is sniffed from the bytes, not the URL extension or upstream Content-Type
+    const result = await uploadImageBufferToS3(context, imageBuffer);
+    console.log('uploadImageToS3: Image available at:', result.s3Url);
     
-    console.log('uploadImageToS3: Uploading to S3 with key:', key);
-    
-    const command = new PutObjectCommand({
-      Bucket: bucketName,
-      Key: key,
-      Body: imageBuffer,
-      ContentType: 'image/jpeg',
-      // Note: ACL removed - bucket should have public read policy instead
-    });
-
-    await client.send(command);
-    
-    // Return the S3 URL
-    const s3Url = `https://${bucketName}.s3.${config.aws.region}.amazonaws.com/${key}`;
-    console.log('uploadImageToS3: Image uploaded successfully to:', s3Url);
-    
-    return s3Url;
+    return result;
   } catch (error) {
     console.error(`uploadImageToS3: Error uploading image ${imageUrl}:`, error);
     throw error; // Re-throw the error for upstream handling
@@ -115,25 +222,16 @@ export async function uploadImageToS3(imageUrl) {
 }
 
 /**
- * Delete image from S3 bucket (used for rollback)
+ * Delete an image from storage (used for rollback)
  */
-export async function deleteImageFromS3(s3Key) {
+export async function deleteImageFromS3({ storage }, s3Key) {
   if (!s3Key) {
     return;
   }
 
-  console.log('Deleting image from S3:', s3Key);
-  
-  const bucketName = getBucketName();
-  const client = getS3Client();
-  
-  const command = new DeleteObjectCommand({
-    Bucket: bucketName,
-    Key: s3Key,
-  });
-
-  await client.send(command);
-  console.log('Image deleted successfully from S3');
+  console.log('Deleting image from storage:', s3Key);
+  await storage.delete(s3Key);
+  console.log('Image deleted successfully from storage');
 }
 
 /**
@@ -143,3 +241,101 @@ export function extractS3Key(s3Url) {
   const url = new URL(s3Url);
   return url.pathname.substring(1); // Remove leading slash
 }
+
+/**
+ * Get the raw key an image reference or URL names in our storage, or null
+ * when it does not point into our storage. Recognises image:// references,
+ * public storage URLs (including presigned ones) and URLs of the image
+ * streaming route. The key is not validated.
+ */
+function parseStorageUrl(context, imageUrl) {
+  if (typeof imageUrl !== 'string') {
+    return null;
+  }
+
+  if (imageUrl.startsWith(IMAGE_REF_PREFIX)) {
+    return imageUrl.slice(IMAGE_REF_PREFIX.length);
+  }
+
+  try {
+    const servedBase = new URL(buildServedImageUrl(context, ''), 'http://relative.invalid');
+    const url = new URL(imageUrl, servedBase.origin);
+    if (url.host === servedBase.host && url.pathname.startsWith(IMAGE_ROUTE_PREFIX)) {
+      return decodeURIComponent(url.pathname.substring(IMAGE_ROUTE_PREFIX.length));
+    }
+
+    const publicBase = new URL(buildPublicImageUrl(context, ''), servedBase);
+    if (url.host === publicBase.host && url.pathname.startsWith(publicBase.pathname)) {
+      return decodeURIComponent(url.pathname.substring(publicBase.pathname.length));
+    }
+    return null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the storage key for an image reference or URL if it points at an
+ * image in our storage, otherwise null. Keys outside questions/ are never
+ * returned, so other objects in the bucket cannot be reached through an
+ * image URL.
+ */
+export function getS3KeyForUrl(context, imageUrl) {
+  const key = parseStorageUrl(context, imageUrl);
+  return isStoredImageKey(key) ? key : null;
+}
+
+/**
+ * Check whether a reference or URL points into our storage, whether or not
+ * it names a valid image key
+ */
+export function isStorageUrl(context, imageUrl) {
+  return parseStorageUrl(context, imageUrl) !== null;
+}
+
+/**
+ * Every form in which a stored question may reference a key: the
+ * image:// reference and the public URL older questions were saved with
+ */
+export function getStoredImageUrlForms(context, key) {
+  return [buildImageRef(key), buildPublicImageUrl(context, key)];
+}
+
+/**
+ * Read an image from storage as a stream
+ * range is a single "bytes=start-end" range; ifNoneMatch an ETag the client
+ * already has. Returns { statusCode: 200 | 206 | 304, body, contentType,
+ * contentLength, contentRange, etag, lastModified }
+ */
+export async function getImageObject({ storage }, s3Key, { range, ifNoneMatch } = {}) {
+  return await storage.get(s3Key, { range, ifNoneMatch });
+}
+
+/**
+ * Create a short-lived presigned GET URL for an image
+ * Only the S3 drivers can sign URLs (501 for local storage)
+ */
+export async function createSignedImageUrl({ storage }, s3Key, expiresInSeconds) {
+  if (!storage.signedUrl) {
+    throw createHttpError(501, `The ${storage.name} storage driver does not support signed URLs`);
+  }
+  return await storage.signedUrl(s3Key, expiresInSeconds);
+}
+
+/**
+ * List every object under a prefix
+ * Returns [{ key, size, lastModified }]
+ */
+export async function listImageObjects({ storage }, prefix = 'questions/') {
+  return await storage.list(prefix);
+}
+
+/**
+ * Delete many objects from storage
+ * Returns { deleted: [keys], failed: [{ key, error }] }
+ */
+export async function deleteImagesFromS3({ storage }, s3Keys) {
+  const { deleted, failed } = await storage.deleteMany(s3Keys);
+  console.log(`Deleted ${deleted.length} image(s) from storage`);
+  return { deleted, failed };
+}
@@ -0,0 +1,142 @@
+/**
+ * Search helpers
+ *
+ * Builds highlighted snippets for full-text search results. MongoDB's
+ * $text operator ranks documents but does not report where the terms
+ * matched, so matches are located again here on the returned documents.
+ */
+
+const SNIPPET_CONTEXT = 60;
+const MAX_HIGHLIGHTS = 5;
+
+/**
+ * Split a search string into terms, honouring "quoted phrases" and
+ * ignoring negated (-term) words the same way $text does
+ */
+export function parseSearchTerms(searchText) {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(searchText)) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4] || '').trim();
+    if (!negated && term) {
+      terms.push(term.toLowerCase());
+    }
+  }
+
+  return [...new Set(terms)];
+}
+
+/**
+ * Escape text for safe inclusion in an HTML snippet
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a case-insensitive regex matching any of the terms.
+ * Single words are loosely stemmed so "velocities" still marks "velocity".
+ */
+function buildTermPattern(terms) {
+  const parts = terms.map(term => {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (/\s/.test(term)) {
+      return escaped;
+    }
+    const stem = term.length > 4 ? escaped.replace(/(ies|es|s|ing|ed|y)$/, '') : escaped;
+    return `${stem}\\w*`;
+  });
+  return new RegExp(`\\b(?:${parts.join('|')})`, 'gi');
+}
+
+/**
+ * Build a snippet around the first match with every match wrapped in <mark>
+ */
+function buildSnippet(text, pattern) {
+  const matches = [...text.matchAll(pattern)];
+  if (matches.length === 0) {
+    return null;
+  }
+
+  const first = matches[0];
+  const start = Math.max(0, first.index - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, first.index + first[0].length + SNIPPET_CONTEXT);
+
+  let snippet = start > 0 ? '…' : '';
+  let position = start;
+
+  for (const match of matches) {
+    const matchEnd = match.index + match[0].length;
+    if (match.index < start || matchEnd > end) {
+      continue;
+    }
+    snippet += escapeHtml(text.slice(position, match.index));
+    snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+    position = matchEnd;
+  }
+
+  snippet += escapeHtml(text.slice(position, end));
+  if (end < text.length) {
+    snippet += '…';
+  }
+
+  return snippet;
+}
+
+/**
+ * Collect every searchable text field of a question with its field path
+ */
+function collectSearchableText(question) {
+  const fields = [];
+  const add = (path, text) => {
+    if (typeof text === 'string' && text.trim()) {
+      fields.push({ field: path, text });
+    }
+  };
+
+  add('content.text', question.content?.text);
+
+  (question.options || []).forEach((opt, i) => add(`options[${i}].text`, opt?.text));
+
+  add('comprehension_passage.text', question.comprehension_passage?.text);
+
+  (question.sub_questions || []).forEach((subQ, i) => {
+    add(`sub_questions[${i}].content.text`, subQ?.content?.text);
+    (subQ?.options || []).forEach((opt, j) => add(`sub_questions[${i}].options[${j}].text`, opt?.text));
+  });
+
+  return fields;
+}
+
+/**
+ * Build highlighted snippets for a search result
+ * Returns [{ field, snippet }] in document order
+ */
+export function buildHighlights(question, searchText) {
+  const terms = parseSearchTerms(searchText);
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const pattern = buildTermPattern(terms);
+  const highlights = [];
+
+  for (const { field, text } of collectSearchableText(question)) {
+    const snippet = buildSnippet(text, pattern);
+    if (snippet) {
+      highlights.push({ field, snippet });
+    }
+    if (highlights.length >= MAX_HIGHLIGHTS) {
+      break;
+    }
+  }
+
+  return highlights;
+}
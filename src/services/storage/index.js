@@ -0,0 +1,63 @@
+/**
+ * Object storage for images
+ *
+ * STORAGE_DRIVER selects where objects live:
+ * - 's3': AWS S3
+ * - 's3-compatible': an S3 API at S3_ENDPOINT (MinIO, R2, ...), path-style by default
+ * - 'local': files below STORAGE_LOCAL_ROOT, served from LOCAL_STORAGE_ROUTE
+ *
+ * Every driver implements:
+ * - put(key, body, { contentType })
+ * - get(key, { range, ifNoneMatch }) → { statusCode: 200 | 206 | 304, body,
+ *   contentType, contentLength, contentRange, etag, lastModified }; throws
+ *   errors with statusCode 404 (missing) or 416 (bad range)
+ * - delete(key), deleteMany(keys) → { deleted: [keys], failed: [{ key, error }] }
+ * - exists(key), list(prefix) → [{ key, size, lastModified }]
+ * - publicUrl(key): where the object can be loaded when IMAGE_ACCESS=public
+ * - signedUrl(key, expiresInSeconds): optional, S3 drivers only
+ */
+import { createS3Driver } from './s3Driver.js';
+import { createLocalDriver, LOCAL_STORAGE_ROUTE } from './localDriver.js';
+
+export { LOCAL_STORAGE_ROUTE, serveLocalStorage } from './localDriver.js';
+
+export const STORAGE_DRIVERS = ['s3', 's3-compatible', 'local'];
+
+/**
+ * Create the storage driver described by a configuration object
+ * (config.storage plus the bucket and credentials in config.aws)
+ */
+export function createStorage({ storage: storageConfig, aws, images }) {
+  const { driver, endpoint, forcePathStyle, publicUrl, localRoot } = storageConfig;
+
+  switch (driver) {
+    case 's3':
+      return createS3Driver({
+        bucket: aws.s3BucketName,
+        region: aws.region,
+        accessKeyId: aws.accessKeyId,
+        secretAccessKey: aws.secretAccessKey,
+        publicUrl,
+      });
+    case 's3-compatible':
+      if (!endpoint) {
+        throw new Error('S3_ENDPOINT is required for the s3-compatible storage driver');
+      }
+      return createS3Driver({
+        bucket: aws.s3BucketName,
+        region: aws.region,
+        accessKeyId: aws.accessKeyId,
+        secretAccessKey: aws.secretAccessKey,
+        endpoint,
+        forcePathStyle,
+        publicUrl,
+      });
+    case 'local':
+      return createLocalDriver({
+        root: localRoot,
+        publicUrl: publicUrl || `${images.baseUrl || ''}${LOCAL_STORAGE_ROUTE}`,
+      });
+    default:
+      throw new Error(`Unknown storage driver "${driver}". Allowed: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+}
@@ -0,0 +1,237 @@
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import express from 'express';
+import { getContentTypeForExtension } from '../imageType.js';
+import { mapWithConcurrency } from '../concurrency.js';
+import { createHttpError } from '../errors.js';
+
+// Files stat'ed at once when listing
+const LIST_CONCURRENCY = 16;
+
+// Route the local driver's files are served from (see serveLocalStorage)
+export const LOCAL_STORAGE_ROUTE = '/storage';
+
+/**
+ * ETag for a stored file, derived from its size and modification time
+ */
+function buildEtag(stats) {
+  return `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * Check an If-None-Match header (one or more ETags, or *) against an ETag
+ */
+function matchesEtag(ifNoneMatch, etag) {
+  if (!ifNoneMatch) {
+    return false;
+  }
+  return ifNoneMatch.split(',').some(candidate => {
+    const value = candidate.trim().replace(/^W\//, '');
+    return value === '*' || value === etag;
+  });
+}
+
+/**
+ * Resolve a single "bytes=start-end" range against a file size
+ * Returns { start, end } or throws 416 when it cannot be satisfied
+ */
+function resolveRange(range, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(range);
+  if (!match || (match[1] === '' && match[2] === '')) {
+    throw createHttpError(416, 'Requested range not satisfiable');
+  }
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    const suffixLength = Number(match[2]);
+    start = Math.max(size - suffixLength, 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (size === 0 || start >= size || start > end) {
+    throw createHttpError(416, 'Requested range not satisfiable');
+  }
+  return { start, end };
+}
+
+/**
+ * Every file below a directory as paths relative to root (with / separators)
+ */
+async function walkFiles(root, directory) {
+  let entries;
+  try {
+    entries = await fsPromises.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await walkFiles(root, entryPath)));
+    } else if (entry.isFile() && !entry.name.startsWith('.')) {
+      files.push(path.relative(root, entryPath).split(path.sep).join('/'));
+    }
+  }
+  return files;
+}
+
+/**
+ * Storage driver keeping objects as files below a local directory
+ * Options: { root, publicUrl }. Keys map to paths below root; publicUrl is
+ * the URL prefix the files are served from (LOCAL_STORAGE_ROUTE on this API).
+ * Meant for development and single-server deployments.
+ */
+export function createLocalDriver({ root, publicUrl }) {
+  const rootDirectory = path.resolve(root);
+
+  /**
+   * Absolute path for a key, refusing keys that escape the root
+   */
+  function resolveKeyPath(key) {
+    const filePath = path.resolve(rootDirectory, key);
+    if (!key || !filePath.startsWith(rootDirectory + path.sep)) {
+      throw createHttpError(400, `Invalid storage key ${key}`);
+    }
+    return filePath;
+  }
+
+  console.log(`Local storage initialized at: ${rootDirectory}`);
+
+  return {
+    name: 'local',
+
+    async put(key, body) {
+      const filePath = resolveKeyPath(key);
+      await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+
+      // Write to a temporary file first so readers never see a partial file
+      const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${crypto.randomUUID()}.tmp`);
+      try {
+        await fsPromises.writeFile(tempPath, body);
+        await fsPromises.rename(tempPath, filePath);
+      } catch (error) {
+        await fsPromises.rm(tempPath, { force: true });
+        throw error;
+      }
+    },
+
+    async get(key, { range, ifNoneMatch } = {}) {
+      const filePath = resolveKeyPath(key);
+
+      let stats;
+      try {
+        stats = await fsPromises.stat(filePath);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw createHttpError(404, `Image ${key} not found`);
+        }
+        throw error;
+      }
+      if (!stats.isFile()) {
+        throw createHttpError(404, `Image ${key} not found`);
+      }
+
+      const etag = buildEtag(stats);
+      if (matchesEtag(ifNoneMatch, etag)) {
+        return { statusCode: 304, etag };
+      }
+
+      const contentType = getContentTypeForExtension(path.extname(filePath).slice(1).toLowerCase()) || 'application/octet-stream';
+      const common = { contentType, etag, lastModified: stats.mtime };
+
+      if (range) {
+        const { start, end } = resolveRange(range, stats.size);
+        return {
+          ...common,
+          statusCode: 206,
+          body: fs.createReadStream(filePath, { start, end }),
+          contentLength: end - start + 1,
+          contentRange: `bytes ${start}-${end}/${stats.size}`,
+        };
+      }
+
+      return {
+        ...common,
+        statusCode: 200,
+        body: fs.createReadStream(filePath),
+        contentLength: stats.size,
+      };
+    },
+
+    async delete(key) {
+      await fsPromises.rm(resolveKeyPath(key), { force: true });
+    },
+
+    async deleteMany(keys) {
+      const deleted = [];
+      const failed = [];
+
+      for (const key of keys) {
+        try {
+          await this.delete(key);
+          deleted.push(key);
+        } catch (error) {
+          failed.push({ key, error: error.message });
+        }
+      }
+
+      return { deleted, failed };
+    },
+
+    async exists(key) {
+      try {
+        return (await fsPromises.stat(resolveKeyPath(key))).isFile();
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async list(prefix = '') {
+      const keys = (await walkFiles(rootDirectory, rootDirectory)).filter(key => key.startsWith(prefix));
+
+      return await mapWithConcurrency(keys, LIST_CONCURRENCY, async key => {
+        const stats = await fsPromises.stat(path.join(rootDirectory, key));
+        return { key, size: stats.size, lastModified: stats.mtime };
+      });
+    },
+
+    publicUrl(key) {
+      return `${publicUrl}/${key}`;
+    },
+  };
+}
+
+/**
+ * Static route serving the local driver's files, with the same headers as
+ * GET /api/images/:key (objects are content-addressed, so they are cached
+ * forever; SVGs are sandboxed)
+ */
+export function serveLocalStorage(root) {
+  return express.static(path.resolve(root), {
+    dotfiles: 'ignore',
+    index: false,
+    redirect: false,
+    immutable: true,
+    maxAge: '1y',
+    setHeaders: res => {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+    },
+  });
+}
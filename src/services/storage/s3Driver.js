@@ -0,0 +1,170 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  HeadObjectCommand,
+  GetObjectCommand,
+  ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { createHttpError } from '../errors.js';
+
+// DeleteObjects accepts at most this many keys per request
+const DELETE_BATCH_SIZE = 1000;
+
+// Region sent to S3-compatible services that do not use one
+const DEFAULT_COMPATIBLE_REGION = 'us-east-1';
+
+/**
+ * Base URL objects are publicly addressed under: STORAGE_PUBLIC_URL when
+ * set, otherwise the bucket's own URL (virtual-hosted on AWS, path-style or
+ * virtual-hosted on a custom endpoint)
+ */
+function buildPublicBaseUrl({ bucket, region, endpoint, forcePathStyle, publicUrl }) {
+  if (publicUrl) {
+    return publicUrl;
+  }
+  if (!endpoint) {
+    return `https://${bucket}.s3.${region}.amazonaws.com`;
+  }
+  if (forcePathStyle) {
+    return `${endpoint}/${bucket}`;
+  }
+  const url = new URL(endpoint);
+  return `${url.protocol}//${bucket}.${url.host}`;
+}
+
+/**
+ * Storage driver for AWS S3 and S3-compatible services (MinIO, R2, Spaces, ...)
+ * Options: { bucket, region, accessKeyId, secretAccessKey, endpoint?,
+ * forcePathStyle?, publicUrl? }. Without an endpoint the driver talks to
+ * AWS; with one, requests (and public URLs) go to that endpoint, using
+ * path-style addressing (endpoint/bucket/key) when forcePathStyle is set.
+ */
+export function createS3Driver({ bucket, region, accessKeyId, secretAccessKey, endpoint, forcePathStyle = false, publicUrl }) {
+  if (!bucket) {
+    throw new Error('S3_BUCKET_NAME not configured. Make sure configuration is initialized.');
+  }
+
+  const client = new S3Client({
+    region: region || DEFAULT_COMPATIBLE_REGION,
+    credentials: { accessKeyId, secretAccessKey },
+    ...(endpoint && { endpoint, forcePathStyle }),
+  });
+  const publicBaseUrl = buildPublicBaseUrl({ bucket, region, endpoint, forcePathStyle, publicUrl });
+
+  console.log(`S3 storage initialized with bucket: ${bucket}${endpoint ? ` (endpoint ${endpoint})` : ''}`);
+
+  return {
+    name: endpoint ? 's3-compatible' : 's3',
+
+    async put(key, body, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        // No ACL: with IMAGE_ACCESS=public the bucket policy grants public read,
+        // with IMAGE_ACCESS=private images are only served through the API
+      }));
+    },
+
+    async get(key, { range, ifNoneMatch } = {}) {
+      try {
+        const response = await client.send(new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Range: range,
+          IfNoneMatch: ifNoneMatch,
+        }));
+
+        return {
+          statusCode: response.ContentRange ? 206 : 200,
+          body: response.Body,
+          contentType: response.ContentType,
+          contentLength: response.ContentLength,
+          contentRange: response.ContentRange,
+          etag: response.ETag,
+          lastModified: response.LastModified,
+        };
+      } catch (error) {
+        const statusCode = error.$metadata?.httpStatusCode;
+        if (statusCode === 304) {
+          return { statusCode: 304, etag: ifNoneMatch };
+        }
+        if (error.name === 'NoSuchKey' || statusCode === 404) {
+          throw createHttpError(404, `Image ${key} not found`);
+        }
+        if (error.name === 'InvalidRange' || statusCode === 416) {
+          throw createHttpError(416, 'Requested range not satisfiable');
+        }
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async deleteMany(keys) {
+      const deleted = [];
+      const failed = [];
+
+      for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+        const batch = keys.slice(i, i + DELETE_BATCH_SIZE);
+        const response = await client.send(new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: batch.map(Key => ({ Key })), Quiet: false },
+        }));
+
+        (response.Deleted || []).forEach(object => deleted.push(object.Key));
+        (response.Errors || []).forEach(object => failed.push({ key: object.Key, error: object.Message }));
+      }
+
+      return { deleted, failed };
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async list(prefix = '') {
+      const objects = [];
+      let continuationToken = undefined;
+
+      do {
+        const response = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken,
+        }));
+
+        (response.Contents || []).forEach(object => {
+          objects.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+        });
+
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return objects;
+    },
+
+    publicUrl(key) {
+      return `${publicBaseUrl}/${key}`;
+    },
+
+    async signedUrl(key, expiresInSeconds) {
+      const command = new GetObjectCommand({ Bucket: bucket, Key: key });
+      return await getSignedUrl(client, command, { expiresIn: expiresInSeconds });
+    },
+  };
+}
@@ -0,0 +1,44 @@
+import { removeOrphanedImages, collectStoredImageUrls } from './imageCleanup.js';
+
+/**
+ * Permanently delete trashed questions older than the retention period,
+ * along with their revision history and S3 images no other question references
+ * Options:
+ * - questionIds: only purge these (still subject to retention)
+ * Returns { purgedCount, purgedIds, retentionDays, deletedImages }
+ */
+export async function purgeTrash(context, { questionIds } = {}) {
+  const { repository, config } = context;
+  const retentionDays = config.trashRetentionDays;
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+  console.log(`Purging trash older than ${retentionDays} day(s) (before ${cutoff.toISOString()})`);
+
+  const expired = await repository.findExpiredTrashedQuestions(cutoff, questionIds);
+  const purgedIds = expired.map(question => question._id.toString());
+
+  // Images only older revisions used are released along with the history
+  const imageUrls = new Map();
+  for (const question of expired) {
+    const documentId = question._id.toString();
+    const urls = collectStoredImageUrls(context, question);
+    for (const { rev } of await repository.getQuestionRevisions(documentId)) {
+      const revision = await repository.getQuestionRevision(documentId, rev);
+      urls.push(...collectStoredImageUrls(context, revision?.snapshot));
+    }
+    imageUrls.set(question, urls);
+  }
+
+  const { deletedCount } = await repository.deleteQuestions(purgedIds);
+  await repository.deleteQuestionRevisions(purgedIds);
+
+  const deletedImages = [];
+  for (const question of expired) {
+    const { deletedKeys } = await removeOrphanedImages(context, imageUrls.get(question), question.id);
+    deletedImages.push(...deletedKeys);
+  }
+
+  console.log(`Purged ${deletedCount} question(s) and ${deletedImages.length} image(s) from trash`);
+
+  return { purgedCount: deletedCount, purgedIds, retentionDays, deletedImages };
+}
@@ -1,126 +1,256 @@
-import { uploadImageToS3, deleteImageFromS3, extractS3Key } from './s3.js';
-import { saveQuestionToMongoDB, deleteQuestionFromMongoDB, questionExists } from './mongodb.js';
+import { getS3KeyForUrl, buildImageRef } from './s3.js';
+import { validateQuestion } from './validation.js';
+import {
+  mirrorImage,
+  isDataUri,
+  describeImageSource,
+  collectImageUrls,
+  mapImageUrls,
+  normalizeImageUrl,
+  resolveImageUrl,
+} from './imageService.js';
+import { removeReplacedImages, removeOrphanedImages } from './imageCleanup.js';
+import { mapWithConcurrency } from './concurrency.js';
 
 /**
- * Helper to collect all image URLs from question
+ * Convert an originalUrl -> s3Url map to the stored mirroredImages list
+ * Inline data: URIs are left out; their content hash already deduplicates them.
  */
-function collectImageUrls(question) {
-  const imageUrls = [];
+function toMirroredImages(s3UrlMap) {
+  return Array.from(s3UrlMap)
+    .filter(([sourceUrl]) => !isDataUri(sourceUrl))
+    .map(([sourceUrl, s3Url]) => ({ sourceUrl, s3Url }));
+}
 
-  // Legacy imageUrl field
-  if (question.imageUrl) {
-    imageUrls.push(question.imageUrl);
-  }
+export const CONFLICT_MODES = ['skip', 'replace', 'merge'];
 
-  // Content images
-  if (question.content?.images) {
-    imageUrls.push(...question.content.images);
-  }
+/**
+ * Build originalUrl -> s3Url map of images already mirrored for a stored question
+ * (older questions recorded bucket URLs; these become image:// references)
+ */
+function getMirroredImageMap(context, existingQuestion) {
+  const map = new Map();
+  (existingQuestion?.mirroredImages || []).forEach(({ sourceUrl, s3Url }) => {
+    if (sourceUrl && s3Url) {
+      map.set(sourceUrl, normalizeImageUrl(context, s3Url));
+    }
+  });
+  return map;
+}
 
-  // Option images
-  if (question.options) {
-    question.options.forEach(opt => {
-      if (opt.image_url) {
-        imageUrls.push(opt.image_url);
-      }
-    });
-  }
+/**
+ * Mirror every image of a question to S3 (images already mirrored for the
+ * stored question are re-used). Failures are collected, not thrown.
+ * Returns { s3UrlMap, uploadedS3Keys, failedImages } where uploadedS3Keys are
+ * the S3 objects newly created, i.e. what a rollback has to delete
+ */
+async function mirrorQuestionImages(context, question, { mirroredImageMap = new Map(), onProgress = () => {} } = {}) {
+  const s3UrlMap = new Map(); // originalUrl -> s3Url
+  const uploadedS3Keys = [];
 
-  // Comprehension passage images
-  if (question.comprehension_passage?.images) {
-    imageUrls.push(...question.comprehension_passage.images);
+  const imageUrls = collectImageUrls(question);
+  if (imageUrls.length > 0) {
+    console.log(`mirrorQuestionImages: Found ${imageUrls.length} image(s) to upload`);
   }
+  
+  const failedImages = [];
+  
+  if (imageUrls.length > 0) {
+    console.log(`mirrorQuestionImages: Step 1: Uploading ${imageUrls.length} image(s) to S3...`);
+    
+    // Images are mirrored concurrently (UPLOAD_IMAGE_CONCURRENCY) and
+    // collected in question order
+    const outcomes = await mapWithConcurrency(imageUrls, context.config.uploads.imageConcurrency, async imageUrl => {
+      const url = describeImageSource(imageUrl);
+
+      if (mirroredImageMap.has(imageUrl)) {
+        const reused = mirroredImageMap.get(imageUrl);
+        onProgress({ type: 'image', id: question.id, url, status: 'reused', s3Url: resolveImageUrl(context, reused) });
+        return { reused };
+      }
 
-  // Sub-question images
-  if (question.sub_questions) {
-    question.sub_questions.forEach(subQ => {
-      if (subQ.content?.images) {
-        imageUrls.push(...subQ.content.images);
+      try {
+        console.log(`mirrorQuestionImages: Attempting to upload image: ${url}`);
+        const image = await mirrorImage(context, imageUrl);
+        onProgress({ type: 'image', id: question.id, url, status: 'mirrored', s3Url: resolveImageUrl(context, image.s3Url) });
+        return { image };
+      } catch (error) {
+        onProgress({ type: 'image', id: question.id, url, status: 'failed', error: error.message, reason: error.reason || 'upload_failed' });
+        return { error };
       }
-      if (subQ.options) {
-        subQ.options.forEach(opt => {
-          if (opt.image_url) {
-            imageUrls.push(opt.image_url);
-          }
-        });
+    });
+
+    imageUrls.forEach((imageUrl, index) => {
+      const { reused, image, error } = outcomes[index];
+      if (reused) {
+        s3UrlMap.set(imageUrl, reused);
+        console.log(`mirrorQuestionImages: ✓ Re-using mirrored image: ${reused}`);
+      } else if (image) {
+        s3UrlMap.set(imageUrl, image.s3Url);
+        if (image.created) {
+          uploadedS3Keys.push(image.key);
+        }
+        console.log(`mirrorQuestionImages: ✓ Image available in S3: ${image.key}`);
+      } else {
+        console.error(`mirrorQuestionImages: ✗ Failed to upload image ${describeImageSource(imageUrl)}:`, error.message);
+        failedImages.push({ url: describeImageSource(imageUrl), error: error.message, reason: error.reason || 'upload_failed' });
       }
     });
+    
+    // If any images failed, report it but continue (images are optional)
+    if (failedImages.length > 0) {
+      console.warn(`mirrorQuestionImages: ${failedImages.length} image(s) failed to upload:`, failedImages);
+    }
+  } else {
+    console.log('mirrorQuestionImages: No image URLs found for this question.');
   }
 
-  // Remove duplicates and filter out empty strings
-  return [...new Set(imageUrls.filter(url => url && url.trim()))];
+  return { s3UrlMap, uploadedS3Keys, failedImages };
+}
+
+/**
+ * Delete S3 objects created during a failed upload, unless a question
+ * uploaded concurrently has started using them
+ */
+async function rollbackUploadedImages(context, uploadedS3Keys) {
+  if (uploadedS3Keys.length === 0) {
+    return;
+  }
+
+  console.log(`Rolling back: Deleting ${uploadedS3Keys.length} image(s) from S3...`);
+  const { deletedKeys, failedKeys } = await removeOrphanedImages(context, uploadedS3Keys.map(buildImageRef));
+  console.log(`✓ Rollback: ${deletedKeys.length} S3 image(s) deleted`);
+  if (failedKeys.length > 0) {
+    console.error('Rollback failed for S3:', failedKeys);
+  }
 }
 
 /**
  * Upload question to S3 and MongoDB with rollback mechanism
+ * Options:
+ * - onConflict: what to do when a question with the same id exists
+ *   ('skip' | 'replace' | 'merge'); by default the upload is refused
+ * - actor: the authenticated principal, recorded as uploadedBy/updatedBy
+ * - onProgress(event): called as each image is mirrored ({ type: 'image' })
+ *   and when the question is written to MongoDB ({ type: 'saved' })
+ * Result status is one of 'created', 'updated', 'skipped' or 'failed'
  */
-export async function uploadQuestionToDB(question) {
-  console.log('uploadQuestionToDB: Starting upload process for question:', question.id);
-  const uploadedS3Keys = [];
-  const s3UrlMap = new Map(); // originalUrl -> s3Url
+export async function uploadQuestionToDB(context, question, options = {}) {
+  console.log('uploadQuestionToDB: Starting upload process for question:', question?.id);
+  const { repository } = context;
+  const { onConflict, actor = null, onProgress = () => {} } = options;
+  const uploadedS3Keys = []; // Keys of S3 objects newly created by this upload
   let mongoId = undefined;
+  let existing = null;
+
+  if (onConflict !== undefined && !CONFLICT_MODES.includes(onConflict)) {
+    return {
+      success: false,
+      status: 'failed',
+      id: question?.id,
+      message: `Invalid onConflict mode "${onConflict}". Allowed: ${CONFLICT_MODES.join(', ')}`,
+    };
+  }
+
+  // Reject malformed questions before touching S3 or MongoDB
+  const validation = validateQuestion(question);
+  if (!validation.valid) {
+    console.warn(`uploadQuestionToDB: Question ${question?.id} failed validation`);
+    return {
+      success: false,
+      status: 'failed',
+      id: question?.id,
+      message: `Question ${question?.id ?? '(no id)'} failed validation`,
+      errors: validation.errors,
+    };
+  }
 
   try {
     // Check if question already exists
-    const exists = await questionExists(question.id);
-    if (exists) {
+    existing = await repository.findQuestionByQuestionId(question.id);
+    if (existing && !onConflict) {
       console.warn(`uploadQuestionToDB: Question ${question.id} already exists in database`);
+      const location = existing.deletedAt ? 'in the trash' : 'in database';
       return {
         success: false,
-        message: `Question ${question.id} already exists in database. Please delete it first or use a different question.`,
+        status: 'failed',
+        id: question.id,
+        message: `Question ${question.id} already exists ${location}. Please delete it first, use a different question, or set onConflict.`,
       };
     }
 
-    // Step 1: Upload all images to S3
-    const imageUrls = collectImageUrls(question);
-    if (imageUrls.length > 0) {
-      console.log(`uploadQuestionToDB: Found ${imageUrls.length} image(s) to upload`);
-    }
-    
-    const failedImages = [];
-    
-    if (imageUrls.length > 0) {
-      console.log(`uploadQuestionToDB: Step 1: Uploading ${imageUrls.length} image(s) to S3...`);
-      
-      for (const imageUrl of imageUrls) {
-        try {
-          console.log(`uploadQuestionToDB: Attempting to upload image: ${imageUrl}`);
-          const s3Url = await uploadImageToS3(imageUrl);
-          s3UrlMap.set(imageUrl, s3Url);
-          uploadedS3Keys.push(extractS3Key(s3Url));
-          console.log(`uploadQuestionToDB: ✓ Image uploaded to S3: ${s3Url}`);
-        } catch (error) {
-          console.error(`uploadQuestionToDB: ✗ Failed to upload image ${imageUrl}:`, error.message);
-          failedImages.push({ url: imageUrl, error: error.message });
-        }
-      }
-      
-      // If any images failed, report it but continue (images are optional)
-      if (failedImages.length > 0) {
-        console.warn(`uploadQuestionToDB: ${failedImages.length} image(s) failed to upload:`, failedImages);
-      }
-    } else {
-      console.log('uploadQuestionToDB: No image URLs found for this question.');
+    if (existing && onConflict === 'skip') {
+      console.log(`uploadQuestionToDB: Question ${question.id} already exists, skipping`);
+      return {
+        success: true,
+        status: 'skipped',
+        id: question.id,
+        message: `Question ${question.id} already exists, skipped.`,
+        mongoId: existing._id.toString(),
+      };
     }
 
+    // Images already mirrored for the existing question are re-used as-is
+    const mirroredImageMap = getMirroredImageMap(context, existing);
+
+    // Step 1: Upload all images to S3
+    const mirrored = await mirrorQuestionImages(context, question, { mirroredImageMap, onProgress });
+    const { s3UrlMap, failedImages } = mirrored;
+    uploadedS3Keys.push(...mirrored.uploadedS3Keys);
+
     // Step 2: Replace image URLs with S3 URLs in question object
     const questionWithS3Urls = replaceImageUrls(question, s3UrlMap);
+    questionWithS3Urls.mirroredImages = toMirroredImages(s3UrlMap);
 
     // Step 3: Save to MongoDB with updated S3 URLs
-    console.log('uploadQuestionToDB: Step 2: Saving question to MongoDB...');
-    mongoId = await saveQuestionToMongoDB(questionWithS3Urls, s3UrlMap.get(question.imageUrl));
-    console.log('uploadQuestionToDB: ✓ Question saved to MongoDB with ID:', mongoId);
+    let status;
+    if (existing) {
+      console.log(`uploadQuestionToDB: Step 2: Updating existing question in MongoDB (${onConflict})...`);
+      mongoId = existing._id.toString();
+      if (onConflict === 'replace') {
+        await repository.replaceQuestion(mongoId, questionWithS3Urls, s3UrlMap.get(question.imageUrl), { updatedBy: actor });
+      } else {
+        // Merge keeps mirrored images from the existing document too
+        questionWithS3Urls.mirroredImages = toMirroredImages(new Map([...mirroredImageMap, ...s3UrlMap]));
+        await repository.updateQuestion(mongoId, questionWithS3Urls, { updatedBy: actor });
+        // Re-importing a trashed question brings it back
+        if (existing.deletedAt) {
+          await repository.restoreQuestion(mongoId);
+        }
+      }
+      status = 'updated';
+      console.log('uploadQuestionToDB: ✓ Question updated in MongoDB with ID:', mongoId);
+      onProgress({ type: 'saved', id: question.id, status, mongoId });
+
+      // Images the previous version used but the new one doesn't are removed
+      await removeReplacedImages(context, existing, await repository.getQuestionByDocumentId(mongoId, { includeDeleted: true }));
+    } else {
+      console.log('uploadQuestionToDB: Step 2: Saving question to MongoDB...');
+      mongoId = await repository.saveQuestion({ ...questionWithS3Urls, uploadedBy: actor }, s3UrlMap.get(question.imageUrl));
+      status = 'created';
+      console.log('uploadQuestionToDB: ✓ Question saved to MongoDB with ID:', mongoId);
+      onProgress({ type: 'saved', id: question.id, status, mongoId });
+    }
+
+    // Step 4: Record which question references each mirrored image
+    try {
+      await repository.addImageReferences(Array.from(s3UrlMap.values(), url => getS3KeyForUrl(context, url)), question.id);
+    } catch (error) {
+      console.warn('uploadQuestionToDB: Failed to record image references:', error.message);
+    }
 
     // Build success message with warnings if images failed
-    let message = 'Successfully uploaded to database!';
+    let message = status === 'created' ? 'Successfully uploaded to database!' : 'Successfully updated in database!';
     if (failedImages.length > 0) {
       message += ` Warning: ${failedImages.length} image(s) failed to upload to S3. The question was saved with original image URLs.`;
     }
     
     return {
       success: true,
+      status,
+      id: question.id,
       message,
-      s3Urls: Array.from(s3UrlMap.values()),
+      s3Urls: Array.from(s3UrlMap.values(), url => resolveImageUrl(context, url)),
       mongoId,
       failedImages: failedImages.length > 0 ? failedImages : undefined,
     };
@@ -128,32 +258,25 @@ export async function uploadQuestionToDB(question) {
   } catch (error) {
     console.error('Upload failed, initiating rollback...', error);
 
-    // Rollback: Delete from MongoDB if it was saved
-    if (mongoId) {
+    // Rollback: Delete from MongoDB if it was newly inserted
+    if (mongoId && !existing) {
       try {
         console.log('Rolling back: Deleting from MongoDB...');
-        await deleteQuestionFromMongoDB(mongoId);
+        await repository.deleteQuestion(mongoId);
         console.log('✓ Rollback: MongoDB entry deleted');
       } catch (rollbackError) {
         console.error('Rollback failed for MongoDB:', rollbackError);
       }
     }
-
-    // Rollback: Delete all uploaded images from S3
-    for (const s3Key of uploadedS3Keys) {
-      try {
-        console.log(`Rolling back: Deleting from S3: ${s3Key}...`);
-        await deleteImageFromS3(s3Key);
-        console.log('✓ Rollback: S3 image deleted');
-      } catch (rollbackError) {
-        console.error('Rollback failed for S3:', rollbackError);
-      }
-    }
+    // Rollback: Delete uploaded images from S3
+    await rollbackUploadedImages(context, uploadedS3Keys);
 
     const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
     
     return {
       success: false,
+      status: 'failed',
+      id: question.id,
       message: `Upload failed: ${errorMessage}. All changes have been rolled back.`,
     };
   }
@@ -163,82 +286,263 @@ export async function uploadQuestionToDB(question) {
  * Replace all image URLs in question with S3 URLs
  */
 function replaceImageUrls(question, s3UrlMap) {
-  const updated = { ...question };
+  return mapImageUrls(question, url => s3UrlMap.get(url) || url);
+}
 
-  // Legacy imageUrl
-  if (updated.imageUrl && s3UrlMap.has(updated.imageUrl)) {
-    updated.imageUrl = s3UrlMap.get(updated.imageUrl);
-  }
+/**
+ * Count batch results by outcome
+ */
+function summarizeResults(results) {
+  const summary = { successful: 0, failed: 0, created: 0, updated: 0, skipped: 0, cancelled: 0 };
+  results.forEach(result => {
+    if (result.status === 'cancelled') {
+      summary.cancelled++;
+    } else if (result.success) {
+      summary.successful++;
+      summary[result.status]++;
+    } else {
+      summary.failed++;
+    }
+  });
+  return summary;
+}
 
-  // Content images
-  if (updated.content?.images) {
-    updated.content.images = updated.content.images.map(url => 
-      s3UrlMap.get(url) || url
-    );
-  }
+/**
+ * Upload a batch all-or-nothing (atomic: true)
+ * Every question is validated and checked for id conflicts before anything
+ * is stored, images are mirrored, then all questions are inserted in one
+ * MongoDB transaction. Any failure, including an image that cannot be
+ * mirrored, rolls the whole batch back: nothing is inserted and the S3
+ * objects created by the batch are deleted. onConflict may be 'skip';
+ * 'replace' and 'merge' are not supported.
+ */
+async function uploadQuestionsAtomically(context, questions, options = {}) {
+  const { repository } = context;
+  const { onConflict, actor = null, isCancelled, onResult, onProgress } = options;
+  const emit = (index, event) => onProgress?.({ index, ...event });
+  const results = new Array(questions.length).fill(null);
+  const uploadedS3Keys = [];
 
-  // Option images
-  if (updated.options) {
-    updated.options = updated.options.map(opt => {
-      if (opt.image_url && s3UrlMap.has(opt.image_url)) {
-        return { ...opt, image_url: s3UrlMap.get(opt.image_url) };
+  const finish = async () => {
+    for (const [index, result] of results.entries()) {
+      emit(index, { type: 'question-done', id: result.id, result });
+      if (onResult) {
+        await onResult(result, index);
       }
-      return opt;
+    }
+    return { atomic: true, ...summarizeResults(results), results };
+  };
+
+  // Every question without a result of its own is reported as not uploaded
+  const failBatch = async reason => {
+    await rollbackUploadedImages(context, uploadedS3Keys);
+    questions.forEach((question, index) => {
+      if (!results[index] || results[index].success) {
+        results[index] = {
+          success: false,
+          status: 'failed',
+          id: question?.id,
+          message: `Not uploaded: ${reason}. The whole batch was rolled back.`,
+        };
+      }
+    });
+    return await finish();
+  };
+
+  const cancelBatch = async () => {
+    await rollbackUploadedImages(context, uploadedS3Keys);
+    questions.forEach((question, index) => {
+      results[index] = { success: false, status: 'cancelled', id: question?.id, message: 'Batch was cancelled; nothing was uploaded' };
     });
+    return await finish();
+  };
+
+  if (onConflict === 'replace' || onConflict === 'merge') {
+    return await failBatch(`onConflict "${onConflict}" cannot be combined with atomic uploads`);
   }
 
-  // Comprehension passage images
-  if (updated.comprehension_passage?.images) {
-    updated.comprehension_passage.images = updated.comprehension_passage.images.map(url =>
-      s3UrlMap.get(url) || url
-    );
+  // Step 1: Validate everything before touching S3 or MongoDB
+  const seenIds = new Set();
+  questions.forEach((question, index) => {
+    const validation = validateQuestion(question);
+    if (!validation.valid) {
+      results[index] = {
+        success: false,
+        status: 'failed',
+        id: question?.id,
+        message: `Question ${question?.id ?? '(no id)'} failed validation`,
+        errors: validation.errors,
+      };
+    } else if (seenIds.has(question.id)) {
+      results[index] = { success: false, status: 'failed', id: question.id, message: `Question ${question.id} appears more than once in the batch` };
+    } else {
+      seenIds.add(question.id);
+    }
+  });
+  if (results.some(Boolean)) {
+    return await failBatch('other questions in the batch are invalid');
   }
 
-  // Sub-question images
-  if (updated.sub_questions) {
-    updated.sub_questions = updated.sub_questions.map(subQ => {
-      const updatedSubQ = { ...subQ };
-      
-      if (updatedSubQ.content?.images) {
-        updatedSubQ.content.images = updatedSubQ.content.images.map(url =>
-          s3UrlMap.get(url) || url
-        );
+  try {
+    // Step 2: Check for questions that already exist
+    const existingById = new Map();
+    (await repository.findQuestionsByQuestionIds([...seenIds])).forEach(existing => existingById.set(existing.id, existing));
+
+    questions.forEach((question, index) => {
+      const existing = existingById.get(question.id);
+      if (!existing) {
+        return;
       }
-      
-      if (updatedSubQ.options) {
-        updatedSubQ.options = updatedSubQ.options.map(opt => {
-          if (opt.image_url && s3UrlMap.has(opt.image_url)) {
-            return { ...opt, image_url: s3UrlMap.get(opt.image_url) };
-          }
-          return opt;
-        });
+      if (onConflict === 'skip') {
+        results[index] = {
+          success: true,
+          status: 'skipped',
+          id: question.id,
+          message: `Question ${question.id} already exists, skipped.`,
+          mongoId: existing._id.toString(),
+        };
+      } else {
+        const location = existing.deletedAt ? 'in the trash' : 'in database';
+        results[index] = { success: false, status: 'failed', id: question.id, message: `Question ${question.id} already exists ${location}` };
       }
-      
-      return updatedSubQ;
     });
-  }
+    if (results.some(result => result && !result.success)) {
+      return await failBatch('other questions in the batch already exist');
+    }
+
+    const pending = questions.map((question, index) => index).filter(index => !results[index]);
+    if (isCancelled?.()) {
+      return await cancelBatch();
+    }
 
-  return updated;
+    // Step 3: Mirror the images of every question
+    const mirrored = await mapWithConcurrency(pending, context.config.uploads.questionConcurrency, async index => {
+      const question = questions[index];
+      emit(index, { type: 'question-start', id: question.id });
+      const images = await mirrorQuestionImages(context, question, { onProgress: event => emit(index, event) });
+      uploadedS3Keys.push(...images.uploadedS3Keys);
+      return images;
+    });
+
+    mirrored.forEach(({ failedImages }, position) => {
+      if (failedImages.length > 0) {
+        const question = questions[pending[position]];
+        results[pending[position]] = {
+          success: false,
+          status: 'failed',
+          id: question.id,
+          message: `${failedImages.length} image(s) of question ${question.id} could not be uploaded`,
+          failedImages,
+        };
+      }
+    });
+    if (results.some(result => result && !result.success)) {
+      return await failBatch('images of other questions in the batch could not be uploaded');
+    }
+    if (isCancelled?.()) {
+      return await cancelBatch();
+    }
+
+    // Step 4: Insert every question in one transaction
+    const entries = pending.map((index, position) => {
+      const { s3UrlMap } = mirrored[position];
+      const question = replaceImageUrls(questions[index], s3UrlMap);
+      question.mirroredImages = toMirroredImages(s3UrlMap);
+      return { question: { ...question, uploadedBy: actor }, s3ImageUrl: s3UrlMap.get(questions[index].imageUrl) };
+    });
+    const mongoIds = await repository.saveQuestionsInTransaction(entries);
+
+    pending.forEach((index, position) => {
+      const { s3UrlMap } = mirrored[position];
+      const question = questions[index];
+      results[index] = {
+        success: true,
+        status: 'created',
+        id: question.id,
+        message: 'Successfully uploaded to database!',
+        s3Urls: Array.from(s3UrlMap.values(), url => resolveImageUrl(context, url)),
+        mongoId: mongoIds[position],
+      };
+      emit(index, { type: 'saved', id: question.id, status: 'created', mongoId: mongoIds[position] });
+    });
+
+    // Step 5: Record which question references each mirrored image
+    for (const [position, index] of pending.entries()) {
+      try {
+        await repository.addImageReferences(Array.from(mirrored[position].s3UrlMap.values(), url => getS3KeyForUrl(context, url)), questions[index].id);
+      } catch (error) {
+        console.warn('uploadQuestionsAtomically: Failed to record image references:', error.message);
+      }
+    }
+
+    return await finish();
+  } catch (error) {
+    console.error('Atomic batch upload failed, initiating rollback...', error);
+    return await failBatch(error.message || 'Unknown error occurred');
+  }
 }
 
 /**
  * Batch upload multiple questions
+ * Up to UPLOAD_QUESTION_CONCURRENCY questions are uploaded at once; questions
+ * sharing an id are still uploaded one after another, in batch order.
+ * Options are passed through to uploadQuestionToDB (e.g. onConflict), plus:
+ * - atomic: all-or-nothing upload, see uploadQuestionsAtomically
+ * - concurrency: override the number of questions uploaded at once
+ * - onResult(result, index): awaited after each question finishes
+ * - isCancelled(): checked before each question starts; once it returns
+ *   true the remaining questions get status 'cancelled'
+ * - onProgress(event): receives 'question-start', the per-question 'image'
+ *   and 'saved' events and 'question-done', each tagged with the batch index
  */
-export async function uploadMultipleQuestions(questions) {
-  const results = [];
-  let successful = 0;
-  let failed = 0;
-
-  for (const question of questions) {
-    const result = await uploadQuestionToDB(question);
-    results.push(result);
-    
-    if (result.success) {
-      successful++;
-    } else {
-      failed++;
-    }
+export async function uploadMultipleQuestions(context, questions, options = {}) {
+  const {
+    atomic = false,
+    concurrency = context.config.uploads.questionConcurrency,
+    onResult,
+    isCancelled,
+    onProgress,
+    ...uploadOptions
+  } = options;
+
+  if (atomic) {
+    return await uploadQuestionsAtomically(context, questions, { ...uploadOptions, onResult, isCancelled, onProgress });
   }
 
-  return { successful, failed, results };
+  // Index of the previous question with the same id, which must finish first
+  const lastIndexById = new Map();
+  const previousIndex = questions.map((question, index) => {
+    const previous = lastIndexById.get(question?.id);
+    if (question?.id !== undefined) {
+      lastIndexById.set(question.id, index);
+    }
+    return previous;
+  });
+  const uploads = [];
+
+  const results = await mapWithConcurrency(questions, concurrency, (question, index) => {
+    uploads[index] = (async () => {
+      if (previousIndex[index] !== undefined) {
+        await uploads[previousIndex[index]].catch(() => {});
+      }
+
+      const emit = event => onProgress?.({ index, ...event });
+      let result;
+      if (isCancelled?.()) {
+        result = { success: false, status: 'cancelled', id: question?.id, message: 'Batch was cancelled before this question was uploaded' };
+      } else {
+        emit({ type: 'question-start', id: question?.id });
+        result = await uploadQuestionToDB(context, question, { ...uploadOptions, onProgress: emit });
+      }
+      emit({ type: 'question-done', id: question?.id, result });
+
+      if (onResult) {
+        await onResult(result, index);
+      }
+      return result;
+    })();
+    return uploads[index];
+  });
+
+  return { ...summarizeResults(results), results };
 }
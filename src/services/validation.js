@@ -0,0 +1,531 @@
+/**
+ * Question schema validation
+ *
+ * Each question type is described by a declarative schema. validateQuestion
+ * walks the schema and returns a flat list of { path, message } errors so the
+ * frontend can point at the exact field that is wrong.
+ *
+ * Schema nodes support:
+ * - type:       'string' | 'number' | 'integer' | 'boolean' | 'array' | 'object'
+ *               (or an array of those for unions)
+ * - required:   field must be present (checked by the parent object)
+ * - nonEmpty:   strings must contain non-whitespace
+ * - enum:       allowed values
+ * - properties: nested schemas for object fields
+ * - items:      schema applied to each array element
+ * - minItems:   minimum array length
+ * - check:      (value, path, root) => errors, for cross-field rules
+ */
+
+export const QUESTION_TYPES = ['single', 'multiple', 'integer', 'matrix', 'comprehension'];
+
+// Default bounds for integer-type answers when the question has no answer_range
+const DEFAULT_INTEGER_RANGE = { min: -999999, max: 999999 };
+
+const imageListSchema = {
+  type: 'array',
+  items: { type: 'string' },
+};
+
+const contentSchema = {
+  type: 'object',
+  properties: {
+    text: { type: 'string' },
+    images: imageListSchema,
+  },
+  check: (content, path) => {
+    const hasText = typeof content.text === 'string' && content.text.trim();
+    const hasImages = Array.isArray(content.images) && content.images.length > 0;
+    return hasText || hasImages ? [] : [{ path, message: 'Content must have text or at least one image' }];
+  },
+};
+
+// Options may be plain strings (legacy) or { text, image_url } objects
+const optionSchema = {
+  type: ['string', 'object'],
+  properties: {
+    label: { type: 'string' },
+    text: { type: 'string' },
+    image_url: { type: 'string' },
+  },
+  check: (option, path) => {
+    if (typeof option === 'string') {
+      return option.trim() ? [] : [{ path, message: 'Option must not be empty' }];
+    }
+    const hasText = typeof option.text === 'string' && option.text.trim();
+    const hasImage = typeof option.image_url === 'string' && option.image_url.trim();
+    return hasText || hasImage ? [] : [{ path, message: 'Option must have text or image_url' }];
+  },
+};
+
+const optionListSchema = {
+  type: 'array',
+  minItems: 2,
+  items: optionSchema,
+};
+
+const matrixItemSchema = {
+  type: 'object',
+  properties: {
+    label: { type: 'string', required: true, nonEmpty: true },
+    text: { type: 'string' },
+    images: imageListSchema,
+  },
+};
+
+/**
+ * Resolve an answer key to the index of the option it refers to.
+ * Accepts the option text, its label, or a letter (A, B, ...) by position.
+ */
+export function findOptionIndex(options, answer) {
+  if (typeof answer !== 'string' && typeof answer !== 'number') {
+    return -1;
+  }
+  const key = String(answer).trim();
+
+  const byText = options.findIndex(opt =>
+    (typeof opt === 'string' ? opt : opt.text)?.trim() === key
+  );
+  if (byText !== -1) {
+    return byText;
+  }
+
+  const byLabel = options.findIndex(opt =>
+    typeof opt === 'object' && opt.label?.trim().toLowerCase() === key.toLowerCase()
+  );
+  if (byLabel !== -1) {
+    return byLabel;
+  }
+
+  if (/^[A-Za-z]$/.test(key)) {
+    const index = key.toUpperCase().charCodeAt(0) - 65;
+    return index < options.length ? index : -1;
+  }
+
+  return -1;
+}
+
+/**
+ * Build the answer-key rule for choice questions
+ */
+function choiceAnswersCheck({ exactlyOne }) {
+  return (question, path) => {
+    const errors = [];
+    const { answers, options } = question;
+
+    if (answers === undefined || !Array.isArray(options)) {
+      return errors;
+    }
+
+    const answersPath = joinPath(path, 'answers');
+    if (exactlyOne && answers.length !== 1) {
+      errors.push({ path: answersPath, message: 'Single choice questions must have exactly one answer' });
+    }
+    if (!exactlyOne && answers.length === 0) {
+      errors.push({ path: answersPath, message: 'Multiple choice questions must have at least one answer' });
+    }
+
+    const seen = new Set();
+    answers.forEach((answer, i) => {
+      const index = findOptionIndex(options, answer);
+      if (index === -1) {
+        errors.push({ path: `${answersPath}[${i}]`, message: `Answer "${answer}" does not match any option` });
+      } else if (seen.has(index)) {
+        errors.push({ path: `${answersPath}[${i}]`, message: `Answer "${answer}" is listed more than once` });
+      } else {
+        seen.add(index);
+      }
+    });
+
+    return errors;
+  };
+}
+
+/**
+ * Integer answers must be whole numbers within the question's answer_range
+ */
+function integerAnswersCheck(question, path) {
+  const errors = [];
+  const range = { ...DEFAULT_INTEGER_RANGE, ...question.answer_range };
+
+  if (range.min > range.max) {
+    errors.push({ path: joinPath(path, 'answer_range'), message: 'answer_range.min must not exceed answer_range.max' });
+    return errors;
+  }
+
+  (question.answers || []).forEach((answer, i) => {
+    const answerPath = `${joinPath(path, 'answers')}[${i}]`;
+    const value = typeof answer === 'string' && answer.trim() ? Number(answer) : answer;
+    if (!Number.isInteger(value)) {
+      errors.push({ path: answerPath, message: `Answer "${answer}" is not an integer` });
+    } else if (value < range.min || value > range.max) {
+      errors.push({ path: answerPath, message: `Answer ${value} is outside the range ${range.min} to ${range.max}` });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Matrix rows/columns need unique labels and the answer map must only
+ * reference labels that exist
+ */
+function matrixCheck(matrix, path) {
+  const errors = [];
+  if (!Array.isArray(matrix.rows) || !Array.isArray(matrix.columns)) {
+    return errors;
+  }
+
+  const labelSet = (items, itemsPath) => {
+    const labels = new Set();
+    items.forEach((item, i) => {
+      if (typeof item?.label !== 'string') {
+        return;
+      }
+      if (labels.has(item.label)) {
+        errors.push({ path: `${itemsPath}[${i}].label`, message: `Duplicate label "${item.label}"` });
+      }
+      labels.add(item.label);
+    });
+    return labels;
+  };
+
+  const rowLabels = labelSet(matrix.rows, joinPath(path, 'rows'));
+  const columnLabels = labelSet(matrix.columns, joinPath(path, 'columns'));
+
+  if (matrix.answers === undefined) {
+    return errors;
+  }
+
+  const answersPath = joinPath(path, 'answers');
+  if (!isPlainObject(matrix.answers)) {
+    errors.push({ path: answersPath, message: 'Expected an object mapping row labels to column labels' });
+    return errors;
+  }
+
+  for (const [rowLabel, matches] of Object.entries(matrix.answers)) {
+    const rowPath = `${answersPath}.${rowLabel}`;
+    if (!rowLabels.has(rowLabel)) {
+      errors.push({ path: rowPath, message: `Row "${rowLabel}" does not exist` });
+    }
+    if (!Array.isArray(matches)) {
+      errors.push({ path: rowPath, message: 'Expected an array of column labels' });
+      continue;
+    }
+    matches.forEach((columnLabel, i) => {
+      if (!columnLabels.has(columnLabel)) {
+        errors.push({ path: `${rowPath}[${i}]`, message: `Column "${columnLabel}" does not exist` });
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Fields shared by every top-level question
+const baseProperties = {
+  id: { type: ['string', 'number'], required: true, nonEmpty: true },
+  type: { type: 'string', enum: QUESTION_TYPES },
+  questionNumber: { type: ['number', 'string'] },
+  subject: { type: 'string' },
+  chapter: { type: 'string' },
+  section: { type: 'string' },
+  imageUrl: { type: 'string' },
+};
+
+/**
+ * Schema for a choice question; sub-questions reuse it without the base fields
+ */
+function choiceSchema({ exactlyOne, properties = baseProperties }) {
+  return {
+    type: 'object',
+    properties: {
+      ...properties,
+      content: contentSchema,
+      description: { type: 'string' },
+      options: { ...optionListSchema, required: true },
+      answers: { type: 'array', items: { type: ['string', 'number'] } },
+    },
+    check: (question, path) => {
+      const errors = [];
+      if (!question.content && !question.description) {
+        errors.push({ path: joinPath(path, 'content'), message: 'Questions require content or description' });
+      }
+      return errors.concat(choiceAnswersCheck({ exactlyOne })(question, path));
+    },
+  };
+}
+
+/**
+ * Schema for an integer question; sub-questions reuse it without the base fields
+ */
+function integerSchema({ properties = baseProperties } = {}) {
+  return {
+    type: 'object',
+    properties: {
+      ...properties,
+      content: { ...contentSchema, required: true },
+      answers: { type: 'array', items: { type: ['string', 'number'] } },
+      answer_range: {
+        type: 'object',
+        properties: {
+          min: { type: 'integer' },
+          max: { type: 'integer' },
+        },
+      },
+    },
+    check: integerAnswersCheck,
+  };
+}
+
+const subQuestionProperties = {
+  id: { type: ['string', 'number'] },
+  type: { type: 'string', enum: ['single', 'multiple', 'integer'] },
+};
+
+const subQuestionSchemas = {
+  single: choiceSchema({ exactlyOne: true, properties: subQuestionProperties }),
+  multiple: choiceSchema({ exactlyOne: false, properties: subQuestionProperties }),
+  integer: integerSchema({ properties: subQuestionProperties }),
+};
+
+export const questionSchemas = {
+  single: choiceSchema({ exactlyOne: true }),
+
+  multiple: choiceSchema({ exactlyOne: false }),
+
+  integer: integerSchema(),
+
+  matrix: {
+    type: 'object',
+    properties: {
+      ...baseProperties,
+      content: contentSchema,
+      description: { type: 'string' },
+      options: optionListSchema,
+      answers: { type: 'array', items: { type: ['string', 'number'] } },
+      matrix_match: {
+        type: 'object',
+        required: true,
+        properties: {
+          rows: { type: 'array', required: true, minItems: 1, items: matrixItemSchema },
+          columns: { type: 'array', required: true, minItems: 1, items: matrixItemSchema },
+          answers: { type: 'object' },
+        },
+        check: matrixCheck,
+      },
+    },
+    check: (question, path) => (
+      Array.isArray(question.options) ? choiceAnswersCheck({ exactlyOne: true })(question, path) : []
+    ),
+  },
+
+  comprehension: {
+    type: 'object',
+    properties: {
+      ...baseProperties,
+      comprehension_passage: { ...contentSchema, required: true },
+      sub_questions: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        items: {
+          type: 'object',
+          check: (subQuestion, path, root) => {
+            const subType = subQuestion.type || 'single';
+            const schema = subQuestionSchemas[subType];
+            if (!schema) {
+              return [{ path: joinPath(path, 'type'), message: `Unsupported sub-question type "${subType}"` }];
+            }
+            return validateNode(subQuestion, schema, path, root);
+          },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Marks must be positive and negative marks non-negative; a question
+ * without its own marks takes its section's
+ */
+function paperMarksCheck(paper) {
+  const errors = [];
+  const seen = new Map();
+
+  paper.sections.forEach((section, s) => {
+    section.questions.forEach((entry, q) => {
+      const path = `sections[${s}].questions[${q}]`;
+      const marks = entry.marks ?? section.marks;
+      const negativeMarks = entry.negativeMarks ?? section.negativeMarks ?? 0;
+
+      if (marks === undefined || marks === null) {
+        errors.push({ path: joinPath(path, 'marks'), message: 'Required (on the question or its section)' });
+      } else if (marks <= 0) {
+        errors.push({ path: joinPath(path, 'marks'), message: 'Must be greater than 0' });
+      }
+      if (negativeMarks < 0) {
+        errors.push({ path: joinPath(path, 'negativeMarks'), message: 'Must not be negative (it is subtracted)' });
+      }
+
+      if (seen.has(entry.questionId)) {
+        errors.push({ path: joinPath(path, 'questionId'), message: `Question ${entry.questionId} is already used at ${seen.get(entry.questionId)}` });
+      } else {
+        seen.set(entry.questionId, path);
+      }
+    });
+  });
+
+  if (paper.durationMinutes <= 0) {
+    errors.push({ path: 'durationMinutes', message: 'Must be greater than 0' });
+  }
+
+  return errors;
+}
+
+// A paper: sections of ordered question references with marks
+export const paperSchema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', required: true, nonEmpty: true },
+    instructions: { type: 'string' },
+    durationMinutes: { type: 'integer', required: true },
+    sections: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', required: true, nonEmpty: true },
+          instructions: { type: 'string' },
+          // Defaults for questions of the section that do not set their own
+          marks: { type: 'number' },
+          negativeMarks: { type: 'number' },
+          questions: {
+            type: 'array',
+            required: true,
+            minItems: 1,
+            items: {
+              type: 'object',
+              properties: {
+                // Same id types as questionSchema; matched exactly (7 is not '7')
+                questionId: { type: ['string', 'number'], required: true, nonEmpty: true },
+                marks: { type: 'number' },
+                negativeMarks: { type: 'number' },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+  check: paperMarksCheck,
+};
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, expected) {
+  const actual = typeOf(value);
+  return expected === actual || (expected === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema node, returning a list of errors
+ */
+function validateNode(value, schema, path, root) {
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    return [{ path: path || '(root)', message: `Expected ${types.join(' or ')}, got ${typeOf(value)}` }];
+  }
+
+  const errors = [];
+
+  if (schema.nonEmpty && typeof value === 'string' && !value.trim()) {
+    errors.push({ path, message: 'Must not be empty' });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `Must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path, message: `Must contain at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validateNode(item, schema.items, `${path}[${i}]`, root));
+      });
+    }
+  }
+
+  if (isPlainObject(value) && schema.properties) {
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      const propertyPath = joinPath(path, key);
+      if (value[key] === undefined || value[key] === null) {
+        if (propertySchema.required) {
+          errors.push({ path: propertyPath, message: 'Required' });
+        }
+        continue;
+      }
+      errors.push(...validateNode(value[key], propertySchema, propertyPath, root));
+    }
+  }
+
+  // Cross-field rules only run once the shape is sound
+  if (schema.check && errors.length === 0) {
+    errors.push(...schema.check(value, path, root));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a question against the schema for its type
+ * Returns { valid, errors: [{ path, message }] }
+ */
+export function validateQuestion(question) {
+  if (!isPlainObject(question)) {
+    return { valid: false, errors: [{ path: '(root)', message: 'Question must be an object' }] };
+  }
+
+  const questionType = question.type || 'single';
+  const schema = questionSchemas[questionType];
+
+  if (!schema) {
+    return {
+      valid: false,
+      errors: [{ path: 'type', message: `Unsupported question type "${questionType}". Allowed: ${QUESTION_TYPES.join(', ')}` }],
+    };
+  }
+
+  const errors = validateNode(question, schema, '', question);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a paper (shape and marks; question references are checked by
+ * the paper service)
+ * Returns { valid, errors: [{ path, message }] }
+ */
+export function validatePaper(paper) {
+  if (!isPlainObject(paper)) {
+    return { valid: false, errors: [{ path: '(root)', message: 'Paper must be an object' }] };
+  }
+  const errors = validateNode(paper, paperSchema, '', paper);
+  return { valid: errors.length === 0, errors };
+}
@@ -0,0 +1,82 @@
+import { waitForJobs } from './services/jobService.js';
+
+/**
+ * Set up graceful shutdown for an HTTP server serving the app
+ * context is the app's context (app.locals.context, see createApp); only
+ * that app's uploads and jobs are stopped.
+ * Call it as soon as the server is created, so every request is tracked.
+ * Returns shutdown(), which:
+ * 1. stops accepting connections and tells the app's batch uploads and
+ *    background jobs to stop starting new questions (atomic batches roll
+ *    back, jobs resume on the next start)
+ * 2. waits up to timeoutMs for requests in progress and the app's job runs
+ *    to end, closing keep-alive connections as they go idle
+ * 3. closes the connections still open and then, unless closeRepository is
+ *    false (e.g. other apps still use it), the repository
+ * and resolves to { timedOut }. Later calls return the same promise.
+ */
+export function createGracefulShutdown({ server, context, timeoutMs, closeRepository = true }) {
+  const activeResponses = new Set();
+  let shutdownPromise = null;
+
+  // Runs before the app, so responses can still be marked Connection: close
+  server.prependListener('request', (req, res) => {
+    activeResponses.add(res);
+    if (shutdownPromise) {
+      res.setHeader('Connection', 'close');
+    }
+    res.on('close', () => {
+      activeResponses.delete(res);
+      if (shutdownPromise) {
+        server.closeIdleConnections();
+      }
+    });
+  });
+
+  async function drain() {
+    context.lifecycle.beginShutdown();
+    console.log(`Shutting down: waiting up to ${timeoutMs}ms for ${activeResponses.size} request(s) and background jobs`);
+
+    activeResponses.forEach(res => {
+      if (!res.headersSent) {
+        res.setHeader('Connection', 'close');
+      }
+    });
+    const closed = new Promise(resolve => server.close(() => resolve()));
+    server.closeIdleConnections();
+
+    let timer;
+    const deadline = new Promise(resolve => {
+      timer = setTimeout(() => resolve(true), timeoutMs);
+    });
+    const timedOut = await Promise.race([
+      Promise.all([closed, waitForJobs(context)]).then(() => false),
+      deadline,
+    ]);
+    clearTimeout(timer);
+
+    if (timedOut) {
+      console.warn(`Shutdown deadline reached with ${activeResponses.size} request(s) still running; closing their connections`);
+      server.closeAllConnections();
+    } else {
+      console.log('✓ Requests and background jobs finished');
+    }
+
+    if (closeRepository) {
+      try {
+        await context.repository.close();
+      } catch (error) {
+        console.error('Failed to close the database connection:', error);
+      }
+    }
+
+    return { timedOut };
+  }
+
+  return function shutdown() {
+    if (!shutdownPromise) {
+      shutdownPromise = drain();
+    }
+    return shutdownPromise;
+  };
+}
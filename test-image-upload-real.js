@@ -1,16 +1,19 @@
 import { uploadQuestionToDB } from './src/services/uploadService.js';
-import { deleteQuestionFromMongoDB } from './src/services/mongodb.js';
-import { initializeConfig } from './src/config/env.js';
+import { createRepository } from './src/services/repository/index.js';
+import { createStorage } from './src/services/storage/index.js';
+import { config, initializeConfig } from './src/config/env.js';
 
 // Initialize configuration
 await initializeConfig();
+const repository = createRepository(config);
+const context = { config, repository, storage: createStorage(config) };
 
 // Use a unique ID each time
 const testId = `test-question-real-${Date.now()}`;
 
 // Delete test question if it exists
 try {
-  await deleteQuestionFromMongoDB(testId);
+  await repository.deleteQuestion(testId);
   console.log('Deleted existing test question');
 } catch (error) {
   console.log('No existing test question to delete');
@@ -44,7 +47,7 @@ console.log('Test question:', JSON.stringify(testQuestion, null, 2));
 console.log('\n=== Starting Upload ===\n');
 
 try {
-  const result = await uploadQuestionToDB(testQuestion);
+  const result = await uploadQuestionToDB(context, testQuestion);
   console.log('\n=== Upload Result ===\n');
   console.log(JSON.stringify(result, null, 2));
   
@@ -1,8 +1,12 @@
 import { uploadQuestionToDB } from './src/services/uploadService.js';
-import { initializeConfig } from './src/config/env.js';
+import { createRepository } from './src/services/repository/index.js';
+import { createStorage } from './src/services/storage/index.js';
+import { config, initializeConfig } from './src/config/env.js';
 
 // Initialize configuration
 await initializeConfig();
+const repository = createRepository(config);
+const context = { config, repository, storage: createStorage(config) };
 
 // Test question with images
 const testQuestion = {
@@ -33,7 +37,7 @@ console.log('Test question:', JSON.stringify(testQuestion, null, 2));
 console.log('\n=== Starting Upload ===\n');
 
 try {
-  const result = await uploadQuestionToDB(testQuestion);
+  const result = await uploadQuestionToDB(context, testQuestion);
   console.log('\n=== Upload Result ===\n');
   console.log(JSON.stringify(result, null, 2));
 } catch (error) {
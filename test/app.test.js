@@ -0,0 +1,175 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { createApp, initializeConfig, createRepository, createStorage, createGracefulShutdown } from '../src/app.js';
+import { config } from '../src/config/env.js';
+import { ADMIN_API_KEY } from './helpers/testServer.js';
+import { PNG_DATA_URI, uniqueId, singleQuestion } from './helpers/fixtures.js';
+
+let storageRoot;
+let repository;
+let storage;
+const storedKeys = [];
+
+/**
+ * Local storage driver that records the keys written to it, so tests can
+ * tell which app's driver was used
+ */
+function createRecordingStorage(storageConfig, keys) {
+  const local = createStorage(storageConfig);
+  return {
+    ...local,
+    async put(key, ...args) {
+      keys.push(key);
+      return await local.put(key, ...args);
+    },
+  };
+}
+
+/**
+ * Listen on a random port; returns the server, its base URL and a close
+ * function
+ */
+async function listen(app) {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  return {
+    server,
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+/**
+ * Upload a single question with an inline image through an app
+ */
+async function uploadWithImage(baseUrl, id) {
+  return await fetch(`${baseUrl}/api/questions/upload`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': ADMIN_API_KEY },
+    body: JSON.stringify({ question: singleQuestion(id, { content: { text: 'Embedded', images: [PNG_DATA_URI] } }) }),
+  });
+}
+
+before(async () => {
+  // The app runs in this process, whose stdout carries the results to the
+  // test runner: keep its logs on stderr so they cannot corrupt them
+  mock.method(console, 'log', console.error);
+  storageRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'qa-api-test-'));
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    HOST_ENV: 'local',
+    USE_SECRETS_MANAGER: 'false',
+    DATABASE_DRIVER: 'memory',
+    STORAGE_DRIVER: 'local',
+    STORAGE_LOCAL_ROOT: storageRoot,
+    AUTH_ENABLED: 'true',
+    AUTH_BOOTSTRAP_API_KEY: ADMIN_API_KEY,
+  });
+  await initializeConfig();
+
+  repository = createRepository(config);
+  storage = createRecordingStorage(config, storedKeys);
+});
+
+after(async () => {
+  await fs.rm(storageRoot, { recursive: true, force: true });
+});
+
+describe('createApp', () => {
+  it('builds the app without listening or registering signal handlers', () => {
+    const listeners = ['SIGTERM', 'SIGINT'].map(signal => process.listenerCount(signal));
+
+    const app = createApp({ config, repository, storage });
+
+    assert.equal(typeof app, 'function');
+    assert.equal(typeof app.listen, 'function');
+    assert.deepEqual(['SIGTERM', 'SIGINT'].map(signal => process.listenerCount(signal)), listeners);
+  });
+
+  it('serves the API when mounted inside another Express app', async () => {
+    const gateway = express();
+    gateway.use('/qa', createApp({ config, repository, storage }));
+    const server = await listen(gateway);
+    const baseUrl = `${server.baseUrl}/qa`;
+
+    try {
+      const health = await fetch(`${baseUrl}/health`);
+      assert.equal(health.status, 200);
+
+      const id = uniqueId('embedded');
+      const uploaded = await uploadWithImage(baseUrl, id);
+      assert.equal(uploaded.status, 200);
+
+      // The injected repository and storage were used
+      assert.ok(await repository.findQuestionByQuestionId(id));
+      assert.equal(storedKeys.length, 1);
+      await fs.access(path.join(storageRoot, storedKeys[0]));
+
+      const missing = await fetch(`${baseUrl}/api/nothing-here`, { headers: { 'X-API-Key': ADMIN_API_KEY } });
+      assert.equal(missing.status, 404);
+      assert.equal((await missing.json()).path, '/qa/api/nothing-here');
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('keeps the configuration and storage of each app separate', async () => {
+    const roots = await Promise.all([1, 2].map(() => fs.mkdtemp(path.join(os.tmpdir(), 'qa-api-test-'))));
+    const configs = [
+      { ...config, storage: { ...config.storage, localRoot: roots[0] } },
+      { ...config, storage: { ...config.storage, localRoot: roots[1] }, images: { ...config.images, access: 'private' } },
+    ];
+    const keys = [[], []];
+
+    // Created in turn: the second app must not take over the first one's settings
+    const servers = [];
+    for (const [index, appConfig] of configs.entries()) {
+      const appStorage = createRecordingStorage(appConfig, keys[index]);
+      servers.push(await listen(createApp({ config: appConfig, repository, storage: appStorage })));
+    }
+
+    try {
+      const fromFirst = await (await uploadWithImage(servers[0].baseUrl, uniqueId('first-app'))).json();
+      const fromSecond = await (await uploadWithImage(servers[1].baseUrl, uniqueId('second-app'))).json();
+
+      // The same image is written once to each app's own storage
+      assert.equal(keys[0].length, 1);
+      assert.deepEqual(keys[1], keys[0]);
+      await fs.access(path.join(roots[0], keys[0][0]));
+      await fs.access(path.join(roots[1], keys[1][0]));
+
+      // Public local storage links vs. the streaming route of a private app
+      assert.match(fromFirst.s3Urls[0], /^\/storage\/questions\//);
+      assert.match(fromSecond.s3Urls[0], /^\/api\/images\/questions%2F/);
+    } finally {
+      await Promise.all(servers.map(server => server.close()));
+      await Promise.all(roots.map(root => fs.rm(root, { recursive: true, force: true })));
+    }
+  });
+
+  it('shuts down one app without stopping the others', async () => {
+    const apps = [createApp({ config, repository, storage }), createApp({ config, repository, storage })];
+    const [stopped, running] = await Promise.all(apps.map(listen));
+    const shutdown = createGracefulShutdown({ server: stopped.server, context: apps[0].locals.context, timeoutMs: 1000, closeRepository: false });
+
+    try {
+      assert.deepEqual(await shutdown(), { timedOut: false });
+      assert.equal(apps[0].locals.context.lifecycle.isShuttingDown(), true);
+      assert.equal(apps[1].locals.context.lifecycle.isShuttingDown(), false);
+
+      const response = await fetch(`${running.baseUrl}/api/questions/upload-batch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': ADMIN_API_KEY },
+        body: JSON.stringify({ questions: [singleQuestion(uniqueId('still-running'))] }),
+      });
+      const body = await response.json();
+      assert.deepEqual(body.results.map(result => result.status), ['created']);
+    } finally {
+      await running.close();
+    }
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, ADMIN_API_KEY } from './helpers/testServer.js';
+
+let app;
+
+before(async () => {
+  app = await startTestServer();
+});
+
+after(async () => {
+  await app?.stop();
+});
+
+describe('error envelopes', () => {
+  it('reports the server as healthy', async () => {
+    const { status, body } = await app.request('GET', '/health', { apiKey: null });
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.environment, 'test');
+  });
+
+  it('answers 401 without credentials or with an unknown API key', async () => {
+    for (const apiKey of [null, 'not-a-real-key']) {
+      const { status, body } = await app.request('GET', '/api/questions', { apiKey });
+
+      assert.equal(status, 401);
+      assert.deepEqual(body, { success: false, message: 'Authentication required' });
+    }
+  });
+
+  it('accepts ?access_token= only on image routes and keeps it out of the access log', async () => {
+    const query = `access_token=${ADMIN_API_KEY}`;
+
+    for (const path of ['/api/questions', '/api/auth/keys']) {
+      const { status } = await app.request('GET', `${path}?${query}`, { apiKey: null });
+      assert.equal(status, 401, path);
+    }
+
+    const image = await app.request('GET', `/api/images/${encodeURIComponent(`questions/${'0'.repeat(64)}.png`)}?${query}`, { apiKey: null });
+    assert.equal(image.status, 404);
+
+    const logs = app.logs.join('');
+    assert.match(logs, /access_token=\[redacted\]/);
+    assert.doesNotMatch(logs, new RegExp(`access_token=${ADMIN_API_KEY}`));
+  });
+
+  it('answers 403 when the key lacks the required role', async () => {
+    const created = await app.request('POST', '/api/auth/keys', { body: { name: 'Read only', role: 'viewer' } });
+    assert.equal(created.status, 201);
+    const viewerKey = created.body.apiKey;
+
+    const listed = await app.request('GET', '/api/questions', { apiKey: viewerKey });
+    assert.equal(listed.status, 200);
+
+    const { status, body } = await app.request('POST', '/api/questions/upload', {
+      apiKey: viewerKey,
+      body: { question: { id: 'forbidden' } },
+    });
+    assert.equal(status, 403);
+    assert.deepEqual(body, { success: false, message: 'This action requires the editor role' });
+  });
+
+  it('answers 404 for unknown routes', async () => {
+    const { status, body } = await app.request('GET', '/api/nothing-here');
+
+    assert.equal(status, 404);
+    assert.deepEqual(body, { success: false, message: 'Route not found', path: '/api/nothing-here' });
+  });
+
+  it('answers 400 for malformed JSON without leaking a stack trace', async () => {
+    const { status, body } = await app.request('POST', '/api/questions/upload', {
+      body: '{"question": ',
+      headers: { 'Content-Type': 'application/json' },
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.ok(body.message);
+    assert.equal(body.stack, undefined);
+  });
+
+  it('answers 400 for invalid listing parameters', async () => {
+    const cases = [
+      ['cursor=garbage', 'Invalid cursor'],
+      ['sort=password', 'Invalid sort field "password". Allowed: uploadedAt, updatedAt, questionNumber, id, deletedAt'],
+      ['limit=0', 'limit must be an integer between 1 and 200'],
+      ['fields=content;drop', 'Invalid field name(s): content;drop'],
+    ];
+
+    for (const [query, message] of cases) {
+      const { status, body } = await app.request('GET', `/api/questions?${query}`);
+      assert.equal(status, 400, query);
+      assert.deepEqual(body, { success: false, message });
+    }
+  });
+
+  it('answers 400 for malformed document ids', async () => {
+    for (const [method, path] of [['DELETE', '/api/questions/123'], ['GET', '/api/questions/123/revisions']]) {
+      const { status, body } = await app.request(method, path);
+      assert.equal(status, 400, `${method} ${path}`);
+      assert.equal(body.success, false);
+    }
+  });
+
+  it('answers 404 for questions that do not exist', async () => {
+    const { status, body } = await app.request('GET', '/api/questions/987654321');
+
+    assert.equal(status, 404);
+    assert.deepEqual(body, { success: false, message: 'Question not found' });
+  });
+});
+
+describe('startup configuration', () => {
+  it('refuses to start with a guessable JWT secret', async () => {
+    for (const secret of ['change_me', 'short-but-not-empty']) {
+      await assert.rejects(
+        startTestServer({ JWT_SECRET: secret }),
+        /exited with code 1[\s\S]*JWT_SECRET must be a random value of at least 32 bytes/,
+      );
+    }
+  });
+
+  it('keeps the default trash retention for an empty or malformed value', async () => {
+    for (const value of ['', 'thirty']) {
+      const server = await startTestServer({ TRASH_RETENTION_DAYS: value });
+      try {
+        const { status, body } = await server.request('POST', '/api/questions/trash/purge', { body: {} });
+
+        assert.equal(status, 200, JSON.stringify(value));
+        assert.equal(body.retentionDays, 30);
+      } finally {
+        await server.stop();
+      }
+    }
+  });
+});
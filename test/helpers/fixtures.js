@@ -0,0 +1,128 @@
+import { PNG_BYTES } from './imageServer.js';
+
+export const PNG_DATA_URI = `data:image/png;base64,${PNG_BYTES.toString('base64')}`;
+
+/**
+ * Unique question id for a test, so tests sharing a server never collide
+ */
+export function uniqueId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * A valid question of each type; overrides are merged into the top level
+ */
+export function singleQuestion(id, overrides = {}) {
+  return {
+    id,
+    type: 'single',
+    subject: 'Physics',
+    chapter: 'Kinematics',
+    section: 'A',
+    questionNumber: 1,
+    content: { text: 'A ball is dropped from rest. Which quantity stays constant?', images: [] },
+    options: [
+      { label: 'A', text: 'Velocity' },
+      { label: 'B', text: 'Acceleration' },
+      { label: 'C', text: 'Displacement' },
+      { label: 'D', text: 'Kinetic energy' },
+    ],
+    answers: ['B'],
+    ...overrides,
+  };
+}
+
+export function multipleQuestion(id, overrides = {}) {
+  return {
+    id,
+    type: 'multiple',
+    subject: 'Chemistry',
+    chapter: 'Periodic Table',
+    section: 'A',
+    questionNumber: 2,
+    content: { text: 'Which of the following are noble gases?', images: [] },
+    options: [
+      { label: 'A', text: 'Neon' },
+      { label: 'B', text: 'Nitrogen' },
+      { label: 'C', text: 'Argon' },
+      { label: 'D', text: 'Oxygen' },
+    ],
+    answers: ['A', 'C'],
+    ...overrides,
+  };
+}
+
+export function integerQuestion(id, overrides = {}) {
+  return {
+    id,
+    type: 'integer',
+    subject: 'Mathematics',
+    chapter: 'Algebra',
+    section: 'B',
+    questionNumber: 3,
+    content: { text: 'How many real roots does x^2 - 5x + 6 = 0 have?', images: [] },
+    answers: [2],
+    answer_range: { min: 0, max: 9 },
+    ...overrides,
+  };
+}
+
+export function matrixQuestion(id, overrides = {}) {
+  return {
+    id,
+    type: 'matrix',
+    subject: 'Physics',
+    chapter: 'Optics',
+    section: 'C',
+    questionNumber: 4,
+    content: { text: 'Match each lens with the image it forms.', images: [] },
+    matrix_match: {
+      rows: [
+        { label: 'P', text: 'Convex lens, object beyond 2F' },
+        { label: 'Q', text: 'Concave lens' },
+      ],
+      columns: [
+        { label: '1', text: 'Real, diminished' },
+        { label: '2', text: 'Virtual, diminished' },
+      ],
+      answers: { P: ['1'], Q: ['2'] },
+    },
+    ...overrides,
+  };
+}
+
+export function comprehensionQuestion(id, overrides = {}) {
+  return {
+    id,
+    type: 'comprehension',
+    subject: 'Chemistry',
+    chapter: 'Thermodynamics',
+    section: 'D',
+    questionNumber: 5,
+    comprehension_passage: { text: 'An ideal gas expands isothermally at 300 K.', images: [] },
+    sub_questions: [
+      {
+        id: 'a',
+        type: 'single',
+        content: { text: 'What is the change in internal energy?' },
+        options: [{ text: 'Zero' }, { text: 'Positive' }],
+        answers: ['A'],
+      },
+      {
+        id: 'b',
+        type: 'integer',
+        content: { text: 'What is the temperature in kelvin?' },
+        answers: [300],
+      },
+    ],
+    ...overrides,
+  };
+}
+
+export const QUESTION_FACTORIES = {
+  single: singleQuestion,
+  multiple: multipleQuestion,
+  integer: integerQuestion,
+  matrix: matrixQuestion,
+  comprehension: comprehensionQuestion,
+};
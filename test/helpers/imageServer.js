@@ -0,0 +1,85 @@
+import http from 'http';
+import crypto from 'crypto';
+
+// Smallest valid PNG (1x1 transparent pixel)
+export const PNG_BYTES = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+/**
+ * PNG bytes unique to a name (the name is appended after the image data), so
+ * every URL of the image server mirrors to its own content-addressed key
+ */
+export function pngFor(name) {
+  return Buffer.concat([PNG_BYTES, Buffer.from(name)]);
+}
+
+/**
+ * Local HTTP server standing in for the image hosts questions link to:
+ * - /images/<name>          a PNG unique to <name>
+ * - /slow/<name>?ms=<delay> the same PNG after a delay
+ * - /missing/<name>         404
+ * - /not-an-image           an HTML page
+ * - /large?bytes=<n>        a PNG padded to n bytes
+ * - /redirect?to=<url>      302 to <url>
+ * Returns { baseUrl, host, requests, close } where requests counts the
+ * requests received per path.
+ */
+export async function startImageServer() {
+  const requests = new Map();
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.set(url.pathname, (requests.get(url.pathname) || 0) + 1);
+    const [, route, name = ''] = url.pathname.split('/');
+
+    const sendPng = body => {
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': body.length });
+      res.end(body);
+    };
+
+    switch (route) {
+      case 'images':
+        return sendPng(pngFor(name));
+      case 'slow': {
+        const timer = setTimeout(() => sendPng(pngFor(name)), Number(url.searchParams.get('ms')) || 1000);
+        res.on('close', () => clearTimeout(timer));
+        return;
+      }
+      case 'not-an-image':
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        return res.end('<!doctype html><p>Not an image</p>');
+      case 'large': {
+        const size = Number(url.searchParams.get('bytes')) || 1024 * 1024;
+        return sendPng(Buffer.concat([PNG_BYTES, Buffer.alloc(Math.max(size - PNG_BYTES.length, 0))]));
+      }
+      case 'redirect':
+        res.writeHead(302, { Location: url.searchParams.get('to') });
+        return res.end();
+      default:
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const host = `127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl: `http://${host}`,
+    host,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+/**
+ * Storage key a mirrored image server PNG ends up under (questions/<sha256>.png)
+ */
+export function storedKeyFor(name) {
+  return `questions/${crypto.createHash('sha256').update(pngFor(name)).digest('hex')}.png`;
+}
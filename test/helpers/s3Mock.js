@@ -0,0 +1,151 @@
+import http from 'http';
+import crypto from 'crypto';
+
+/**
+ * Minimal S3 API (path-style) for the s3-compatible storage driver:
+ * PutObject, GetObject (Range, If-None-Match), HeadObject, DeleteObject,
+ * DeleteObjects and ListObjectsV2 against an in-memory bucket.
+ * Returns { endpoint, bucket, objects, close } where objects maps keys to
+ * { body, contentType, etag, lastModified }.
+ */
+export async function startS3Mock({ bucket = 'test-bucket' } = {}) {
+  const objects = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const [, requestBucket, ...keyParts] = url.pathname.split('/');
+    const key = decodeURIComponent(keyParts.join('/'));
+    const body = await readBody(req);
+
+    if (requestBucket !== bucket) {
+      return sendError(res, 404, 'NoSuchBucket', 'The specified bucket does not exist');
+    }
+
+    if (req.method === 'PUT' && key) {
+      const content = isAwsChunked(req) ? decodeAwsChunked(body) : body;
+      const etag = `"${crypto.createHash('md5').update(content).digest('hex')}"`;
+      objects.set(key, { body: content, contentType: req.headers['content-type'], etag, lastModified: new Date() });
+      res.writeHead(200, { ETag: etag });
+      return res.end();
+    }
+
+    if (req.method === 'POST' && url.searchParams.has('delete')) {
+      const keys = [...body.toString('utf8').matchAll(/<Key>([^<]*)<\/Key>/g)].map(match => decodeXml(match[1]));
+      keys.forEach(deletedKey => objects.delete(deletedKey));
+      return sendXml(res, 200, `<DeleteResult>${keys.map(deletedKey => `<Deleted><Key>${encodeXml(deletedKey)}</Key></Deleted>`).join('')}</DeleteResult>`);
+    }
+
+    if (req.method === 'GET' && !key && url.searchParams.get('list-type') === '2') {
+      const prefix = url.searchParams.get('prefix') || '';
+      const contents = [...objects.entries()]
+        .filter(([objectKey]) => objectKey.startsWith(prefix))
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([objectKey, object]) => `<Contents><Key>${encodeXml(objectKey)}</Key><Size>${object.body.length}</Size><LastModified>${object.lastModified.toISOString()}</LastModified><ETag>${encodeXml(object.etag)}</ETag></Contents>`)
+        .join('');
+      return sendXml(res, 200, `<ListBucketResult><Name>${bucket}</Name><Prefix>${encodeXml(prefix)}</Prefix><KeyCount>${objects.size}</KeyCount><IsTruncated>false</IsTruncated>${contents}</ListBucketResult>`);
+    }
+
+    if (req.method === 'DELETE' && key) {
+      objects.delete(key);
+      res.writeHead(204);
+      return res.end();
+    }
+
+    if ((req.method === 'GET' || req.method === 'HEAD') && key) {
+      const object = objects.get(key);
+      if (!object) {
+        if (req.method === 'HEAD') {
+          res.writeHead(404);
+          return res.end();
+        }
+        return sendError(res, 404, 'NoSuchKey', 'The specified key does not exist.');
+      }
+
+      const headers = {
+        'Content-Type': object.contentType || 'application/octet-stream',
+        'ETag': object.etag,
+        'Last-Modified': object.lastModified.toUTCString(),
+        'Accept-Ranges': 'bytes',
+      };
+
+      if (req.headers['if-none-match'] === object.etag) {
+        res.writeHead(304, { ETag: object.etag });
+        return res.end();
+      }
+
+      const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+      if (range) {
+        const size = object.body.length;
+        const start = range[1] === '' ? Math.max(size - Number(range[2]), 0) : Number(range[1]);
+        const end = range[1] === '' || range[2] === '' ? size - 1 : Math.min(Number(range[2]), size - 1);
+        if (start >= size || start > end) {
+          return sendError(res, 416, 'InvalidRange', 'The requested range is not satisfiable');
+        }
+        res.writeHead(206, { ...headers, 'Content-Range': `bytes ${start}-${end}/${size}`, 'Content-Length': end - start + 1 });
+        return res.end(req.method === 'HEAD' ? undefined : object.body.subarray(start, end + 1));
+      }
+
+      res.writeHead(200, { ...headers, 'Content-Length': object.body.length });
+      return res.end(req.method === 'HEAD' ? undefined : object.body);
+    }
+
+    sendError(res, 501, 'NotImplemented', `${req.method} ${req.url} is not supported by the mock`);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    bucket,
+    objects,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+function isAwsChunked(req) {
+  return (req.headers['content-encoding'] || '').includes('aws-chunked')
+    || (req.headers['x-amz-content-sha256'] || '').startsWith('STREAMING-');
+}
+
+/**
+ * Decode an aws-chunked body (<hex size>[;chunk-signature=...]\r\n<data>\r\n ... 0\r\n<trailers>)
+ */
+function decodeAwsChunked(body) {
+  const chunks = [];
+  let offset = 0;
+  while (offset < body.length) {
+    const lineEnd = body.indexOf('\r\n', offset);
+    const size = parseInt(body.subarray(offset, lineEnd).toString('latin1').split(';')[0], 16);
+    if (!size) {
+      break;
+    }
+    chunks.push(body.subarray(lineEnd + 2, lineEnd + 2 + size));
+    offset = lineEnd + 2 + size + 2;
+  }
+  return Buffer.concat(chunks);
+}
+
+function sendXml(res, statusCode, xml) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/xml' });
+  res.end(`<?xml version="1.0" encoding="UTF-8"?>${xml}`);
+}
+
+function sendError(res, statusCode, code, message) {
+  sendXml(res, statusCode, `<Error><Code>${code}</Code><Message>${encodeXml(message)}</Message></Error>`);
+}
+
+function encodeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function decodeXml(value) {
+  return value.replace(/&quot;/g, '"').replace(/&gt;/g, '>').replace(/&lt;/g, '<').replace(/&amp;/g, '&');
+}
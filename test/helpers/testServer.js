@@ -0,0 +1,140 @@
+import { spawn } from 'child_process';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { startS3Mock } from './s3Mock.js';
+import { startImageServer } from './imageServer.js';
+
+const SERVER_ENTRY = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../src/server.js');
+const STARTUP_TIMEOUT_MS = 15000;
+
+export const ADMIN_API_KEY = 'test-admin-key';
+
+/**
+ * Reserve a free TCP port on the loopback interface
+ */
+async function findFreePort() {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+/**
+ * Boot src/server.js in a child process against local stand-ins: the
+ * in-memory database, the S3 mock and the image server. Extra environment
+ * variables override the defaults below.
+ * Returns { baseUrl, s3, images, request, logs, messages, child, exited, stop }
+ * where request(method, path, { body, headers, apiKey }) resolves to
+ * { status, headers, body } (JSON bodies parsed, others as a Buffer),
+ * messages collects what the server sends over IPC (like PM2 would see)
+ * and exited resolves to the exit code.
+ */
+export async function startTestServer(env = {}) {
+  const s3 = await startS3Mock();
+  const images = await startImageServer();
+  const port = await findFreePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const logs = [];
+  const messages = [];
+
+  const child = spawn(process.execPath, [SERVER_ENTRY], {
+    cwd: path.dirname(SERVER_ENTRY),
+    env: {
+      PATH: process.env.PATH,
+      NODE_ENV: 'test',
+      HOST_ENV: 'local',
+      PORT: String(port),
+      USE_SECRETS_MANAGER: 'false',
+      DATABASE_DRIVER: 'memory',
+      STORAGE_DRIVER: 's3-compatible',
+      S3_ENDPOINT: s3.endpoint,
+      S3_BUCKET_NAME: s3.bucket,
+      AWS_REGION: 'us-east-1',
+      AWS_ACCESS_KEY_ID: 'test',
+      AWS_SECRET_ACCESS_KEY: 'test',
+      AUTH_ENABLED: 'true',
+      AUTH_BOOTSTRAP_API_KEY: ADMIN_API_KEY,
+      IMAGE_ACCESS: 'public',
+      IMAGE_DOWNLOAD_TIMEOUT_MS: '1000',
+      // The image server listens on a loopback address
+      IMAGE_DOWNLOAD_ALLOW_PRIVATE_ADDRESSES: 'true',
+      IMAGE_MAX_SIZE_BYTES: String(64 * 1024),
+      IMAGE_PROXY_ALLOWED_HOSTS: `${images.host},${images.host.replace('127.0.0.1', 'localhost')}`,
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe', 'ipc'],
+  });
+  child.on('message', message => messages.push(message));
+  child.stdout.on('data', chunk => logs.push(chunk.toString()));
+  child.stderr.on('data', chunk => logs.push(chunk.toString()));
+
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const stop = async () => {
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill('SIGTERM');
+      await exited;
+    }
+    await Promise.all([s3.close(), images.close()]);
+  };
+
+  try {
+    await waitForHealth(baseUrl, exited);
+  } catch (error) {
+    await stop();
+    error.message += `\nServer output:\n${logs.join('')}`;
+    throw error;
+  }
+
+  const request = async (method, pathname, { body, headers = {}, apiKey = ADMIN_API_KEY } = {}) => {
+    const response = await fetch(`${baseUrl}${pathname}`, {
+      method,
+      headers: {
+        ...(apiKey ? { 'X-API-Key': apiKey } : {}),
+        ...(body !== undefined && typeof body !== 'string' ? { 'Content-Type': 'application/json' } : {}),
+        ...headers,
+      },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body),
+    });
+
+    const raw = Buffer.from(await response.arrayBuffer());
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson ? JSON.parse(raw.toString('utf8')) : raw,
+    };
+  };
+
+  return { baseUrl, s3, images, request, logs, messages, child, exited, stop };
+}
+
+/**
+ * Poll GET /health until the server answers, failing if it exits first
+ */
+async function waitForHealth(baseUrl, exited) {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  let exitCode;
+  exited.then(code => {
+    exitCode = code;
+  });
+
+  while (Date.now() < deadline) {
+    if (exitCode !== undefined) {
+      throw new Error(`Server exited with code ${exitCode} during startup`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/health`);
+      if (response.ok) {
+        return;
+      }
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  throw new Error(`Server did not become healthy within ${STARTUP_TIMEOUT_MS}ms`);
+}
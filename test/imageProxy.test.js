@@ -0,0 +1,170 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers/testServer.js';
+import { PNG_BYTES, pngFor } from './helpers/imageServer.js';
+import { PNG_DATA_URI, uniqueId, singleQuestion } from './helpers/fixtures.js';
+
+let app;
+let storedUrl;
+
+before(async () => {
+  app = await startTestServer();
+
+  const { body } = await app.request('POST', '/api/questions/upload', {
+    body: { question: singleQuestion(uniqueId('proxy'), { content: { text: 'Figure', images: [PNG_DATA_URI] } }) },
+  });
+  [storedUrl] = body.s3Urls;
+});
+
+after(async () => {
+  await app?.stop();
+});
+
+const proxy = (url, options) => app.request('GET', `/api/questions/image-proxy?url=${encodeURIComponent(url)}`, options);
+
+// The image server listens on a loopback address, which the proxy refuses to
+// connect to, so upstream fetches are only covered up to the address check
+describe('GET /api/questions/image-proxy', () => {
+  it('streams images from our own bucket', async () => {
+    const { status, headers, body } = await proxy(storedUrl);
+
+    assert.equal(status, 200);
+    assert.equal(headers.get('content-type'), 'image/png');
+    assert.equal(headers.get('cache-control'), 'public, max-age=31536000, immutable');
+    assert.ok(headers.get('etag'));
+    assert.deepEqual(body, PNG_BYTES);
+  });
+
+  it('honours Range and If-None-Match for bucket images', async () => {
+    const partial = await proxy(storedUrl, { headers: { Range: 'bytes=0-7' } });
+    assert.equal(partial.status, 206);
+    assert.equal(partial.headers.get('content-range'), `bytes 0-7/${PNG_BYTES.length}`);
+    assert.deepEqual(partial.body, PNG_BYTES.subarray(0, 8));
+
+    const { headers } = await proxy(storedUrl);
+    const cached = await proxy(storedUrl, { headers: { 'If-None-Match': headers.get('etag') } });
+    assert.equal(cached.status, 304);
+  });
+
+  it('answers 404 for a bucket image that does not exist', async () => {
+    const missing = storedUrl.replace(/questions\/[0-9a-f]+/, `questions/${'0'.repeat(64)}`);
+
+    const { status, body } = await proxy(missing);
+
+    assert.equal(status, 404);
+    assert.equal(body.success, false);
+  });
+
+  it('refuses bucket objects that are not stored images', async () => {
+    const secret = { body: Buffer.from('TOP SECRET'), contentType: 'text/plain', etag: '"secret"', lastModified: new Date() };
+    app.s3.objects.set('private/secret.txt', secret);
+    app.s3.objects.set(`questions/${'a'.repeat(64)}.png`, secret);
+
+    for (const key of ['private/secret.txt', `questions/${'a'.repeat(64)}.png`]) {
+      for (const url of [`image://${key}`, `${app.s3.endpoint}/${app.s3.bucket}/${key}`]) {
+        const { status, body } = await proxy(url);
+        assert.ok(status === 400 || status === 404, `${url} answered ${status}`);
+        assert.equal(body.success, false);
+        assert.doesNotMatch(JSON.stringify(body), /TOP SECRET/);
+      }
+    }
+
+    const served = await app.request('GET', `/api/images/${encodeURIComponent(`questions/${'a'.repeat(64)}.png`)}`);
+    assert.equal(served.status, 404);
+  });
+
+  it('requires a URL', async () => {
+    const { status, body } = await app.request('GET', '/api/questions/image-proxy');
+
+    assert.equal(status, 400);
+    assert.deepEqual(body, { success: false, message: 'Image URL is required' });
+  });
+
+  it('rejects malformed URLs and unsupported protocols', async () => {
+    const cases = [
+      ['not a url', 'Invalid image URL'],
+      ['ftp://example.com/figure.png', 'Only http and https image URLs can be proxied'],
+      [`http://user:secret@${app.images.host}/images/a.png`, 'Image URLs must not contain credentials'],
+    ];
+
+    for (const [url, message] of cases) {
+      const { status, body } = await proxy(url);
+      assert.equal(status, 400);
+      assert.deepEqual(body, { success: false, message });
+    }
+  });
+
+  it('refuses hosts that are not allowed', async () => {
+    const { status, body } = await proxy('http://example.com/figure.png');
+
+    assert.equal(status, 403);
+    assert.deepEqual(body, { success: false, message: 'Host example.com is not allowed' });
+  });
+
+  it('refuses allowed hosts that resolve to internal addresses', async () => {
+    const literal = await proxy(`${app.images.baseUrl}/images/a.png`);
+    assert.equal(literal.status, 403);
+    assert.equal(literal.body.message, 'Refusing to connect to internal address 127.0.0.1');
+
+    const resolved = await proxy(`${app.images.baseUrl.replace('127.0.0.1', 'localhost')}/images/a.png`);
+    assert.equal(resolved.status, 403);
+    assert.equal(resolved.body.message, 'Refusing to connect to an internal address');
+    assert.equal(app.images.requests.size, 0);
+  });
+
+  it('requires authentication', async () => {
+    const { status } = await proxy(storedUrl, { apiKey: null });
+
+    assert.equal(status, 401);
+  });
+});
+
+describe('GET /api/questions/image-proxy from other hosts', () => {
+  let upstream;
+
+  before(async () => {
+    // Lets the proxy reach the image server on its loopback address
+    upstream = await startTestServer({ IMAGE_PROXY_ALLOW_PRIVATE_ADDRESSES: 'true', IMAGE_PROXY_MAX_SIZE_BYTES: '1024' });
+  });
+
+  after(async () => {
+    await upstream?.stop();
+  });
+
+  const proxyUpstream = path => upstream.request(
+    'GET',
+    `/api/questions/image-proxy?url=${encodeURIComponent(`${upstream.images.baseUrl}${path}`)}`,
+  );
+
+  it('streams images from allowed hosts', async () => {
+    const { status, headers, body } = await proxyUpstream('/images/proxied.png');
+
+    assert.equal(status, 200);
+    assert.equal(headers.get('content-type'), 'image/png');
+    assert.deepEqual(body, pngFor('proxied.png'));
+  });
+
+  it('follows redirects only to allowed hosts', async () => {
+    const allowed = await proxyUpstream(`/redirect?to=${encodeURIComponent(`${upstream.images.baseUrl}/images/moved.png`)}`);
+    assert.equal(allowed.status, 200);
+    assert.deepEqual(allowed.body, pngFor('moved.png'));
+
+    const elsewhere = await proxyUpstream(`/redirect?to=${encodeURIComponent('http://example.com/figure.png')}`);
+    assert.equal(elsewhere.status, 403);
+    assert.equal(elsewhere.body.message, 'Host example.com is not allowed');
+  });
+
+  it('passes upstream errors on and rejects what is not an image', async () => {
+    const cases = [
+      ['/missing/figure.png', 404],
+      ['/not-an-image', 415],
+      ['/large?bytes=4096', 413],
+    ];
+
+    for (const [path, expected] of cases) {
+      const { status, body } = await proxyUpstream(path);
+      assert.equal(status, expected, path);
+      assert.equal(body.success, false);
+    }
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryRepository } from '../src/services/repository/memoryRepository.js';
+
+const LEASE_MS = 60000;
+const result = status => ({ success: status !== 'failed', status });
+
+let repository;
+let jobId;
+
+beforeEach(async () => {
+  repository = createMemoryRepository();
+  jobId = await repository.createJobRecord({
+    type: 'upload-batch',
+    payload: { questions: [{ id: 'a' }, { id: 'b' }], options: {} },
+    total: 2,
+    createdBy: null,
+  });
+});
+
+// Processes (e.g. several instances, or one replacing a crashed one) share jobs
+// through the repository, so these cover the lease contract both
+// implementations follow
+describe('job leases', () => {
+  it('lets only one process claim a job at a time', async () => {
+    const claimed = await repository.claimJob(jobId, 'first', LEASE_MS);
+    assert.equal(claimed.status, 'running');
+    assert.deepEqual(claimed.payload.questions, [{ id: 'a' }, { id: 'b' }]);
+
+    assert.equal(await repository.claimJob(jobId, 'second', LEASE_MS), null);
+    assert.equal(await repository.renewJobLease(jobId, 'second', LEASE_MS), false);
+    assert.equal(await repository.renewJobLease(jobId, 'first', LEASE_MS), true);
+  });
+
+  it('hands a job over once its lease expires or is released', async () => {
+    await repository.claimJob(jobId, 'first', 1);
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    assert.ok(await repository.claimJob(jobId, 'second', LEASE_MS));
+    assert.equal(await repository.renewJobLease(jobId, 'first', LEASE_MS), false);
+
+    await repository.releaseJob(jobId, 'second');
+    assert.ok(await repository.claimJob(jobId, 'third', LEASE_MS));
+    const [unfinished] = await repository.findUnfinishedJobs();
+    assert.ok(unfinished.leaseUntil > new Date());
+  });
+
+  it('keeps the time the job first started when it is claimed again', async () => {
+    const { startedAt } = await repository.claimJob(jobId, 'first', 1);
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    const reclaimed = await repository.claimJob(jobId, 'second', LEASE_MS);
+    assert.deepEqual(reclaimed.startedAt, startedAt);
+    assert.deepEqual((await repository.getJob(jobId)).startedAt, startedAt);
+  });
+
+  it('records results only from the lease owner and only once per question', async () => {
+    await repository.claimJob(jobId, 'first', 1);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await repository.claimJob(jobId, 'second', LEASE_MS);
+
+    assert.equal(await repository.recordJobResult(jobId, 'first', 0, result('created')), null);
+    const recorded = await repository.recordJobResult(jobId, 'second', 0, result('created'));
+    assert.equal(recorded.cancelRequested, false);
+    assert.equal(await repository.recordJobResult(jobId, 'second', 0, result('created')), null);
+
+    await repository.finishJob(jobId, 'first', 'completed');
+    assert.equal((await repository.getJob(jobId)).status, 'running');
+
+    await repository.recordJobResult(jobId, 'second', 1, result('failed'));
+    await repository.finishJob(jobId, 'second', 'completed');
+    const job = await repository.getJob(jobId);
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(job.progress, { total: 2, processed: 2, created: 1, updated: 0, skipped: 0, failed: 1, cancelled: 0 });
+    assert.equal(await repository.claimJob(jobId, 'third', LEASE_MS), null);
+  });
+});
@@ -0,0 +1,191 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers/testServer.js';
+import { storedKeyFor } from './helpers/imageServer.js';
+import { uniqueId, singleQuestion, integerQuestion } from './helpers/fixtures.js';
+
+let app;
+
+before(async () => {
+  app = await startTestServer();
+});
+
+after(async () => {
+  await app?.stop();
+});
+
+describe('POST /api/papers/import', () => {
+  it('mirrors images in matrix cells like every other image', async () => {
+    const cell = `${app.images.baseUrl}/images/matrix-cell.png`;
+    const markdown = [
+      '# Physics',
+      '## Optics',
+      '1. Match Column I with Column II',
+      '   | Column I | Column II |',
+      '   |----------|-----------|',
+      `   | (P) Convex lens ![lens](${cell}) | (1) Real |`,
+      '   | (Q) Concave lens | (2) Virtual |',
+      '   Answer: P-1, Q-2',
+    ].join('\n');
+
+    const { status, body } = await app.request('POST', '/api/papers/import', { body: { markdown, idStart: 7100 } });
+
+    assert.equal(status, 200, body.message);
+    assert.equal(body.results[0].status, 'created');
+    assert.ok(app.s3.objects.has(storedKeyFor('matrix-cell.png')));
+
+    const stored = await app.request('GET', '/api/questions/7100');
+    const [image] = stored.body.question.matrix_match.rows[0].images;
+    assert.equal(image, `${app.s3.endpoint}/${app.s3.bucket}/${storedKeyFor('matrix-cell.png')}`);
+  });
+});
+
+const uploadQuestion = question => app.request('POST', '/api/questions/upload', { body: { question } });
+
+describe('papers', () => {
+  it('references questions by string or numeric id, matched exactly', async () => {
+    const stringId = uniqueId('paper');
+    const numericId = 200000 + Math.floor(Math.random() * 800000);
+    for (const question of [singleQuestion(stringId), integerQuestion(numericId)]) {
+      const { body } = await uploadQuestion(question);
+      assert.equal(body.success, true, body.message);
+    }
+
+    const created = await app.request('POST', '/api/papers', {
+      body: {
+        title: 'Mixed ids',
+        durationMinutes: 30,
+        sections: [{ title: 'A', marks: 4, questions: [{ questionId: stringId }, { questionId: numericId }] }],
+      },
+    });
+    assert.equal(created.status, 201, created.body.message);
+
+    const { status, body } = await app.request('GET', `/api/papers/${created.body.paper.id}`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.paper.sections[0].questions.map(entry => entry.question.id), [stringId, numericId]);
+
+    const mismatched = await app.request('POST', '/api/papers', {
+      body: { title: 'Wrong type', durationMinutes: 30, sections: [{ title: 'A', marks: 4, questions: [{ questionId: String(numericId) }] }] },
+    });
+    assert.equal(mismatched.status, 422);
+  });
+
+  it('creates, lists, replaces and deletes a paper', async () => {
+    const ids = [uniqueId('crud-a'), uniqueId('crud-b')];
+    for (const id of ids) {
+      await uploadQuestion(singleQuestion(id));
+    }
+    const paper = {
+      title: ' Unit Test ',
+      durationMinutes: 60,
+      sections: [{ title: 'A', marks: 4, negativeMarks: 1, questions: [{ questionId: ids[0] }, { questionId: ids[1], marks: 2 }] }],
+    };
+
+    const created = await app.request('POST', '/api/papers', { body: paper });
+    assert.equal(created.status, 201);
+    const { id } = created.body.paper;
+    assert.equal(created.body.paper.title, 'Unit Test');
+    assert.equal(created.body.paper.questionCount, 2);
+    assert.equal(created.body.paper.totalMarks, 6);
+    assert.deepEqual(created.body.paper.sections[0].questions.map(entry => entry.negativeMarks), [1, 1]);
+
+    const listed = await app.request('GET', '/api/papers?limit=100');
+    assert.equal(listed.status, 200);
+    assert.ok(listed.body.papers.some(entry => entry.id === id));
+
+    const replaced = await app.request('PUT', `/api/papers/${id}`, {
+      body: { ...paper, title: 'Unit Test (revised)', sections: [{ title: 'A', marks: 3, questions: [{ questionId: ids[1] }] }] },
+    });
+    assert.equal(replaced.status, 200);
+    assert.equal(replaced.body.paper.totalMarks, 3);
+
+    const fetched = await app.request('GET', `/api/papers/${id}`);
+    assert.equal(fetched.body.paper.title, 'Unit Test (revised)');
+    assert.equal(fetched.body.paper.sections[0].questions[0].question.id, ids[1]);
+
+    const deleted = await app.request('DELETE', `/api/papers/${id}`);
+    assert.equal(deleted.status, 200);
+    for (const [method, body] of [['GET'], ['PUT', paper], ['DELETE']]) {
+      const { status } = await app.request(method, `/api/papers/${id}`, { body });
+      assert.equal(status, 404, method);
+    }
+  });
+
+  it('rejects invalid papers and questions that are missing or in the trash', async () => {
+    const invalid = await app.request('POST', '/api/papers', { body: { title: '', durationMinutes: 30, sections: [] } });
+    assert.equal(invalid.status, 400);
+    assert.ok(invalid.body.errors.some(error => error.path === 'title'));
+
+    const trashedId = uniqueId('paper-trashed');
+    const { body: uploaded } = await uploadQuestion(singleQuestion(trashedId));
+    await app.request('DELETE', `/api/questions/${uploaded.mongoId}`);
+
+    const { status, body } = await app.request('POST', '/api/papers', {
+      body: { title: 'Broken', durationMinutes: 30, sections: [{ title: 'A', marks: 1, questions: [{ questionId: trashedId }, { questionId: uniqueId('nowhere') }] }] },
+    });
+    assert.equal(status, 422);
+    assert.deepEqual(body.errors.map(error => error.path), ['sections[0].questions[0].questionId', 'sections[0].questions[1].questionId']);
+    assert.match(body.errors[0].message, /is in the trash/);
+  });
+});
+
+describe('POST /api/papers/render', () => {
+  it('renders questions by string or numeric id', async () => {
+    const stringId = uniqueId('render');
+    const numericId = 200000 + Math.floor(Math.random() * 800000);
+    for (const question of [singleQuestion(stringId), integerQuestion(numericId)]) {
+      await uploadQuestion(question);
+    }
+
+    const { status, body } = await app.request('POST', '/api/papers/render', { body: { ids: [stringId, numericId] } });
+
+    assert.equal(status, 200, body.message);
+    assert.equal(body.questionCount, 2);
+
+    const missing = await app.request('POST', '/api/papers/render', { body: { ids: [String(numericId)] } });
+    assert.equal(missing.status, 404);
+    assert.deepEqual(missing.body.missingIds, [String(numericId)]);
+  });
+  it('returns the paper and answer key as HTML or PDF files', async () => {
+    const subject = `Render ${uniqueId('subject')}`;
+    const ids = [uniqueId('render-file-a'), uniqueId('render-file-b')];
+    for (const id of ids) {
+      await uploadQuestion(singleQuestion(id, { subject }));
+    }
+    const render = body => app.request('POST', '/api/papers/render', { body: { filters: { subject }, title: 'Mock Test', ...body } });
+
+    const json = await render({});
+    assert.equal(json.status, 200);
+    assert.equal(json.body.questionCount, 2);
+    assert.match(json.body.html, /Mock Test/);
+    assert.match(json.body.answerKeyHtml, /Answer Key/);
+    assert.equal(Buffer.from(json.body.pdf, 'base64').subarray(0, 5).toString('latin1'), '%PDF-');
+
+    const html = await render({ format: 'html' });
+    assert.equal(html.headers.get('content-type'), 'text/html; charset=utf-8');
+    assert.equal(html.headers.get('content-disposition'), 'inline; filename="Mock-Test.html"');
+
+    const answerKey = await render({ format: 'pdf', part: 'answer-key' });
+    assert.equal(answerKey.headers.get('content-type'), 'application/pdf');
+    assert.equal(answerKey.headers.get('content-disposition'), 'attachment; filename="Mock-Test-answer-key.pdf"');
+    assert.equal(answerKey.body.subarray(0, 5).toString('latin1'), '%PDF-');
+  });
+
+  it('rejects malformed render requests', async () => {
+    const cases = [
+      [{}, 'Either ids or filters is required'],
+      [{ ids: [] }, 'ids must be a non-empty array of question ids'],
+      [{ ids: [{}] }, 'ids must be a non-empty array of question ids'],
+      [{ ids: [1], format: 'docx' }, 'Invalid format. Allowed: json, html, pdf'],
+    ];
+
+    for (const [body, message] of cases) {
+      const response = await app.request('POST', '/api/papers/render', { body });
+      assert.equal(response.status, 400);
+      assert.deepEqual(response.body, { success: false, message });
+    }
+
+    const empty = await app.request('POST', '/api/papers/render', { body: { filters: { subject: uniqueId('nothing') } } });
+    assert.equal(empty.status, 404);
+  });
+});
@@ -0,0 +1,830 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers/testServer.js';
+import { storedKeyFor, pngFor } from './helpers/imageServer.js';
+import {
+  QUESTION_FACTORIES,
+  PNG_DATA_URI,
+  uniqueId,
+  singleQuestion,
+  integerQuestion,
+  matrixQuestion,
+  comprehensionQuestion,
+} from './helpers/fixtures.js';
+
+let app;
+
+before(async () => {
+  // Trashed questions can be purged straight away
+  app = await startTestServer({ TRASH_RETENTION_DAYS: '0' });
+});
+
+after(async () => {
+  await app?.stop();
+});
+
+const imageUrl = name => `${app.images.baseUrl}/images/${name}`;
+
+async function upload(question, extra = {}) {
+  return await app.request('POST', '/api/questions/upload', { body: { question, ...extra } });
+}
+
+/**
+ * Poll until check() returns a truthy value, and return it
+ */
+async function waitUntil(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) {
+      return value;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Condition not met within ${timeoutMs}ms`);
+}
+
+// Letters only, so search treats it as a single term
+const uniqueWord = () => Array.from({ length: 12 }, () => String.fromCharCode(97 + Math.floor(Math.random() * 26))).join('');
+
+async function findStored(id) {
+  const { body } = await app.request('GET', `/api/questions?fields=id,content,options,imageUrl&limit=200`);
+  return body.questions.find(question => question.id === id);
+}
+
+describe('POST /api/questions/upload', () => {
+  for (const [type, createQuestion] of Object.entries(QUESTION_FACTORIES)) {
+    it(`uploads a ${type} question`, async () => {
+      const id = uniqueId(type);
+      const { status, body } = await upload(createQuestion(id));
+
+      assert.equal(status, 200);
+      assert.equal(body.success, true);
+      assert.equal(body.status, 'created');
+      assert.equal(body.id, id);
+      assert.match(body.mongoId, /^[0-9a-f]{24}$/);
+    });
+  }
+
+  it('mirrors images from every image field into the bucket', async () => {
+    const id = uniqueId('images');
+    const names = ['stem', 'option', 'legacy', 'passage', 'sub-stem', 'sub-option', 'row'].map(name => `${id}-${name}.png`);
+    const [stem, option, legacy, passage, subStem, subOption, row] = names;
+
+    const questions = [
+      singleQuestion(`${id}-single`, {
+        imageUrl: imageUrl(legacy),
+        content: { text: 'Which diagram shows uniform motion?', images: [imageUrl(stem)] },
+        options: [{ text: 'Left', image_url: imageUrl(option) }, { text: 'Right' }],
+        answers: ['A'],
+      }),
+      comprehensionQuestion(`${id}-comprehension`, {
+        comprehension_passage: { text: 'Study the figure.', images: [imageUrl(passage)] },
+        sub_questions: [{
+          type: 'single',
+          content: { text: 'Which curve is steeper?', images: [imageUrl(subStem)] },
+          options: [{ text: 'First', image_url: imageUrl(subOption) }, { text: 'Second' }],
+          answers: ['A'],
+        }],
+      }),
+      matrixQuestion(`${id}-matrix`, {
+        matrix_match: {
+          rows: [{ label: 'P', images: [imageUrl(row)] }],
+          columns: [{ label: '1', text: 'Real' }],
+          answers: { P: ['1'] },
+        },
+      }),
+    ];
+
+    for (const question of questions) {
+      const { status, body } = await upload(question);
+      assert.equal(status, 200, body.message);
+      assert.equal(body.failedImages, undefined);
+    }
+
+    for (const name of names) {
+      const object = app.s3.objects.get(storedKeyFor(name));
+      assert.ok(object, `${name} should be stored`);
+      assert.equal(object.contentType, 'image/png');
+    }
+
+    const stored = await findStored(`${id}-single`);
+    const bucketUrl = `${app.s3.endpoint}/${app.s3.bucket}/${storedKeyFor(stem)}`;
+    assert.deepEqual(stored.content.images, [bucketUrl]);
+    assert.equal(stored.imageUrl, `${app.s3.endpoint}/${app.s3.bucket}/${storedKeyFor(legacy)}`);
+    assert.equal(stored.options[0].image_url, `${app.s3.endpoint}/${app.s3.bucket}/${storedKeyFor(option)}`);
+  });
+
+  it('stores inline data: URI images', async () => {
+    const { status, body } = await upload(singleQuestion(uniqueId('data-uri'), {
+      content: { text: 'Inline figure', images: [PNG_DATA_URI] },
+    }));
+
+    assert.equal(status, 200);
+    assert.equal(body.s3Urls.length, 1);
+    const key = body.s3Urls[0].split(`/${app.s3.bucket}/`)[1];
+    assert.ok(app.s3.objects.has(key));
+  });
+
+  it('downloads an image used by several questions only once', async () => {
+    const name = `${uniqueId('shared')}.png`;
+    for (const id of [uniqueId('shared-a'), uniqueId('shared-b')]) {
+      const { status } = await upload(singleQuestion(id, { content: { text: 'Shared figure', images: [imageUrl(name)] } }));
+      assert.equal(status, 200);
+    }
+
+    assert.equal(app.images.requests.get(`/images/${name}`), 1);
+  });
+
+  it('saves the question with the original URL when an image cannot be mirrored', async () => {
+    const missing = `${app.images.baseUrl}/missing/${uniqueId('figure')}.png`;
+    const notAnImage = `${app.images.baseUrl}/not-an-image`;
+    const tooLarge = `${app.images.baseUrl}/large?bytes=${128 * 1024}`;
+    const slow = `${app.images.baseUrl}/slow/${uniqueId('slow')}.png?ms=3000`;
+    const id = uniqueId('failed-images');
+
+    const { status, body } = await upload(singleQuestion(id, {
+      content: { text: 'Broken figures', images: [missing, notAnImage, tooLarge, slow] },
+    }));
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.match(body.message, /4 image\(s\) failed to upload/);
+    assert.deepEqual(body.failedImages.map(image => image.reason), ['http_error', 'not_an_image', 'too_large', 'timeout']);
+
+    const stored = await findStored(id);
+    assert.deepEqual(stored.content.images, [missing, notAnImage, tooLarge, slow]);
+  });
+
+  it('follows redirects to the image', async () => {
+    const name = `${uniqueId('redirected')}.png`;
+    const id = uniqueId('redirected');
+
+    const { status, body } = await upload(singleQuestion(id, {
+      content: { text: 'Moved figure', images: [`${app.images.baseUrl}/redirect?to=${encodeURIComponent(imageUrl(name))}`] },
+    }));
+
+    assert.equal(status, 200);
+    assert.equal(body.failedImages, undefined);
+    assert.ok(app.s3.objects.has(storedKeyFor(name)));
+  });
+
+  it('refuses images on internal addresses unless they are allowed', async () => {
+    const strict = await startTestServer({ IMAGE_DOWNLOAD_ALLOW_PRIVATE_ADDRESSES: 'false' });
+    try {
+      const literal = `${strict.images.baseUrl}/images/internal.png`;
+      const resolved = literal.replace('127.0.0.1', 'localhost');
+
+      const { status, body } = await strict.request('POST', '/api/questions/upload', {
+        body: { question: singleQuestion(uniqueId('internal'), { content: { text: 'Metadata', images: [literal, resolved] } }) },
+      });
+
+      assert.equal(status, 200);
+      assert.deepEqual(body.failedImages.map(image => image.reason), ['blocked_address', 'blocked_address']);
+      assert.equal(strict.images.requests.size, 0);
+      assert.equal(strict.s3.objects.size, 0);
+    } finally {
+      await strict.stop();
+    }
+  });
+
+  it('fetches a question by its numeric id', async () => {
+    const id = 100000 + Math.floor(Math.random() * 900000);
+    await upload(integerQuestion(id));
+
+    const { status, body } = await app.request('GET', `/api/questions/${id}`);
+
+    assert.equal(status, 200);
+    assert.equal(body.question.id, id);
+    assert.equal(body.question.type, 'integer');
+  });
+});
+
+describe('upload validation and conflicts', () => {
+  it('rejects a request without question data', async () => {
+    const { status, body } = await app.request('POST', '/api/questions/upload', { body: {} });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body, { success: false, message: 'Question data is required' });
+  });
+
+  it('reports schema errors by field path without storing anything', async () => {
+    const objectCount = app.s3.objects.size;
+    const question = singleQuestion(uniqueId('invalid'), {
+      content: { text: 'Pick one', images: [imageUrl(`${uniqueId('unused')}.png`)] },
+      answers: ['A', 'E'],
+    });
+
+    const { status, body } = await upload(question);
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.equal(body.status, 'failed');
+    assert.deepEqual(body.errors.map(error => error.path), ['answers', 'answers[1]']);
+    assert.equal(app.s3.objects.size, objectCount);
+    assert.equal(await findStored(question.id), undefined);
+  });
+
+  it('refuses a duplicate id unless onConflict is set', async () => {
+    const id = uniqueId('duplicate');
+    await upload(singleQuestion(id));
+
+    const duplicate = await upload(singleQuestion(id));
+    assert.equal(duplicate.status, 400);
+    assert.match(duplicate.body.message, /already exists in database/);
+
+    const skipped = await upload(singleQuestion(id), { onConflict: 'skip' });
+    assert.equal(skipped.status, 200);
+    assert.equal(skipped.body.status, 'skipped');
+
+    const invalidMode = await upload(singleQuestion(id), { onConflict: 'overwrite' });
+    assert.equal(invalidMode.status, 400);
+    assert.match(invalidMode.body.message, /Invalid onConflict mode/);
+  });
+
+  it('replaces an existing question, keeping images its revisions use', async () => {
+    const id = uniqueId('replace');
+    const before = `${id}-v1.png`;
+    const afterName = `${id}-v2.png`;
+    await upload(singleQuestion(id, { content: { text: 'Version 1', images: [imageUrl(before)] } }));
+    assert.ok(app.s3.objects.has(storedKeyFor(before)));
+
+    const { status, body } = await upload(
+      singleQuestion(id, { content: { text: 'Version 2', images: [imageUrl(afterName)] } }),
+      { onConflict: 'replace' }
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'updated');
+    assert.ok(app.s3.objects.has(storedKeyFor(before)));
+    assert.ok(app.s3.objects.has(storedKeyFor(afterName)));
+    assert.equal((await findStored(id)).content.text, 'Version 2');
+  });
+});
+
+describe('rollback', () => {
+  it('deletes the images of an upload that loses a race for the same id', async () => {
+    const id = uniqueId('race');
+    const first = `${id}-first.png`;
+    const second = `${id}-second.png`;
+
+    // Both uploads pass the existence check while their images download;
+    // the slower one then fails to insert and must clean up after itself
+    const results = await Promise.all([
+      upload(singleQuestion(id, { content: { text: 'First', images: [`${app.images.baseUrl}/slow/${first}?ms=200`] } })),
+      upload(singleQuestion(id, { content: { text: 'Second', images: [`${app.images.baseUrl}/slow/${second}?ms=500`] } })),
+    ]);
+
+    assert.equal(results[0].status, 200);
+    assert.equal(results[1].status, 400);
+    assert.match(results[1].body.message, /rolled back/);
+    assert.ok(app.s3.objects.has(storedKeyFor(first)));
+    assert.equal(app.s3.objects.has(storedKeyFor(second)), false);
+    assert.equal((await findStored(id)).content.text, 'First');
+  });
+
+  it('rolls back an atomic batch when one image cannot be mirrored', async () => {
+    const good = singleQuestion(uniqueId('atomic-good'), {
+      content: { text: 'Good figure', images: [imageUrl(`${uniqueId('good')}.png`)] },
+    });
+    const bad = singleQuestion(uniqueId('atomic-bad'), {
+      content: { text: 'Missing figure', images: [`${app.images.baseUrl}/missing/figure.png`] },
+    });
+
+    const { status, body } = await app.request('POST', '/api/questions/upload-batch', {
+      body: { questions: [good, bad], atomic: true },
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.success, false);
+    assert.equal(body.atomic, true);
+    assert.equal(body.failed, 2);
+    assert.match(body.results[0].message, /whole batch was rolled back/);
+    assert.equal(body.results[1].failedImages[0].reason, 'http_error');
+
+    // The good image was stored, then deleted again
+    assert.equal(app.images.requests.get(new URL(good.content.images[0]).pathname), 1);
+    assert.equal(app.s3.objects.has(storedKeyFor(new URL(good.content.images[0]).pathname.split('/').pop())), false);
+    assert.equal(await findStored(good.id), undefined);
+    assert.equal(await findStored(bad.id), undefined);
+  });
+});
+
+describe('POST /api/questions/upload-batch', () => {
+  it('uploads each question independently and reports per-question results', async () => {
+    const existing = singleQuestion(uniqueId('batch-existing'));
+    await upload(existing);
+
+    const questions = [
+      integerQuestion(uniqueId('batch-new')),
+      singleQuestion(uniqueId('batch-invalid'), { options: [{ text: 'Only one' }] }),
+      existing,
+    ];
+
+    const { status, body } = await app.request('POST', '/api/questions/upload-batch', { body: { questions } });
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.successful, 1);
+    assert.equal(body.failed, 2);
+    assert.deepEqual(body.results.map(result => result.status), ['created', 'failed', 'failed']);
+    assert.equal(body.results[1].errors[0].path, 'options');
+  });
+
+  it('commits an atomic batch when every question is valid', async () => {
+    const questions = [matrixQuestion(uniqueId('atomic-a')), comprehensionQuestion(uniqueId('atomic-b'))];
+
+    const { body } = await app.request('POST', '/api/questions/upload-batch', { body: { questions, atomic: true } });
+
+    assert.equal(body.success, true);
+    assert.equal(body.created, 2);
+    for (const question of questions) {
+      assert.ok(await findStored(question.id));
+    }
+  });
+
+  it('rejects malformed batch requests', async () => {
+    const cases = [
+      [{}, 'Questions array is required'],
+      [{ questions: [] }, 'Questions array cannot be empty'],
+      [{ questions: [singleQuestion('x')], atomic: 'yes' }, 'atomic must be a boolean'],
+      [{ questions: [singleQuestion('x')], atomic: true, onConflict: 'replace' }, 'Atomic uploads only support onConflict "skip"'],
+    ];
+
+    for (const [body, message] of cases) {
+      const response = await app.request('POST', '/api/questions/upload-batch', { body });
+      assert.equal(response.status, 400);
+      assert.deepEqual(response.body, { success: false, message });
+    }
+  });
+
+  it('runs a batch as a background job with async: true', async () => {
+    const questions = [singleQuestion(uniqueId('job-a')), integerQuestion(uniqueId('job-b'))];
+
+    const { status, body } = await app.request('POST', '/api/questions/upload-batch', { body: { questions, async: true } });
+    assert.equal(status, 202);
+    assert.equal(body.statusUrl, `/api/jobs/${body.jobId}`);
+
+    const job = await waitUntil(async () => {
+      const { body: polled } = await app.request('GET', body.statusUrl);
+      return polled.job.status === 'completed' && polled.job;
+    });
+    assert.deepEqual(job.progress, { total: 2, processed: 2, created: 2, updated: 0, skipped: 0, failed: 0, cancelled: 0 });
+    assert.deepEqual(job.results.map(result => result.status), ['created', 'created']);
+    for (const question of questions) {
+      assert.ok(await findStored(question.id));
+    }
+  });
+});
+
+describe('POST /api/questions/upload-batch/stream', () => {
+  const questions = () => [
+    singleQuestion(uniqueId('stream-a'), { content: { text: 'Figure', images: [imageUrl(`${uniqueId('stream')}.png`)] } }),
+    singleQuestion(uniqueId('stream-invalid'), { options: [] }),
+  ];
+
+  it('reports progress as NDJSON', async () => {
+    const { status, headers, body } = await app.request('POST', '/api/questions/upload-batch/stream', {
+      body: { questions: questions() },
+      headers: { Accept: 'application/x-ndjson' },
+    });
+
+    assert.equal(status, 200);
+    assert.equal(headers.get('content-type'), 'application/x-ndjson');
+    const events = body.toString('utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    const types = events.map(event => event.type);
+    for (const type of ['question-start', 'image', 'saved', 'question-done']) {
+      assert.ok(types.includes(type), type);
+    }
+    const summary = events.at(-1);
+    assert.equal(summary.type, 'summary');
+    assert.equal(summary.created, 1);
+    assert.equal(summary.failed, 1);
+  });
+
+  it('reports progress as Server-Sent Events by default', async () => {
+    const { status, headers, body } = await app.request('POST', '/api/questions/upload-batch/stream', { body: { questions: questions() } });
+
+    assert.equal(status, 200);
+    assert.equal(headers.get('content-type'), 'text/event-stream');
+    const text = body.toString('utf8');
+    assert.match(text, /^event: question-start\ndata: \{/m);
+    const [, summary] = text.match(/event: summary\ndata: (.*)\n/);
+    assert.equal(JSON.parse(summary).created, 1);
+  });
+
+  it('rejects malformed batches before opening the stream', async () => {
+    const { status, body } = await app.request('POST', '/api/questions/upload-batch/stream', { body: { questions: [] } });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body, { success: false, message: 'Questions array cannot be empty' });
+  });
+});
+
+describe('GET /api/questions', () => {
+  const subject = uniqueId('subject');
+  const ids = [];
+
+  before(async () => {
+    for (const [index, chapter] of ['Waves', 'Waves', 'Optics'].entries()) {
+      const id = uniqueId(`filter-${index}`);
+      ids.push(id);
+      await upload(singleQuestion(id, { subject, chapter, questionNumber: index + 1 }));
+    }
+  });
+
+  it('filters by subject and chapter', async () => {
+    const bySubject = await app.request('GET', `/api/questions?subject=${subject}`);
+    assert.equal(bySubject.body.total, 3);
+    assert.deepEqual(bySubject.body.filters, { subject });
+
+    const byChapter = await app.request('GET', `/api/questions?subject=${subject}&chapter=Waves`);
+    assert.deepEqual(byChapter.body.questions.map(question => question.id).sort(), ids.slice(0, 2).sort());
+  });
+
+  it('pages through results with a cursor', async () => {
+    const seen = [];
+    let cursor = null;
+    do {
+      const query = `subject=${subject}&sort=-questionNumber&limit=2${cursor ? `&cursor=${cursor}` : ''}`;
+      const { status, body } = await app.request('GET', `/api/questions?${query}`);
+      assert.equal(status, 200);
+      seen.push(...body.questions.map(question => question.questionNumber));
+      cursor = body.nextCursor;
+    } while (cursor);
+
+    assert.deepEqual(seen, [3, 2, 1]);
+  });
+
+  it('returns only the requested fields', async () => {
+    const { body } = await app.request('GET', `/api/questions?subject=${subject}&fields=id,chapter`);
+
+    for (const question of body.questions) {
+      assert.deepEqual(Object.keys(question).sort(), ['_id', 'chapter', 'id']);
+    }
+  });
+
+  it('lists the values available as filters', async () => {
+    const { status, body } = await app.request('GET', '/api/questions/filter-options');
+
+    assert.equal(status, 200);
+    assert.ok(JSON.stringify(body).includes(subject));
+  });
+});
+
+describe('PUT /api/questions/:id', () => {
+  it('updates a question and keeps the previous version as a revision', async () => {
+    const id = uniqueId('update');
+    const image = `${id}.png`;
+    const { body: created } = await upload(singleQuestion(id, { content: { text: 'Before', images: [imageUrl(image)] } }));
+
+    const { status, body } = await app.request('PUT', `/api/questions/${created.mongoId}`, {
+      body: { question: { content: { text: 'After', images: [] } } },
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.deletedImages, undefined);
+    // The image stays, revision 1 still uses it
+    assert.ok(app.s3.objects.has(storedKeyFor(image)));
+    assert.equal((await findStored(id)).content.text, 'After');
+
+    const revisions = await app.request('GET', `/api/questions/${created.mongoId}/revisions`);
+    assert.equal(revisions.body.currentRevision, 2);
+    assert.deepEqual(revisions.body.revisions.map(revision => revision.rev), [1]);
+  });
+
+  it('rejects an update that would make the question invalid', async () => {
+    const { body: created } = await upload(singleQuestion(uniqueId('update-invalid')));
+
+    const { status, body } = await app.request('PUT', `/api/questions/${created.mongoId}`, {
+      body: { question: { answers: ['Z'] } },
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.message, 'Question failed validation');
+    assert.equal(body.errors[0].path, 'answers[0]');
+  });
+
+  it('answers 404 for an unknown question and 400 for a malformed id', async () => {
+    const missing = await app.request('PUT', '/api/questions/0123456789abcdef01234567', { body: { question: { subject: 'x' } } });
+    assert.equal(missing.status, 404);
+
+    const malformed = await app.request('PUT', '/api/questions/not-an-id', { body: { question: { subject: 'x' } } });
+    assert.equal(malformed.status, 400);
+    assert.equal(malformed.body.success, false);
+  });
+});
+
+describe('deleting questions', () => {
+  it('moves a question to the trash and restores it', async () => {
+    const id = uniqueId('trash');
+    const { body: created } = await upload(singleQuestion(id));
+
+    const deleted = await app.request('DELETE', `/api/questions/${created.mongoId}`);
+    assert.equal(deleted.status, 200);
+    assert.equal(await findStored(id), undefined);
+
+    const trash = await app.request('GET', '/api/questions/trash?limit=200');
+    assert.ok(trash.body.questions.some(question => question.id === id));
+
+    const again = await app.request('DELETE', `/api/questions/${created.mongoId}`);
+    assert.equal(again.status, 404);
+
+    const restored = await app.request('POST', `/api/questions/${created.mongoId}/restore`);
+    assert.equal(restored.status, 200);
+    assert.ok(await findStored(id));
+  });
+
+  it('moves several questions to the trash at once', async () => {
+    const mongoIds = [];
+    for (const index of [1, 2]) {
+      const { body } = await upload(singleQuestion(uniqueId(`delete-batch-${index}`)));
+      mongoIds.push(body.mongoId);
+    }
+
+    const { status, body } = await app.request('POST', '/api/questions/delete-batch', { body: { questionIds: mongoIds } });
+
+    assert.equal(status, 200);
+    assert.equal(body.deletedCount, 2);
+  });
+
+  it('permanently deletes trashed questions and their images on purge', async () => {
+    const id = uniqueId('purge');
+    const image = `${id}.png`;
+    const { body: created } = await upload(singleQuestion(id, { content: { text: 'Purge me', images: [imageUrl(image)] } }));
+    await app.request('DELETE', `/api/questions/${created.mongoId}`);
+
+    const { status, body } = await app.request('POST', '/api/questions/trash/purge', { body: { questionIds: [created.mongoId] } });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.purgedIds, [created.mongoId]);
+    assert.deepEqual(body.deletedImages, [storedKeyFor(image)]);
+    assert.equal(app.s3.objects.has(storedKeyFor(image)), false);
+  });
+
+  it('releases images only older revisions used on purge', async () => {
+    const id = uniqueId('purge-revision');
+    const image = `${id}.png`;
+    const { body: created } = await upload(singleQuestion(id, { content: { text: 'Before', images: [imageUrl(image)] } }));
+    await app.request('PUT', `/api/questions/${created.mongoId}`, {
+      body: { question: { content: { text: 'After', images: [] } } },
+    });
+    assert.ok(app.s3.objects.has(storedKeyFor(image)));
+    await app.request('DELETE', `/api/questions/${created.mongoId}`);
+
+    const { status, body } = await app.request('POST', '/api/questions/trash/purge', { body: { questionIds: [created.mongoId] } });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.deletedImages, [storedKeyFor(image)]);
+    assert.equal(app.s3.objects.has(storedKeyFor(image)), false);
+  });
+});
+
+describe('image cleanup', () => {
+  it('counts images in matrix rows and columns as referenced', async () => {
+    const id = uniqueId('matrix-gc');
+    const stored = await app.request('POST', '/api/images', {
+      body: { data: `data:image/png;base64,${pngFor(id).toString('base64')}` },
+    });
+    assert.equal(stored.status, 200);
+    const [{ ref, key }] = stored.body.images;
+
+    const { body: matrix } = await upload(matrixQuestion(`${id}-matrix`, {
+      matrix_match: {
+        rows: [{ label: 'P', text: 'Lens', images: [ref] }],
+        columns: [{ label: '1', text: 'Real', images: [ref] }],
+        answers: { P: ['1'] },
+      },
+    }));
+    assert.equal(matrix.success, true);
+
+    const gc = await app.request('POST', '/api/admin/images/gc', { body: { dryRun: true, minAgeHours: 0 } });
+    assert.equal(gc.status, 200);
+    assert.equal(gc.body.unreferenced.some(object => object.key === key), false);
+
+    // Purging another question that used the image leaves it for the matrix question
+    const { body: single } = await upload(singleQuestion(`${id}-single`, { content: { text: 'Shared', images: [ref] } }));
+    await app.request('DELETE', `/api/questions/${single.mongoId}`);
+    const purged = await app.request('POST', '/api/questions/trash/purge', { body: { questionIds: [single.mongoId] } });
+    assert.equal(purged.status, 200);
+    assert.deepEqual(purged.body.deletedImages, []);
+    assert.ok(app.s3.objects.has(key));
+  });
+});
+
+describe('image uploads', () => {
+  it('accepts a BMP but not text that merely starts with "BM"', async () => {
+    // 1x1 24-bit BMP: file header, 40-byte DIB header, one padded pixel row
+    const bmp = Buffer.alloc(58);
+    bmp.write('BM', 0, 'ascii');
+    bmp.writeUInt32LE(bmp.length, 2);
+    bmp.writeUInt32LE(54, 10);
+    bmp.writeUInt32LE(40, 14);
+    bmp.writeInt32LE(1, 18);
+    bmp.writeInt32LE(1, 22);
+    bmp.writeUInt16LE(1, 26);
+    bmp.writeUInt16LE(24, 28);
+    bmp.write(uniqueId('bmp').slice(-3), 54, 'ascii');
+    const text = Buffer.from(`BMW parts list ${uniqueId('text')}`);
+
+    const { status, body } = await app.request('POST', '/api/images', {
+      body: { images: [`data:image/bmp;base64,${bmp.toString('base64')}`, `data:image/bmp;base64,${text.toString('base64')}`] },
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.images[0].contentType, 'image/bmp');
+    assert.deepEqual(body.failedImages.map(image => image.reason), ['not_an_image']);
+  });
+});
+
+describe('POST /api/questions/validate', () => {
+  it('validates questions without storing them', async () => {
+    const valid = singleQuestion(uniqueId('validate-ok'));
+    const invalid = singleQuestion(uniqueId('validate-bad'), { answers: ['Z'] });
+
+    const { status, body } = await app.request('POST', '/api/questions/validate', { body: { questions: [valid, invalid] } });
+
+    assert.equal(status, 200);
+    assert.equal(body.valid, false);
+    assert.deepEqual(body.results.map(result => [result.id, result.valid]), [[valid.id, true], [invalid.id, false]]);
+    assert.equal(body.results[1].errors[0].path, 'answers[0]');
+    assert.equal(await findStored(valid.id), undefined);
+
+    const single = await app.request('POST', '/api/questions/validate', { body: { question: valid } });
+    assert.equal(single.body.valid, true);
+
+    const empty = await app.request('POST', '/api/questions/validate', { body: {} });
+    assert.equal(empty.status, 400);
+  });
+});
+
+describe('GET /api/questions/search', () => {
+  it('finds questions by their text and highlights the match', async () => {
+    const word = uniqueWord();
+    const id = uniqueId('search');
+    await upload(singleQuestion(id, { content: { text: `Which ${word} is constant?`, images: [] } }));
+
+    const { status, body } = await app.request('GET', `/api/questions/search?q=${word}`);
+
+    assert.equal(status, 200);
+    assert.equal(body.total, 1);
+    assert.equal(body.questions[0].id, id);
+    assert.ok(body.questions[0].highlights.some(highlight => highlight.snippet.includes(word)));
+
+    const filtered = await app.request('GET', `/api/questions/search?q=${word}&subject=Chemistry`);
+    assert.equal(filtered.body.total, 0);
+  });
+
+  it('requires a query', async () => {
+    const { status, body } = await app.request('GET', '/api/questions/search');
+
+    assert.equal(status, 400);
+    assert.deepEqual(body, { success: false, message: 'Search query "q" is required' });
+  });
+});
+
+describe('GET /api/questions/export', () => {
+  const subject = `Export ${uniqueWord()}`;
+  const ids = [uniqueId('export-a'), uniqueId('export-b')];
+
+  before(async () => {
+    for (const id of ids) {
+      await upload(singleQuestion(id, { subject }));
+    }
+  });
+
+  const exportAs = format => app.request('GET', `/api/questions/export?format=${format}&subject=${encodeURIComponent(subject)}`);
+
+  it('exports the matching questions as NDJSON, CSV and markdown', async () => {
+    const ndjson = await exportAs('ndjson');
+    assert.equal(ndjson.status, 200);
+    assert.match(ndjson.headers.get('content-disposition'), /^attachment; filename="questions-\d{4}-\d{2}-\d{2}\.ndjson"$/);
+    const exported = ndjson.body.toString('utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(exported.map(question => question.id).sort(), [...ids].sort());
+
+    const csv = (await exportAs('csv')).body.toString('utf8');
+    // Starts with a byte order mark so spreadsheets read it as UTF-8
+    assert.match(csv, /^\uFEFFid,parent_id,type,/);
+    for (const id of ids) {
+      assert.match(csv, new RegExp(`^${id},`, 'm'));
+    }
+
+    const markdown = (await exportAs('markdown')).body.toString('utf8');
+    for (const id of ids) {
+      assert.ok(markdown.includes(`ID: ${id}`), id);
+    }
+  });
+
+  it('exports a QTI package as a zip file', async () => {
+    const { status, headers, body } = await exportAs('qti');
+
+    assert.equal(status, 200);
+    assert.equal(headers.get('content-type'), 'application/zip');
+    assert.equal(body.subarray(0, 2).toString('latin1'), 'PK');
+  });
+
+  it('rejects unknown formats', async () => {
+    const { status, body } = await exportAs('xml');
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+  });
+});
+
+describe('revision history', () => {
+  async function createWithRevision() {
+    const { body: created } = await upload(singleQuestion(uniqueId('revisions'), { content: { text: 'Before', images: [] } }));
+    await app.request('PUT', `/api/questions/${created.mongoId}`, { body: { question: { content: { text: 'After', images: [] } } } });
+    return created.mongoId;
+  }
+
+  it('returns a stored revision with its diff against the current version', async () => {
+    const mongoId = await createWithRevision();
+
+    const { status, body } = await app.request('GET', `/api/questions/${mongoId}/revisions/1`);
+
+    assert.equal(status, 200);
+    assert.equal(body.currentRevision, 2);
+    assert.equal(body.rev, 1);
+    assert.equal(body.question.content.text, 'Before');
+    assert.deepEqual(body.diff, [{ path: 'content.text', type: 'changed', from: 'Before', to: 'After' }]);
+  });
+
+  it('reverts to a stored revision and archives the replaced version', async () => {
+    const mongoId = await createWithRevision();
+
+    const { status, body } = await app.request('POST', `/api/questions/${mongoId}/revisions/1/revert`);
+
+    assert.equal(status, 200);
+    assert.equal(body.revision, 3);
+    assert.deepEqual(body.diff, [{ path: 'content.text', type: 'changed', from: 'After', to: 'Before' }]);
+
+    const { body: listed } = await app.request('GET', `/api/questions/${mongoId}/revisions`);
+    assert.equal(listed.currentRevision, 3);
+    assert.deepEqual(listed.revisions.map(revision => revision.rev).sort(), [1, 2]);
+  });
+
+  it('answers 400 for a malformed revision and 404 for a missing one', async () => {
+    const mongoId = await createWithRevision();
+
+    for (const path of [`/api/questions/${mongoId}/revisions/0`, `/api/questions/${mongoId}/revisions/latest`]) {
+      const { status } = await app.request('GET', path);
+      assert.equal(status, 400, path);
+    }
+    for (const [method, path] of [['GET', `/api/questions/${mongoId}/revisions/9`], ['POST', `/api/questions/${mongoId}/revisions/9/revert`]]) {
+      const { status, body } = await app.request(method, path);
+      assert.equal(status, 404, path);
+      assert.equal(body.success, false);
+    }
+  });
+});
+
+describe('trash', () => {
+  it('lists trashed questions with filters', async () => {
+    const subject = `Trash ${uniqueWord()}`;
+    const id = uniqueId('trash-list');
+    const { body: created } = await upload(singleQuestion(id, { subject }));
+    await upload(singleQuestion(uniqueId('trash-live'), { subject }));
+    await app.request('DELETE', `/api/questions/${created.mongoId}`);
+
+    const { status, body } = await app.request('GET', `/api/questions/trash?subject=${encodeURIComponent(subject)}&fields=id,deletedAt`);
+
+    assert.equal(status, 200);
+    assert.equal(body.total, 1);
+    assert.equal(body.questions[0].id, id);
+    assert.ok(body.questions[0].deletedAt);
+  });
+
+  it('keeps trashed questions until the retention period has passed', async () => {
+    const retained = await startTestServer();
+    try {
+      const { body: created } = await retained.request('POST', '/api/questions/upload', { body: { question: singleQuestion(uniqueId('retained')) } });
+      await retained.request('DELETE', `/api/questions/${created.mongoId}`);
+
+      const { status, body } = await retained.request('POST', '/api/questions/trash/purge', { body: { questionIds: [created.mongoId] } });
+
+      assert.equal(status, 200);
+      assert.equal(body.retentionDays, 30);
+      assert.equal(body.purgedCount, 0);
+      const trash = await retained.request('GET', '/api/questions/trash');
+      assert.equal(trash.body.total, 1);
+
+      const malformed = await retained.request('POST', '/api/questions/trash/purge', { body: { questionIds: created.mongoId } });
+      assert.equal(malformed.status, 400);
+    } finally {
+      await retained.stop();
+    }
+  });
+});
+
+describe('POST /api/questions/create-indexes', () => {
+  it('creates indexes for admins only', async () => {
+    const { status, body } = await app.request('POST', '/api/questions/create-indexes');
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+
+    const { body: key } = await app.request('POST', '/api/auth/keys', { body: { name: 'Editor', role: 'editor' } });
+    const forbidden = await app.request('POST', '/api/questions/create-indexes', { apiKey: key.apiKey });
+    assert.equal(forbidden.status, 403);
+  });
+});
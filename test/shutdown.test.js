@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers/testServer.js';
+import { storedKeyFor } from './helpers/imageServer.js';
+import { uniqueId, singleQuestion } from './helpers/fixtures.js';
+
+/**
+ * Poll until check() returns a truthy value
+ */
+async function waitUntil(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (await check()) {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Condition not met within ${timeoutMs}ms`);
+}
+
+const withImage = (id, url) => singleQuestion(id, { content: { text: 'Figure', images: [url] } });
+
+// Every test stops its own server, so each one starts a fresh one
+describe('graceful shutdown', () => {
+  it('stops accepting connections but finishes requests in progress', async () => {
+    const app = await startTestServer();
+    try {
+      const upload = app.request('POST', '/api/questions/upload', {
+        body: { question: withImage(uniqueId('draining'), `${app.images.baseUrl}/slow/draining?ms=800`) },
+      });
+      await waitUntil(() => app.images.requests.has('/slow/draining'));
+
+      app.child.kill('SIGTERM');
+      await waitUntil(() => fetch(`${app.baseUrl}/health`).then(() => false, () => true));
+
+      const { status, body } = await upload;
+      assert.equal(status, 200);
+      assert.equal(body.success, true);
+      assert.ok(app.s3.objects.has(storedKeyFor('draining')));
+
+      assert.equal(await app.exited, 0);
+      assert.match(app.logs.join(''), /Requests and background jobs finished/);
+    } finally {
+      await app.stop();
+    }
+  });
+
+  it('rolls back an atomic batch interrupted by the shutdown', async () => {
+    const app = await startTestServer();
+    try {
+      const upload = app.request('POST', '/api/questions/upload-batch', {
+        body: {
+          atomic: true,
+          questions: [
+            withImage(uniqueId('atomic-fast'), `${app.images.baseUrl}/images/atomic-fast`),
+            withImage(uniqueId('atomic-slow'), `${app.images.baseUrl}/slow/atomic-slow?ms=800`),
+          ],
+        },
+      });
+      await waitUntil(() => app.s3.objects.has(storedKeyFor('atomic-fast')) && app.images.requests.has('/slow/atomic-slow'));
+
+      app.child.kill('SIGTERM');
+      const { status, body } = await upload;
+
+      assert.equal(status, 200);
+      assert.equal(body.success, false);
+      assert.deepEqual(body.results.map(result => result.status), ['cancelled', 'cancelled']);
+      assert.equal(app.s3.objects.has(storedKeyFor('atomic-fast')), false);
+      assert.equal(app.s3.objects.has(storedKeyFor('atomic-slow')), false);
+      assert.equal(await app.exited, 0);
+    } finally {
+      await app.stop();
+    }
+  });
+
+  it('leaves an interrupted background job for the next start', async () => {
+    const app = await startTestServer({ UPLOAD_QUESTION_CONCURRENCY: '1' });
+    try {
+      const names = ['job-1', 'job-2', 'job-3'];
+      const { status, body } = await app.request('POST', '/api/questions/upload-batch', {
+        body: {
+          async: true,
+          questions: names.map(name => withImage(uniqueId(name), `${app.images.baseUrl}/slow/${name}?ms=400`)),
+        },
+      });
+      assert.equal(status, 202);
+      await waitUntil(() => app.images.requests.has('/slow/job-1'));
+
+      app.child.kill('SIGTERM');
+
+      assert.equal(await app.exited, 0);
+      assert.match(app.logs.join(''), new RegExp(`Job ${body.jobId}: stopped for shutdown`));
+      assert.equal(app.images.requests.has('/slow/job-3'), false);
+    } finally {
+      await app.stop();
+    }
+  });
+
+  it('closes the remaining connections and exits with 1 at the deadline', async () => {
+    const app = await startTestServer({ SHUTDOWN_TIMEOUT_MS: '300', IMAGE_DOWNLOAD_TIMEOUT_MS: '10000' });
+    try {
+      const upload = app.request('POST', '/api/questions/upload', {
+        body: { question: withImage(uniqueId('stuck'), `${app.images.baseUrl}/slow/stuck?ms=5000`) },
+      });
+      await waitUntil(() => app.images.requests.has('/slow/stuck'));
+
+      app.child.kill('SIGTERM');
+
+      await assert.rejects(upload);
+      assert.equal(await app.exited, 1);
+      assert.match(app.logs.join(''), /Shutdown deadline reached with 1 request\(s\) still running/);
+    } finally {
+      await app.stop();
+    }
+  });
+
+  it('signals readiness and shuts down on the PM2 shutdown message', async () => {
+    const app = await startTestServer();
+    try {
+      await waitUntil(() => app.messages.includes('ready'));
+
+      app.child.send('shutdown');
+
+      assert.equal(await app.exited, 0);
+      assert.match(app.logs.join(''), /Shutdown message received/);
+    } finally {
+      await app.stop();
+    }
+  });
+});